@@ -0,0 +1,110 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { auditFilter, contrastRatio, createColorTransform, formatColor, parseColor, REFERENCE_PALETTE } from '../src/leaflet-theme-filter-math.js'
+import { createMap, removeMap } from './helpers.js'
+
+const apply = (filter, color, svgFilter) => formatColor(createColorTransform(filter, svgFilter).transform(parseColor(color)))
+
+describe('filter math', () => {
+  it('should parse colors and compute WCAG contrast', () => {
+    expect(parseColor('#fff')).toEqual([1, 1, 1])
+    expect(parseColor('rgb(255, 0, 51)')).toEqual([1, 0, 0.2])
+    expect(parseColor('red')).toBeNull()
+    expect(contrastRatio([0, 0, 0], [1, 1, 1])).toBe(21)
+    expect(contrastRatio(parseColor('#777777'), [1, 1, 1])).toBeCloseTo(4.48, 2)
+  })
+
+  it('should transform colors like the CSS filter functions', () => {
+    expect(apply('invert(1)', '#ffffff')).toBe('#000000')
+    expect(apply('invert(50%)', '#000000')).toBe('#808080')
+    expect(apply('sepia(1)', '#ffffff')).toBe('#ffffef')
+    expect(apply('grayscale(1)', '#ff0000')).toBe('#363636')
+    expect(apply('brightness(0.5)', '#ffffff')).toBe('#808080')
+    expect(apply('contrast(0)', '#123456')).toBe('#808080')
+    expect(apply('hue-rotate(0.5turn) hue-rotate(180deg)', '#336699')).toBe('#336699')
+    // Order matters: brightness before invert lightens, after it darkens
+    expect(apply('brightness(0.5) invert(1)', '#ffffff')).toBe('#808080')
+    expect(apply('invert(1) brightness(0.5)', '#000000')).toBe('#808080')
+  })
+
+  it('should apply the svgFilter pipeline before the CSS filter', () => {
+    const svgFilter = [
+      { type: 'feColorMatrix', values: [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0] },
+      { type: 'feComponentTransfer', g: { type: 'discrete', tableValues: [0, 1] } },
+    ]
+    expect(apply('', '#ff0080', svgFilter)).toBe('#8000ff')
+    expect(apply('invert(1)', '#ff0080', svgFilter)).toBe('#7fff00')
+  })
+
+  it('should report what it could not evaluate', () => {
+    expect(createColorTransform('url(#halo) blur(2px)').unsupported).toEqual(['url(#halo)'])
+  })
+
+  it('should find no problems without a filter', () => {
+    const { passed, results } = auditFilter('', undefined, REFERENCE_PALETTE)
+    expect(passed).toBe(true)
+    results.forEach(result => expect(result.contrast).toBe(result.originalContrast))
+  })
+})
+
+describe('ThemeControl.auditTheme', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    murky: { label: 'Murky', filter: 'contrast(0.3)' },
+  }
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should report failing color pairs of a theme', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+
+    expect(control.auditTheme().passed).toBe(true)
+
+    const report = control.auditTheme('murky')
+    expect(report.theme).toBe('murky')
+    expect(report.passed).toBe(false)
+    const labels = report.results.find(result => result.name === 'Labels on land')
+    expect(labels.contrast).toBeLessThan(labels.minContrast)
+    expect(labels.originalContrast).toBeGreaterThan(labels.minContrast)
+
+    expect(control.auditTheme('missing')).toBeNull()
+  })
+
+  it('should check brand colors as unfiltered overlays', () => {
+    const control = new ThemeControl({
+      addButton: false,
+      themes: { ...themes, night: { label: 'Night', filter: 'invert(1)' } },
+      brandColors: [{ name: 'Route', color: '#1565c0' }, '#fff'],
+    }).addTo(map)
+
+    const { results } = control.auditTheme('night')
+    const route = results.find(result => result.name === 'Route on land')
+    expect(route.foreground).toBe('#1565c0')
+    expect(route.background).toBe('#0d1016')
+    expect(route.passed).toBe(true)
+    expect(results.find(result => result.name === '#fff on land').passed).toBe(true)
+  })
+
+  it('should warn in the editor while editing', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes, defaultTheme: 'murky' }).addTo(map)
+    control.editor.openThemeSelector()
+    control.editor.openThemeEditor('murky')
+
+    const audit = control.editor.panel.querySelector('.theme-audit')
+    expect(audit.hidden).toBe(false)
+    expect(audit.textContent).toContain('Labels on land')
+
+    const slider = control.editor.panel.querySelector('input[data-key="contrast"]')
+    slider.value = '1'
+    slider.dispatchEvent(new Event('input'))
+
+    expect(audit.hidden).toBe(true)
+  })
+})
@@ -0,0 +1,122 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { TileLayer } from 'leaflet'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, drag, nextFrame, removeMap, slider } from './helpers.js'
+
+describe('ThemeEditor comparison', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: {
+      label: 'Dark',
+      filter: 'invert(1) hue-rotate(180deg)',
+      controlStyle: 'dark',
+      panes: { markerPane: 'brightness(0.8)' },
+    },
+  }
+  let map
+  let control
+  let panel
+
+  const clones = () => [...map.getContainer().querySelectorAll('.leaflet-theme-compare-clone')]
+  const cloneOf = pane => clones().find(clone => clone.classList.contains(`leaflet-${pane}`))
+
+  beforeEach(() => {
+    map = createMap()
+    new TileLayer('data:image/png;base64,').addTo(map)
+    control = new ThemeControl({ enableEditor: true, themes, defaultTheme: 'dark' }).addTo(map)
+    control.editor.openThemeSelector()
+    control.editor.openThemeEditor('dark')
+    panel = control.editor.panel
+    drag(slider(panel, 0), '0.5')
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should show the original filter beside the edited one', () => {
+    const toggle = panel.querySelector('.theme-compare-toggle')
+    expect(toggle.getAttribute('aria-pressed')).toBe('false')
+
+    toggle.click()
+    expect(toggle.getAttribute('aria-pressed')).toBe('true')
+    expect(map.getContainer().querySelector('.leaflet-theme-compare')).not.toBeNull()
+
+    const tilePane = map.getPane('tilePane')
+    const clone = cloneOf('tile-pane')
+    expect(clone.getAttribute('aria-hidden')).toBe('true')
+    expect(clone.style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(tilePane.style.filter).toBe('invert(0.5) hue-rotate(180deg)')
+    expect(clone.style.clipPath).toContain('polygon')
+    expect(tilePane.style.clipPath).toContain('polygon')
+  })
+
+  it('should keep the original filter on the clones of observed elements', async () => {
+    expect(control.options.observeElements).toBe(true)
+    control.editor.toggleComparison()
+    await new Promise(resolve => setTimeout(resolve))
+
+    expect(cloneOf('tile-pane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(map.getPane('tilePane').style.filter).toBe('invert(0.5) hue-rotate(180deg)')
+  })
+
+  it('should compare pane filters too', () => {
+    control.editor.toggleComparison()
+    expect(cloneOf('marker-pane').style.filter).toBe('brightness(0.8)')
+  })
+
+  it('should show the active theme again after comparing another one', () => {
+    control.editor.openThemeEditor('light')
+    control.editor.toggleComparison(true)
+    expect(map.getPane('tilePane').style.filter).toBe('')
+
+    control.editor.toggleComparison(false)
+    expect(map.getPane('tilePane').style.filter).toBe('invert(0.5) hue-rotate(180deg)')
+  })
+
+  it('should clone the panes again when tiles change but not when they move', async () => {
+    control.editor.toggleComparison()
+    const clone = cloneOf('tile-pane')
+    const tilePane = map.getPane('tilePane')
+
+    tilePane.firstElementChild.style.transform = 'translate3d(10px, 0, 0)'
+    await nextFrame()
+    expect(cloneOf('tile-pane')).toBe(clone)
+
+    tilePane.firstElementChild.appendChild(document.createElement('img'))
+    await nextFrame()
+    expect(cloneOf('tile-pane')).not.toBe(clone)
+    expect(cloneOf('tile-pane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+  })
+
+  it('should move the divider with the keyboard', () => {
+    control.editor.toggleComparison()
+    const divider = map.getContainer().querySelector('.leaflet-theme-compare-divider')
+    expect(divider.getAttribute('aria-valuenow')).toBe('50')
+
+    divider.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }))
+    expect(divider.getAttribute('aria-valuenow')).toBe('55')
+    divider.dispatchEvent(new KeyboardEvent('keydown', { key: 'Home', bubbles: true }))
+    expect(divider.getAttribute('aria-valuenow')).toBe('0')
+    expect(divider.style.left).toBe('0%')
+
+    control.editor._comparison.setPosition(2)
+    expect(control.editor._comparison.getPosition()).toBe(1)
+  })
+
+  it('should remove the comparison when leaving the editor', () => {
+    control.editor.toggleComparison()
+    control.editor._comparison.setPosition(0.3)
+    panel.querySelector('.theme-panel-back').click()
+
+    expect(clones()).toEqual([])
+    expect(map.getContainer().querySelector('.leaflet-theme-compare')).toBeNull()
+    expect(map.getPane('tilePane').style.clipPath).toBe('')
+
+    // The divider comes back where it was left
+    control.editor.openThemeEditor('dark')
+    expect(control.editor.toggleComparison(true)).toBe(true)
+    expect(control.editor._comparison.getPosition()).toBe(0.3)
+    expect(control.editor.toggleComparison(false)).toBe(false)
+  })
+})
@@ -1,5 +1,7 @@
-import { describe, expect, it, beforeEach } from 'vitest'
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { GridLayer } from 'leaflet'
 import { DEFAULT_THEMES, ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, removeMap } from './helpers.js'
 
 describe('DEFAULT_THEMES', () => {
   it('should export default themes', () => {
@@ -163,3 +165,455 @@ describe('ThemeControl with Custom Themes', () => {
     expect(DEFAULT_THEMES.dark.filter).toBe(originalDarkFilter)
   })
 })
+
+describe('ThemeControl events', () => {
+  let map
+
+  beforeEach(() => {
+    localStorage.clear()
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should fire themechange with source "init" when added to the map', () => {
+    const events = []
+    map.on('themechange', e => events.push(e))
+
+    new ThemeControl({ addButton: false }).addTo(map)
+
+    expect(events).toHaveLength(1)
+    expect(events[0].theme).toBe('light')
+    expect(events[0].previousTheme).toBeNull()
+    expect(events[0].source).toBe('init')
+  })
+
+  it('should fire themechange on the control and the map with previous and next key', () => {
+    const control = new ThemeControl({ addButton: false }).addTo(map)
+    const controlEvents = []
+    const mapEvents = []
+    control.on('themechange', e => controlEvents.push(e))
+    map.on('themechange', e => mapEvents.push(e))
+
+    control.setTheme('dark')
+
+    expect(controlEvents).toHaveLength(1)
+    expect(mapEvents).toHaveLength(1)
+    expect(mapEvents[0].theme).toBe('dark')
+    expect(mapEvents[0].previousTheme).toBe('light')
+    expect(mapEvents[0].source).toBe('user')
+  })
+
+  it('should fire editor lifecycle events', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true }).addTo(map)
+    const types = []
+    for (const type of ['themeeditoropen', 'themeeditorclose', 'themefilterinput', 'themereset', 'themechange']) {
+      control.on(type, e => types.push(`${type}:${e.source || e.view || ''}`))
+    }
+
+    control.editor.openThemeSelector()
+    control.editor.openThemeEditor('light')
+
+    const slider = control.editor.panel.querySelector('input[data-key="invert"]')
+    slider.value = '1'
+    slider.dispatchEvent(new Event('input'))
+
+    control.editor.panel.querySelector('.theme-editor-reset').click()
+    control.editor.close()
+
+    expect(types).toEqual([
+      'themeeditoropen:selector',
+      'themeeditoropen:editor',
+      'themechange:editor',
+      'themefilterinput:',
+      'themechange:editor',
+      'themereset:',
+      'themeeditorclose:',
+    ])
+  })
+
+  it('should stop propagating to the map after removal', () => {
+    const control = new ThemeControl({ addButton: false }).addTo(map)
+    const events = []
+    map.on('themechange', e => events.push(e))
+
+    control.remove()
+    control.setTheme('dark')
+
+    expect(events).toHaveLength(0)
+  })
+})
+
+describe('ThemeControl map scope', () => {
+  let overview
+  let detail
+
+  beforeEach(() => {
+    localStorage.clear()
+    document.documentElement.removeAttribute('data-theme')
+    overview = createMap()
+    overview.getContainer().id = 'overview'
+    detail = createMap()
+    detail.getContainer().id = 'detail'
+  })
+
+  afterEach(() => {
+    for (const map of [overview, detail]) {
+      removeMap(map)
+    }
+  })
+
+  it('should apply attributes and filters only inside the owning map', () => {
+    const overviewControl = new ThemeControl({ scope: 'map', addButton: false }).addTo(overview)
+    new ThemeControl({ scope: 'map', addButton: false }).addTo(detail)
+
+    overviewControl.setTheme('dark')
+
+    expect(overview.getContainer().getAttribute('data-theme')).toBe('dark')
+    expect(overview.getContainer().getAttribute('data-control-style')).toBe('dark')
+    expect(detail.getContainer().getAttribute('data-theme')).toBe('light')
+    expect(document.documentElement.hasAttribute('data-theme')).toBe(false)
+
+    expect(overview.getPane('tilePane').style.filter).toBe(DEFAULT_THEMES.dark.filter)
+    expect(detail.getPane('tilePane').style.filter).toBe('')
+  })
+
+  it('should namespace the storage key by map container id', () => {
+    const overviewControl = new ThemeControl({ scope: 'map', addButton: false }).addTo(overview)
+    const detailControl = new ThemeControl({ scope: 'map', addButton: false }).addTo(detail)
+
+    overviewControl.setTheme('dark')
+    detailControl.setTheme('grayscale')
+
+    expect(localStorage.getItem('leaflet-theme-overview')).toBe('dark')
+    expect(localStorage.getItem('leaflet-theme-detail')).toBe('grayscale')
+    expect(localStorage.getItem('leaflet-theme')).toBeNull()
+  })
+
+  it('should set up a map-scoped control once across remove and addTo', () => {
+    const control = new ThemeControl({ scope: 'map', addButton: false, enableEditor: true })
+    const events = []
+    control.on('themechange', e => events.push(e.source))
+    control.addTo(overview)
+    const editor = control.editor
+    control.setTheme('dark')
+
+    control.remove()
+    control.addTo(overview)
+
+    expect(control.editor).toBe(editor)
+    expect(events).toEqual(['init', 'user'])
+    expect(overview.getContainer().getAttribute('data-theme')).toBe('dark')
+    expect(overview.getPane('tilePane').style.filter).toBe(DEFAULT_THEMES.dark.filter)
+
+    // The panel of the new add works
+    control.editor.openThemeSelector()
+    control.editor.panel.querySelector('.theme-select-btn[data-theme="grayscale"]').click()
+    expect(control.getCurrentTheme()).toBe('grayscale')
+  })
+
+  it('should warn when a map without id would share the storage key', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    detail.getContainer().removeAttribute('id')
+
+    new ThemeControl({ scope: 'map', addButton: false }).addTo(overview)
+    expect(warn).not.toHaveBeenCalled()
+    new ThemeControl({ scope: 'map', addButton: false, storageKey: 'detail-theme' }).addTo(detail)
+    expect(warn).not.toHaveBeenCalled()
+    new ThemeControl({ scope: 'map', addButton: false }).addTo(detail)
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('no id'))
+    warn.mockRestore()
+  })
+
+  it('should restore each map\'s saved theme', () => {
+    localStorage.setItem('leaflet-theme-detail', 'grayscale')
+
+    const overviewControl = new ThemeControl({ scope: 'map', addButton: false }).addTo(overview)
+    const detailControl = new ThemeControl({ scope: 'map', addButton: false }).addTo(detail)
+
+    expect(overviewControl.getCurrentTheme()).toBe('light')
+    expect(detailControl.getCurrentTheme()).toBe('grayscale')
+  })
+})
+
+describe('ThemeControl URL sync', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    history.replaceState(null, '', '/')
+  })
+
+  it('should read the initial theme from the query parameter before storage', () => {
+    localStorage.setItem('leaflet-theme', 'grayscale')
+    history.replaceState(null, '', '/?theme=dark')
+
+    const control = new ThemeControl({ addButton: false, urlParam: 'theme' })
+
+    expect(control.getCurrentTheme()).toBe('dark')
+  })
+
+  it('should ignore the URL when urlParam is not set', () => {
+    history.replaceState(null, '', '/?theme=dark')
+
+    const control = new ThemeControl({ addButton: false })
+
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should keep the hash updated on setTheme', () => {
+    history.replaceState(null, '', '/#view=1')
+
+    const control = new ThemeControl({ addButton: false, urlParam: 'theme', urlParamMode: 'hash' })
+    control.setTheme('grayscale')
+
+    expect(window.location.hash).toBe('#view=1&theme=grayscale')
+  })
+
+  it('should keep a bare fragment in the hash', () => {
+    history.replaceState(null, '', '/#foo')
+
+    const control = new ThemeControl({ addButton: false, urlParam: 'theme', urlParamMode: 'hash' })
+    control.setTheme('grayscale')
+    expect(window.location.hash).toBe('#foo&theme=grayscale')
+
+    control.followSystem()
+    expect(window.location.hash).toBe('#foo')
+  })
+
+  it('should keep a hash route unchanged', () => {
+    history.replaceState(null, '', '/#/route/1?tab=a%20b')
+
+    const control = new ThemeControl({ addButton: false, urlParam: 'theme', urlParamMode: 'hash' })
+    control.setTheme('dark')
+    expect(window.location.hash).toBe('#/route/1?tab=a%20b&theme=dark')
+
+    control.setTheme('grayscale')
+    expect(window.location.hash).toBe('#/route/1?tab=a%20b&theme=grayscale')
+    expect(new ThemeControl({ addButton: false, urlParam: 'theme', urlParamMode: 'hash' }).getCurrentTheme()).toBe('grayscale')
+  })
+
+  it('should leave automatic themes out of the URL', () => {
+    history.replaceState(null, '', '/?theme=dark')
+    const control = new ThemeControl({ addButton: false, urlParam: 'theme' })
+
+    control.followSystem()
+    expect(new URLSearchParams(window.location.search).has('theme')).toBe(false)
+
+    control.setTheme('grayscale', 'system')
+    expect(new URLSearchParams(window.location.search).has('theme')).toBe(false)
+
+    control.setTheme('dark')
+    expect(new URLSearchParams(window.location.search).get('theme')).toBe('dark')
+
+    control.setTheme('light', 'schedule')
+    expect(new URLSearchParams(window.location.search).has('theme')).toBe(false)
+  })
+
+  it('should share custom filter values of the editor', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, urlParam: 'theme', urlIncludeFilters: true })
+    control.setTheme('dark')
+    control.editor._saveTheme('dark', { invert: 1, hueRotate: 200, saturate: 1, brightness: 0.5, contrast: 1, sepia: 0, grayscale: 0 }, 'dark')
+
+    const params = new URLSearchParams(window.location.search)
+    expect(params.get('theme')).toBe('dark')
+    expect(params.get('theme-filters')).toBe('invert:1,hueRotate:200,saturate:1,brightness:0.5,contrast:1,sepia:0,grayscale:0,controlStyle:dark')
+
+    // Recipient of the link
+    localStorage.clear()
+    const recipient = new ThemeControl({ addButton: false, enableEditor: true, urlParam: 'theme', urlIncludeFilters: true })
+    expect(recipient.getCurrentTheme()).toBe('dark')
+    expect(recipient.getThemes().dark.filter).toBe('invert(1) hue-rotate(200deg) brightness(0.5)')
+  })
+})
+
+describe('ThemeControl transitions', () => {
+  let map
+
+  beforeEach(() => {
+    localStorage.clear()
+    vi.useFakeTimers()
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+    vi.useRealTimers()
+  })
+
+  it('should interpolate the filter over the configured duration', () => {
+    const control = new ThemeControl({ addButton: false, transitionDuration: 300, transitionEasing: 'linear' }).addTo(map)
+    const tilePane = map.getPane('tilePane')
+
+    control.setTheme('grayscale')
+    vi.advanceTimersByTime(16) // First frame
+    vi.advanceTimersByTime(150)
+    expect(tilePane.style.filter).toMatch(/^grayscale\(0\.[45]\d*\)$/)
+
+    vi.advanceTimersByTime(200)
+    expect(tilePane.style.filter).toBe('grayscale(1)')
+  })
+
+  it('should continue from the current frame when another switch starts', () => {
+    const control = new ThemeControl({ addButton: false, transitionDuration: 300, transitionEasing: 'linear' }).addTo(map)
+    const tilePane = map.getPane('tilePane')
+
+    control.setTheme('grayscale')
+    vi.advanceTimersByTime(166)
+    control.setTheme('light')
+    vi.advanceTimersByTime(16)
+    expect(tilePane.style.filter).toMatch(/^grayscale\(0\.[45]\d*\)$/)
+
+    vi.advanceTimersByTime(400)
+    expect(tilePane.style.filter).toBe('')
+  })
+
+  it('should switch instantly when reduced motion is preferred', () => {
+    window.matchMedia = vi.fn().mockImplementation(query => ({
+      matches: query === '(prefers-reduced-motion: reduce)',
+      addEventListener: vi.fn(),
+    }))
+    const control = new ThemeControl({ addButton: false, transitionDuration: 300 }).addTo(map)
+
+    control.setTheme('grayscale')
+
+    expect(map.getPane('tilePane').style.filter).toBe('grayscale(1)')
+  })
+})
+
+describe('ThemeControl layer registry', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: {
+      label: 'Dark',
+      filter: 'invert(1) hue-rotate(180deg)',
+      layers: { satellite: 'brightness(0.7)' },
+    },
+  }
+  let map
+
+  beforeEach(() => {
+    localStorage.clear()
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should give registered layers their own filter and move the pane filter to layers', () => {
+    const streets = new GridLayer().addTo(map)
+    const satellite = new GridLayer().addTo(map)
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+
+    control.registerLayer(satellite, 'satellite')
+    control.setTheme('dark')
+
+    expect(map.getPane('tilePane').style.filter).toBe('')
+    expect(streets.getContainer().style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(satellite.getContainer().style.filter).toBe('brightness(0.7)')
+
+    control.setTheme('light')
+    expect(satellite.getContainer().style.filter).toBe('')
+  })
+
+  it('should pick up layers with a themeLayer option added later', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    control.setTheme('dark')
+    expect(map.getPane('tilePane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    const satellite = new GridLayer({ themeLayer: 'satellite' }).addTo(map)
+
+    expect(satellite.getContainer().style.filter).toBe('brightness(0.7)')
+    expect(map.getPane('tilePane').style.filter).toBe('')
+  })
+
+  it('should restore the pane filter once registered layers are gone', () => {
+    const streets = new GridLayer().addTo(map)
+    const satellite = new GridLayer({ themeLayer: 'satellite' }).addTo(map)
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    control.setTheme('dark')
+
+    satellite.remove()
+
+    expect(map.getPane('tilePane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(streets.getContainer().style.filter).toBe('')
+  })
+})
+
+describe('ThemeControl element observer', () => {
+  let map
+
+  beforeEach(() => {
+    localStorage.clear()
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  const waitForMutations = () => new Promise(resolve => setTimeout(resolve))
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: { label: 'Dark', filter: 'invert(1)', applyToSelectors: '.legend' },
+  }
+
+  it('should filter matching elements added after the theme was set', async () => {
+    const control = new ThemeControl({ scope: 'map', addButton: false, themes }).addTo(map)
+    control.setTheme('dark')
+
+    const panel = document.createElement('div')
+    panel.innerHTML = '<div class="legend"></div>'
+    map.getContainer().appendChild(panel)
+    const pane = map.createPane('extraPane')
+    pane.classList.add('leaflet-tile-pane')
+    await waitForMutations()
+
+    expect(panel.querySelector('.legend').style.filter).toBe('invert(1)')
+    expect(pane.style.filter).toBe('invert(1)')
+  })
+
+  it('should only watch the page outside the map for applyToSelectors', async () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    const observe = vi.spyOn(control._elementObserver, 'observe')
+    const legend = document.createElement('div')
+    legend.className = 'legend'
+
+    control.setTheme('dark')
+    expect(observe).toHaveBeenLastCalledWith(document.documentElement, expect.anything())
+    document.body.appendChild(legend)
+    await waitForMutations()
+    expect(legend.style.filter).toBe('invert(1)')
+
+    control.setTheme('light')
+    expect(observe).toHaveBeenLastCalledWith(map.getContainer(), expect.anything())
+    legend.remove()
+  })
+
+  it('should stop observing after removal', async () => {
+    const control = new ThemeControl({ scope: 'map', addButton: false, themes }).addTo(map)
+    control.setTheme('dark')
+    const container = map.getContainer()
+    control.remove()
+
+    const legend = document.createElement('div')
+    legend.className = 'legend'
+    container.appendChild(legend)
+    await waitForMutations()
+
+    expect(legend.style.filter).toBe('')
+  })
+
+  it('should not observe when disabled', async () => {
+    const control = new ThemeControl({ scope: 'map', addButton: false, themes, observeElements: false }).addTo(map)
+    control.setTheme('dark')
+
+    const legend = document.createElement('div')
+    legend.className = 'legend'
+    map.getContainer().appendChild(legend)
+    await waitForMutations()
+
+    expect(legend.style.filter).toBe('')
+  })
+})
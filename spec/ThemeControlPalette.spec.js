@@ -0,0 +1,100 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { CONTROL_PALETTES, ThemeControl } from '../src/leaflet-theme-control.js'
+import { validateControlPalette } from '../src/leaflet-theme-control-themes.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('validateControlPalette', () => {
+  it('should accept partial palettes of CSS colors', () => {
+    expect(validateControlPalette({ background: '#263238', focus: 'rgb(255, 193, 7)' })).toBeNull()
+  })
+
+  it('should describe invalid palettes', () => {
+    expect(validateControlPalette('dark')).toMatch(/object/)
+    expect(validateControlPalette({ shadow: '#000' })).toMatch(/unknown color "shadow"/)
+    expect(validateControlPalette({ background: 'red; color: blue' })).toMatch(/background: not a valid color/)
+  })
+})
+
+describe('ThemeControl control palettes', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    ocean: {
+      label: 'Ocean',
+      filter: 'hue-rotate(20deg)',
+      controlStyle: 'dark',
+      controlPalette: { background: '#263238', foreground: '#eceff1', focus: '#ffc107' },
+    },
+  }
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should write the palette as control tokens and mark the scope', () => {
+    const control = new ThemeControl({ addButton: false, scope: 'map', themes }).addTo(map)
+    const container = map.getContainer()
+
+    control.setTheme('ocean')
+    expect(container.hasAttribute('data-control-palette')).toBe(true)
+    expect(container.style.getPropertyValue('--ltc-theme-control-background')).toBe('#263238')
+    expect(container.style.getPropertyValue('--ltc-theme-control-focus')).toBe('#ffc107')
+    expect(control.getThemeTokens().controlForeground).toBe('#eceff1')
+
+    control.setTheme('light')
+    expect(container.hasAttribute('data-control-palette')).toBe(false)
+    expect(container.style.getPropertyValue('--ltc-theme-control-background')).toBe('')
+  })
+
+  it('should ignore invalid palettes in the configuration', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const control = new ThemeControl({
+      addButton: false,
+      themes: { light: { label: 'Light', filter: '', controlPalette: { glow: '#fff' } } },
+    })
+
+    expect(control.options.themes.light.controlPalette).toBeUndefined()
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('invalid controlPalette'))
+    warn.mockRestore()
+  })
+
+  it('should edit, save and reset the palette in the editor', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, scope: 'map', themes }).addTo(map)
+    control.editor.openThemeEditor('light')
+    const panel = control.editor.panel
+    const picker = key => panel.querySelector(`.control-palette-input[data-key="${key}"]`)
+
+    // Without a palette the pickers show the colors of the control style
+    expect(picker('background').value).toBe(CONTROL_PALETTES.light.background)
+    expect(panel.querySelector('.control-palette-reset').hidden).toBe(true)
+
+    picker('focus').value = '#e91e63'
+    picker('focus').dispatchEvent(new Event('input'))
+    expect(control.options.themes.light.controlPalette).toEqual({ ...CONTROL_PALETTES.light, focus: '#e91e63' })
+    expect(control.editor.customFilters.light.controlPalette.focus).toBe('#e91e63')
+    expect(map.getContainer().style.getPropertyValue('--ltc-theme-control-focus')).toBe('#e91e63')
+    expect(panel.querySelector('.control-palette-reset').hidden).toBe(false)
+
+    // Dark controls show their own colors until there's a palette
+    panel.querySelector('.control-palette-reset').click()
+    expect(control.options.themes.light.controlPalette).toBeUndefined()
+    panel.querySelector('.control-style-btn[data-style="dark"]').click()
+    expect(picker('background').value).toBe(CONTROL_PALETTES.dark.background)
+    expect(map.getContainer().style.getPropertyValue('--ltc-theme-background')).toBe('#2d2d2d')
+  })
+
+  it('should restore saved palettes and export them', () => {
+    localStorage.setItem('leaflet-theme-custom-filters', JSON.stringify({
+      light: { controlStyle: 'light', filter: '', controlPalette: { background: '#fffde7' } },
+    }))
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes }).addTo(map)
+
+    expect(document.documentElement.style.getPropertyValue('--ltc-theme-control-background')).toBe('#fffde7')
+    expect(control.editor.exportThemes('light').themes.light.controlPalette).toEqual({ background: '#fffde7' })
+    control.remove()
+  })
+})
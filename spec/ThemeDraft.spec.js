@@ -0,0 +1,151 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, drag, nextFrame, removeMap, slider } from './helpers.js'
+
+describe('ThemeEditor draft mode', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: { label: 'Dark', filter: 'invert(1) hue-rotate(180deg)', controlStyle: 'dark' },
+  }
+  let map
+  let control
+  let panel
+  let onChange
+
+  const tilePane = () => map.getPane('tilePane')
+
+  beforeEach(() => {
+    map = createMap()
+    onChange = vi.fn()
+    control = new ThemeControl({ enableEditor: true, editorMode: 'draft', themes, defaultTheme: 'dark', onChange }).addTo(map)
+    onChange.mockClear()
+    control.editor.openThemeSelector()
+    control.editor.openThemeEditor('dark')
+    panel = control.editor.panel
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should preview changes without saving them until applied', async () => {
+    const apply = panel.querySelector('.theme-editor-apply')
+    expect(apply.disabled).toBe(true)
+
+    drag(slider(panel, 0), '0.8', '0.6')
+    await nextFrame()
+    expect(tilePane().style.filter).toBe('invert(0.6) hue-rotate(180deg)')
+    expect(control.editor.hasDraft()).toBe(true)
+    expect(apply.disabled).toBe(false)
+    expect(control.editor.customFilters.dark).toBeUndefined()
+    expect(localStorage.getItem('leaflet-theme-custom-filters')).toBeNull()
+    expect(onChange).not.toHaveBeenCalled()
+
+    apply.click()
+    expect(control.editor.hasDraft()).toBe(false)
+    expect(control.editor.customFilters.dark.invert).toBe(0.6)
+    expect(JSON.parse(localStorage.getItem('leaflet-theme-custom-filters')).dark.invert).toBe(0.6)
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(tilePane().style.filter).toBe('invert(0.6) hue-rotate(180deg)')
+
+    // Applying is one step in the history
+    control.editor.undo()
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+  })
+
+  it('should keep the draft out of the theme until applied', async () => {
+    drag(slider(panel, 0), '0.5')
+    panel.querySelector('.control-style-btn[data-style="light"]').click()
+    const target = panel.querySelector('.theme-filter-target-select')
+    target.value = 'markerPane'
+    target.dispatchEvent(new Event('change'))
+    panel.querySelector('.theme-step-add-btn').click()
+    await nextFrame()
+
+    expect(control.getThemes().dark).toMatchObject({ filter: 'invert(1) hue-rotate(180deg)', controlStyle: 'dark' })
+    expect(control.getThemes().dark.panes).toBeUndefined()
+    expect(control.editor.exportThemes().themes).toEqual({})
+
+    control.editor.applyDraft()
+    expect(control.getThemes().dark).toMatchObject({ filter: 'invert(0.5) hue-rotate(180deg)', controlStyle: 'light' })
+    expect(control.getThemes().dark.panes.markerPane).toBeDefined()
+  })
+
+  it('should discard changes with Cancel', async () => {
+    drag(slider(panel, 0), '0.5')
+    panel.querySelector('.control-style-btn[data-style="light"]').click()
+    await nextFrame()
+
+    panel.querySelector('.theme-editor-cancel').click()
+    expect(control.editor.hasDraft()).toBe(false)
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(control.getThemes().dark.controlStyle).toBe('dark')
+    expect(tilePane().style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(document.documentElement.getAttribute('data-control-style')).toBe('dark')
+    expect(slider(panel, 0).value).toBe('1')
+    expect(localStorage.getItem('leaflet-theme-custom-filters')).toBeNull()
+    expect(onChange).not.toHaveBeenCalled()
+  })
+
+  it('should discard a draft with Escape before closing', () => {
+    drag(slider(panel, 0), '0.5')
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    expect(control.editor.hasDraft()).toBe(false)
+    expect(control.editor.isOpen).toBe(true)
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    expect(control.editor.isOpen).toBe(false)
+  })
+
+  it('should discard a draft when leaving the editor', () => {
+    drag(slider(panel, 0), '0.5')
+    panel.querySelector('.theme-panel-back').click()
+
+    expect(control.editor.hasDraft()).toBe(false)
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+  })
+
+  it('should discard a draft when the theme is switched from outside the editor', async () => {
+    drag(slider(panel, 0), '0.5')
+    control.setTheme('light')
+    await nextFrame()
+
+    expect(control.editor.hasDraft()).toBe(false)
+    expect(tilePane().style.filter).toBe('')
+    expect(slider(panel, 0).value).toBe('1')
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    // Also when the same theme is applied again, e.g. by a schedule
+    drag(slider(panel, 0), '0.5')
+    control.setTheme('dark', 'schedule')
+    await nextFrame()
+    expect(control.editor.hasDraft()).toBe(false)
+    expect(tilePane().style.filter).toBe('invert(1) hue-rotate(180deg)')
+  })
+
+  it('should render previews once per animation frame', async () => {
+    const applyMapFilter = vi.spyOn(control, '_applyMapFilter')
+
+    drag(slider(panel, 0), '0.9', '0.8', '0.7', '0.6')
+    drag(slider(panel, 1), '90')
+    expect(applyMapFilter).not.toHaveBeenCalled()
+
+    await nextFrame()
+    expect(applyMapFilter).toHaveBeenCalledTimes(1)
+    expect(tilePane().style.filter).toBe('invert(0.6) hue-rotate(90deg)')
+  })
+
+  it('should keep the combined draft of the theme filter and a pane', () => {
+    drag(slider(panel, 0), '0.5')
+    const target = panel.querySelector('.theme-filter-target-select')
+    target.value = 'markerPane'
+    target.dispatchEvent(new Event('change'))
+    panel.querySelector('.theme-step-add-btn').click()
+
+    control.editor.applyDraft()
+    expect(control.getThemes().dark.filter).toBe('invert(0.5) hue-rotate(180deg)')
+    expect(control.getThemes().dark.panes.markerPane).toBeDefined()
+  })
+})
@@ -0,0 +1,189 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import {
+  createFilterInterpolator,
+  filtersEqual,
+  parseFilter,
+  parseFilterString,
+  serializeFilter,
+} from '../src/leaflet-theme-filters.js'
+import { decodeFilterValues, encodeFilterValues } from '../src/leaflet-theme-url.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('parseFilter', () => {
+  it('should round-trip filter chains in their order', () => {
+    const filters = [
+      'hue-rotate(180deg) invert(1)',
+      'invert(100%) hue-rotate(0.5turn) blur(2px) opacity(0.8)',
+      'hue-rotate(3.1416rad) sepia(40%) hue-rotate(-20grad)',
+      'drop-shadow(2px 2px 4px rgba(0, 0, 0, 0.5)) brightness(1.2)',
+      'url(#colorblind) contrast(1.5)',
+      'url("filters.svg#a(b)") blur(0.5em)',
+    ]
+    filters.forEach((filter) => {
+      expect(serializeFilter(parseFilter(filter))).toBe(filter)
+    })
+  })
+
+  it('should keep units and raw arguments', () => {
+    expect(parseFilter('saturate(50%) hue-rotate(.25turn) drop-shadow(0 0 2px #000)')).toEqual([
+      { name: 'saturate', value: 50, unit: '%' },
+      { name: 'hue-rotate', value: 0.25, unit: 'turn' },
+      { name: 'drop-shadow', value: '0 0 2px #000' },
+    ])
+  })
+
+  it('should treat an empty filter and none as no steps', () => {
+    expect(parseFilter('')).toEqual([])
+    expect(parseFilter('none')).toEqual([])
+    expect(parseFilter(undefined)).toEqual([])
+  })
+
+  it('should reject invalid filters', () => {
+    expect(parseFilter('foo(1)')).toBeNull()
+    expect(parseFilter('invert(1')).toBeNull()
+    expect(parseFilter('invert(-1)')).toBeNull()
+    expect(parseFilter('hue-rotate(90)')).toBeNull()
+    expect(parseFilter('blur(2%)')).toBeNull()
+    expect(parseFilter('invert(1) red')).toBeNull()
+  })
+})
+
+describe('filtersEqual', () => {
+  it('should compare by effect', () => {
+    expect(filtersEqual('invert(100%) hue-rotate(0.5turn)', 'invert(1) hue-rotate(180deg)')).toBe(true)
+    expect(filtersEqual('invert(1) saturate(1)', 'invert(1)')).toBe(true)
+    expect(filtersEqual('hue-rotate(180deg) invert(1)', 'invert(1) hue-rotate(180deg)')).toBe(false)
+  })
+})
+
+describe('parseFilterString', () => {
+  it('should convert percentages and angle units to the classic values', () => {
+    expect(parseFilterString('invert(80%) hue-rotate(0.5turn)')).toMatchObject({ invert: 0.8, hueRotate: 180 })
+  })
+})
+
+describe('createFilterInterpolator', () => {
+  it('should interpolate matching chains in their own order', () => {
+    const interpolate = createFilterInterpolator('hue-rotate(0deg) invert(0)', 'hue-rotate(0.5turn) invert(100%) blur(4px)')
+    expect(interpolate(0.5)).toBe('hue-rotate(90deg) invert(0.5) blur(2px)')
+  })
+
+  it('should fall back to the classic values for different chains', () => {
+    const interpolate = createFilterInterpolator('grayscale(1)', 'invert(1) hue-rotate(180deg)')
+    expect(interpolate(0.5)).toBe('invert(0.5) hue-rotate(90deg) grayscale(0.5)')
+  })
+})
+
+describe('Sharing filter chains', () => {
+  it('should encode the exact chain last and decode it', () => {
+    const encoded = encodeFilterValues({ invert: 1, filter: 'drop-shadow(0 0 2px rgb(0, 0, 0)) invert(1)', controlStyle: 'dark' })
+    expect(encoded).toBe('invert:1,controlStyle:dark,filter:drop-shadow(0 0 2px rgb(0, 0, 0)) invert(1)')
+    expect(decodeFilterValues(encoded)).toEqual({ invert: 1, controlStyle: 'dark', filter: 'drop-shadow(0 0 2px rgb(0, 0, 0)) invert(1)' })
+  })
+
+  it('should leave out pane filters, SVG filters and control palettes', () => {
+    const encoded = encodeFilterValues({
+      invert: 1,
+      controlStyle: 'dark',
+      panes: { markerPane: 'brightness(0.8)' },
+      svgFilter: [{ type: 'feColorMatrix', values: [1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0] }],
+      controlPalette: { background: '#123456' },
+    })
+    expect(encoded).toBe('invert:1,controlStyle:dark')
+    expect(decodeFilterValues(encoded)).toEqual({ invert: 1, controlStyle: 'dark' })
+  })
+
+  it('should drop invalid chains and external SVG filters', () => {
+    expect(decodeFilterValues('invert:1,filter:foo(1)')).toEqual({ invert: 1 })
+    expect(decodeFilterValues('filter:url(https://example.com/f.svg#a)')).toBeNull()
+    expect(decodeFilterValues('filter:url(#a)')).toEqual({ filter: 'url(#a)' })
+  })
+})
+
+describe('ThemeEditor filter steps', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    night: { label: 'Night', filter: 'hue-rotate(180deg) invert(1)', controlStyle: 'dark' },
+  }
+  let map
+  let control
+
+  beforeEach(() => {
+    map = createMap()
+    control = new ThemeControl({ addButton: false, enableEditor: true, themes, defaultTheme: 'night' }).addTo(map)
+    control.editor.openThemeSelector()
+    control.editor.openThemeEditor('night')
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  const stepNames = () => [...control.editor.panel.querySelectorAll('.theme-filter-step input')].map(input => input.dataset.key)
+
+  it('should show the steps in their order and keep it when saving', () => {
+    expect(stepNames()).toEqual(['hueRotate', 'invert'])
+
+    const slider = control.editor.panel.querySelector('input[data-key="invert"]')
+    slider.value = '0.8'
+    slider.dispatchEvent(new Event('input'))
+
+    expect(control.getThemes().night.filter).toBe('hue-rotate(180deg) invert(0.8)')
+    expect(map.getPane('tilePane').style.filter).toBe('hue-rotate(180deg) invert(0.8)')
+    expect(JSON.parse(localStorage.getItem('leaflet-theme-custom-filters')).night).toMatchObject({
+      invert: 0.8,
+      hueRotate: 180,
+      filter: 'hue-rotate(180deg) invert(0.8)',
+    })
+  })
+
+  it('should filter the map once per change of the active theme', () => {
+    const applyMapFilter = vi.spyOn(control, '_applyMapFilter')
+    const slider = control.editor.panel.querySelector('input[data-key="invert"]')
+    slider.value = '0.8'
+    slider.dispatchEvent(new Event('input'))
+
+    expect(applyMapFilter).toHaveBeenCalledTimes(1)
+    expect(map.getPane('tilePane').style.filter).toBe('hue-rotate(180deg) invert(0.8)')
+
+    // Other themes are previewed, as saving doesn't apply them
+    control.editor.openThemeEditor('light')
+    applyMapFilter.mockClear()
+    const brightness = control.editor.panel.querySelector('input[data-key="brightness"]')
+    brightness.value = '0.9'
+    brightness.dispatchEvent(new Event('input'))
+
+    expect(applyMapFilter).toHaveBeenCalledTimes(1)
+    expect(map.getPane('tilePane').style.filter).toContain('brightness(0.9)')
+    expect(control.getCurrentTheme()).toBe('night')
+  })
+
+  it('should start from the classic sliders without a filter', () => {
+    control.editor.openThemeEditor('light')
+    expect(stepNames()).toEqual(['invert', 'hueRotate', 'saturate', 'brightness', 'contrast', 'sepia', 'grayscale'])
+  })
+
+  it('should reorder, remove and add steps', () => {
+    const panel = control.editor.panel
+    panel.querySelector('.theme-step-down[data-index="0"]').click()
+    expect(stepNames()).toEqual(['invert', 'hueRotate'])
+    expect(control.getThemes().night.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    panel.querySelector('.theme-step-remove[data-index="1"]').click()
+    expect(control.getThemes().night.filter).toBe('invert(1)')
+
+    panel.querySelector('.theme-step-add-select').value = 'drop-shadow'
+    panel.querySelector('.theme-step-add-btn').click()
+    expect(stepNames()).toEqual(['invert', 'dropShadow'])
+
+    // Incomplete arguments are not applied
+    const input = panel.querySelector('.theme-step-text')
+    input.value = '2px 2px'
+    input.dispatchEvent(new Event('input'))
+    input.value = '2px 2px 4px rgba(0, 0, 0'
+    input.dispatchEvent(new Event('input'))
+    expect(input.getAttribute('aria-invalid')).toBe('true')
+    expect(control.getThemes().night.filter).toBe('invert(1) drop-shadow(2px 2px)')
+  })
+})
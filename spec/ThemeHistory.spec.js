@@ -0,0 +1,127 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, drag, removeMap, slider } from './helpers.js'
+
+describe('ThemeEditor history', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: {
+      label: 'Dark',
+      filter: 'invert(1) hue-rotate(180deg)',
+      controlStyle: 'dark',
+      panes: { markerPane: 'brightness(0.8)' },
+    },
+    grayscale: { label: 'Grayscale', filter: 'grayscale(1)' },
+  }
+  let map
+  let control
+  let panel
+
+  const press = (key, options = {}) => {
+    const target = panel.querySelector('.theme-editor-reset')
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, ctrlKey: true, bubbles: true, ...options }))
+  }
+
+  beforeEach(() => {
+    map = createMap()
+    control = new ThemeControl({ enableEditor: true, themes, defaultTheme: 'dark' }).addTo(map)
+    control.editor.openThemeEditor('dark')
+    panel = control.editor.panel
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should undo a slider drag as one step and redo it', () => {
+    const original = control.getThemes().dark.filter
+    expect(panel.querySelector('.theme-editor-undo').disabled).toBe(true)
+
+    drag(slider(panel, 0), '0.8', '0.7', '0.6')
+    expect(control.getThemes().dark.filter).toBe('invert(0.6) hue-rotate(180deg)')
+    expect(panel.querySelector('.theme-editor-undo').disabled).toBe(false)
+
+    expect(control.editor.undo()).toBe(true)
+    expect(control.getThemes().dark.filter).toBe(original)
+    expect(control.editor.customFilters.dark).toBeUndefined()
+    expect(slider(panel, 0).value).toBe('1')
+    expect(control.editor.canUndo()).toBe(false)
+
+    expect(control.editor.redo()).toBe(true)
+    expect(control.getThemes().dark.filter).toBe('invert(0.6) hue-rotate(180deg)')
+    expect(slider(panel, 0).value).toBe('0.6')
+    expect(JSON.parse(localStorage.getItem('leaflet-theme-custom-filters')).dark.invert).toBe(0.6)
+  })
+
+  it('should keep separate drags as separate steps and drop redo after a new edit', () => {
+    drag(slider(panel, 0), '0.8', '0.7')
+    drag(slider(panel, 0), '0.5')
+    drag(slider(panel, 1), '90')
+
+    control.editor.undo()
+    expect(control.getThemes().dark.filter).toBe('invert(0.5) hue-rotate(180deg)')
+    control.editor.undo()
+    expect(control.getThemes().dark.filter).toBe('invert(0.7) hue-rotate(180deg)')
+    expect(control.editor.canRedo()).toBe(true)
+
+    drag(slider(panel, 0), '0.2')
+    expect(control.editor.canRedo()).toBe(false)
+  })
+
+  it('should undo a reset to default', () => {
+    drag(slider(panel, 0), '0.5')
+    panel.querySelector('.theme-editor-reset').click()
+    expect(control.editor.customFilters.dark).toBeUndefined()
+
+    panel.querySelector('.theme-editor-undo').click()
+    expect(control.getThemes().dark.filter).toBe('invert(0.5) hue-rotate(180deg)')
+    expect(document.activeElement).toBe(panel.querySelector('.theme-editor-undo'))
+  })
+
+  it('should undo and redo with Ctrl+Z and Ctrl+Shift+Z', () => {
+    drag(slider(panel, 0), '0.5')
+
+    press('z')
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    press('Z', { shiftKey: true })
+    expect(control.getThemes().dark.filter).toBe('invert(0.5) hue-rotate(180deg)')
+
+    press('z', { ctrlKey: false, metaKey: true })
+    expect(control.getThemes().dark.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    press('y')
+    expect(control.getThemes().dark.filter).toBe('invert(0.5) hue-rotate(180deg)')
+  })
+
+  it('should stay on the pane being edited', () => {
+    const target = panel.querySelector('.theme-filter-target-select')
+    target.value = 'markerPane'
+    target.dispatchEvent(new Event('change'))
+    drag(slider(panel, 0), '0.5')
+    drag(slider(panel, 0), '0.3')
+
+    control.editor.undo()
+    expect(control.getThemes().dark.panes.markerPane).toBe('brightness(0.5)')
+    expect(panel.querySelector('.theme-filter-target-select').value).toBe('markerPane')
+    expect(slider(panel, 0).value).toBe('0.5')
+  })
+
+  it('should keep a history per theme and fire events', () => {
+    const events = []
+    control.on('themeundo themeredo', e => events.push([e.type, e.theme]))
+    control.editor._saveTheme('grayscale', { grayscale: 0.5 }, 'light')
+    drag(slider(panel, 0), '0.5')
+
+    expect(control.editor.undo('grayscale')).toBe(true)
+    expect(control.getThemes().grayscale.filter).toBe('grayscale(1)')
+    expect(control.getThemes().dark.filter).toBe('invert(0.5) hue-rotate(180deg)')
+    expect(control.editor.undo('grayscale')).toBe(false)
+    control.editor.redo('grayscale')
+    expect(events).toEqual([['themeundo', 'grayscale'], ['themeredo', 'grayscale']])
+
+    control.editor.clearHistory()
+    expect(control.editor.canUndo()).toBe(false)
+    expect(panel.querySelector('.theme-editor-undo').disabled).toBe(true)
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { matchesHotkey, parseHotkey } from '../src/leaflet-theme-hotkeys.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('parseHotkey', () => {
+  it('should parse keys with modifiers', () => {
+    expect(parseHotkey('t')).toEqual({ key: 't', ctrl: false, alt: false, shift: false, meta: false })
+    expect(parseHotkey('Ctrl+Shift+D')).toMatchObject({ key: 'd', ctrl: true, shift: true })
+    expect(parseHotkey('Cmd+1')).toMatchObject({ key: '1', meta: true })
+    expect(parseHotkey('Alt++')).toMatchObject({ key: '+', alt: true })
+  })
+
+  it('should reject invalid bindings', () => {
+    expect(parseHotkey('Hyper+T')).toBeNull()
+    expect(parseHotkey('')).toBeNull()
+    expect(parseHotkey(1)).toBeNull()
+  })
+
+  it('should match shift only for letters', () => {
+    const key = (k, init = {}) => new KeyboardEvent('keydown', { key: k, ...init })
+    expect(matchesHotkey(key('T', { shiftKey: true }), parseHotkey('Shift+T'))).toBe(true)
+    expect(matchesHotkey(key('T', { shiftKey: true }), parseHotkey('t'))).toBe(false)
+    expect(matchesHotkey(key('?', { shiftKey: true }), parseHotkey('?'))).toBe(true)
+    expect(matchesHotkey(key('t', { ctrlKey: true }), parseHotkey('t'))).toBe(false)
+  })
+})
+
+describe('ThemeControl hotkeys', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: { label: 'Dark', filter: 'invert(1)' },
+    sepia: { label: 'Sepia', filter: 'sepia(1)' },
+  }
+  let map
+
+  const press = (target, key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    target.dispatchEvent(event)
+    return event
+  }
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should be off by default', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+
+    press(map.getContainer(), 't')
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should cycle and select themes while the map has focus', () => {
+    const control = new ThemeControl({ addButton: false, themes, hotkeys: true }).addTo(map)
+
+    const event = press(map.getContainer(), 't')
+    expect(control.getCurrentTheme()).toBe('dark')
+    expect(event.defaultPrevented).toBe(true)
+
+    press(map.getContainer(), '3')
+    expect(control.getCurrentTheme()).toBe('sepia')
+
+    // Elsewhere on the page, or while typing, keys are left alone
+    press(document.body, '1')
+    const input = map.getContainer().appendChild(document.createElement('input'))
+    press(input, '1')
+    expect(control.getCurrentTheme()).toBe('sepia')
+  })
+
+  it('should use custom bindings and listen globally if configured', () => {
+    const control = new ThemeControl({
+      addButton: false,
+      themes,
+      hotkeys: { cycle: null, themes: { dark: 'Shift+D', light: 'Shift+L' }, global: true },
+    }).addTo(map)
+
+    press(document.body, 't')
+    press(document.body, '2')
+    expect(control.getCurrentTheme()).toBe('light')
+
+    press(document.body, 'D', { shiftKey: true })
+    expect(control.getCurrentTheme()).toBe('dark')
+  })
+
+  it('should open the theme selector', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes, hotkeys: true }).addTo(map)
+    const open = vi.spyOn(control.editor, 'openThemeSelector')
+
+    press(map.getContainer(), 'e')
+    expect(open).toHaveBeenCalled()
+    expect(control.editor.isOpen).toBe(true)
+
+    // Keys inside the panel belong to the editor
+    press(control.editor.panel.querySelector('button'), 't')
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should stop listening when removed and listen again when added back', () => {
+    const control = new ThemeControl({ addButton: false, themes, hotkeys: true }).addTo(map)
+
+    control.remove()
+    press(map.getContainer(), 't')
+    expect(control.getCurrentTheme()).toBe('light')
+
+    control.addTo(map)
+    press(map.getContainer(), 't')
+    expect(control.getCurrentTheme()).toBe('dark')
+  })
+})
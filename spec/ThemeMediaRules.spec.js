@@ -0,0 +1,135 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { DEFAULT_THEMES, ThemeControl } from '../src/leaflet-theme-control.js'
+import { createGetSetStorage, createMap, removeMap } from './helpers.js'
+
+describe('ThemeControl media rules', () => {
+  const themes = {
+    ...DEFAULT_THEMES,
+    highContrast: { label: 'High contrast', filter: 'contrast(1.5)' },
+  }
+  const mediaRules = [
+    { query: '(prefers-color-scheme: dark)', theme: 'dark', priority: 10 },
+    { query: '(prefers-contrast: more)', theme: 'highContrast', priority: 20 },
+    { query: '(forced-colors: active)', theme: 'highContrast', priority: 30 },
+    { query: 'print', theme: 'light', priority: 40 },
+  ]
+  let map
+  let media
+
+  // Media queries whose matches can be changed, notifying their listeners
+  const setMedia = (query, matches) => {
+    media[query].matches = matches
+    media[query].listeners.forEach(listener => listener({ matches }))
+  }
+
+  beforeEach(() => {
+    media = {}
+    window.matchMedia = vi.fn().mockImplementation((query) => {
+      media[query] ??= {
+        matches: false,
+        listeners: [],
+        addEventListener(type, listener, { signal } = {}) {
+          this.listeners.push(listener)
+          signal?.addEventListener('abort', () => this.listeners.splice(this.listeners.indexOf(listener), 1))
+        },
+      }
+      return media[query]
+    })
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should keep following prefers-color-scheme by default', () => {
+    window.matchMedia('(prefers-color-scheme: dark)').matches = true
+    const control = new ThemeControl({ addButton: false }).addTo(map)
+    expect(control.getCurrentTheme()).toBe('dark')
+
+    setMedia('(prefers-color-scheme: dark)', false)
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should pick the highest-priority matching rule', () => {
+    window.matchMedia('(prefers-color-scheme: dark)').matches = true
+    window.matchMedia('(prefers-contrast: more)').matches = true
+    const control = new ThemeControl({ addButton: false, themes, mediaRules }).addTo(map)
+    expect(control.getCurrentTheme()).toBe('highContrast')
+
+    const changes = []
+    control.on('themechange', e => changes.push([e.theme, e.source]))
+    setMedia('print', true)
+    setMedia('print', false)
+    setMedia('(prefers-contrast: more)', false)
+    expect(changes).toEqual([['light', 'system'], ['highContrast', 'system'], ['dark', 'system']])
+  })
+
+  it('should skip rules for missing themes', () => {
+    window.matchMedia('(prefers-contrast: more)').matches = true
+    const control = new ThemeControl({ addButton: false, mediaRules }).addTo(map)
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should not follow the rules after a manual choice until asked to', () => {
+    const control = new ThemeControl({ addButton: false, themes, mediaRules }).addTo(map)
+    control.setTheme('grayscale')
+    expect(control.isFollowingSystem()).toBe(false)
+
+    setMedia('(prefers-color-scheme: dark)', true)
+    expect(control.getCurrentTheme()).toBe('grayscale')
+
+    control.followSystem()
+    expect(control.isFollowingSystem()).toBe(true)
+    expect(control.getCurrentTheme()).toBe('dark')
+    expect(localStorage.getItem('leaflet-theme')).toBeNull()
+
+    setMedia('(prefers-color-scheme: dark)', false)
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should keep following the system after a reload with an adapter without removeItem', () => {
+    const storage = createGetSetStorage()
+    const control = new ThemeControl({ addButton: false, storage })
+    control.setTheme('dark')
+    control.followSystem()
+
+    const reloaded = new ThemeControl({ addButton: false, storage })
+    expect(reloaded.isFollowingSystem()).toBe(true)
+    expect(reloaded.getCurrentTheme()).toBe('light')
+  })
+
+  it('should return to the schedule', () => {
+    vi.useFakeTimers({ now: new Date(2024, 5, 1, 22, 0) })
+    const control = new ThemeControl({ addButton: false, schedule: { mode: 'clock' } }).addTo(map)
+    control.setTheme('grayscale')
+
+    const onChange = vi.fn()
+    control.on('themechange', onChange)
+    control.followSystem()
+    expect(control.getCurrentTheme()).toBe('dark')
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ source: 'schedule' }))
+    control.remove()
+    vi.useRealTimers()
+  })
+
+  it('should follow the media rules while a sun schedule has no position', () => {
+    const control = new ThemeControl({ addButton: false, schedule: { mode: 'sun' } })
+    expect(control.getCurrentTheme()).toBe('light')
+
+    setMedia('(prefers-color-scheme: dark)', true)
+    expect(control.getCurrentTheme()).toBe('dark')
+  })
+
+  it('should offer to follow the system in the theme selector after a manual choice', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes, mediaRules }).addTo(map)
+    control.editor.openThemeSelector()
+    expect(control.editor.panel.querySelector('.theme-follow-system-btn')).toBeNull()
+
+    control.setTheme('grayscale')
+    control.editor.openThemeSelector()
+    control.editor.panel.querySelector('.theme-follow-system-btn').click()
+    expect(control.isFollowingSystem()).toBe(true)
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+})
@@ -0,0 +1,111 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { GeoJSON, Icon, Marker, Polyline } from 'leaflet'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('ThemeControl overlays', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: {
+      label: 'Dark',
+      filter: 'invert(1)',
+      pathStyle: { color: '#90caf9', weight: 4 },
+      markerIcon: { iconUrl: 'marker-dark.png' },
+    },
+    byFeature: {
+      label: 'By feature',
+      filter: '',
+      pathStyle: layer => ({ color: layer.feature?.properties.kind === 'river' ? '#4fc3f7' : '#ffb74d' }),
+    },
+  }
+  const icon = new Icon({ iconUrl: 'marker.png', iconSize: [25, 41] })
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should restyle paths and restore their original style', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    const line = new Polyline([[0, 0], [1, 1]], { color: '#e53935' }).addTo(map)
+    control.registerOverlay(line)
+
+    control.setTheme('dark')
+    expect(line.options.color).toBe('#90caf9')
+    expect(line.options.weight).toBe(4)
+
+    control.setTheme('light')
+    expect(line.options.color).toBe('#e53935')
+    expect(line.options.weight).toBe(3)
+  })
+
+  it('should keep styles the app sets on options the theme does not override', () => {
+    const control = new ThemeControl({ addButton: false, themes, defaultTheme: 'dark' }).addTo(map)
+    const line = new Polyline([[0, 0], [1, 1]], { color: '#e53935', opacity: 0.5 }).addTo(map)
+    control.registerOverlay(line)
+
+    line.setStyle({ opacity: 0.9 })
+    control.setTheme('byFeature')
+    expect(line.options).toMatchObject({ color: '#ffb74d', weight: 3, opacity: 0.9 })
+
+    control.setTheme('light')
+    expect(line.options).toMatchObject({ color: '#e53935', weight: 3, opacity: 0.9 })
+  })
+
+  it('should swap marker icons, keeping the other icon options', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    const marker = new Marker([0, 0], { icon }).addTo(map)
+    control.registerOverlay(marker)
+
+    control.setTheme('dark')
+    const darkIcon = marker.options.icon
+    expect(darkIcon.options).toMatchObject({ iconUrl: 'marker-dark.png', iconSize: [25, 41] })
+    expect(marker.getElement().getAttribute('src')).toBe('marker-dark.png')
+
+    // Re-applying the theme keeps the icon
+    control.setTheme('dark', 'editor')
+    expect(marker.options.icon).toBe(darkIcon)
+
+    control.setTheme('byFeature')
+    expect(marker.options.icon).toBe(icon)
+  })
+
+  it('should style GeoJSON groups, including features added later', () => {
+    const control = new ThemeControl({ addButton: false, themes, defaultTheme: 'byFeature' }).addTo(map)
+    const geojson = new GeoJSON({
+      type: 'Feature',
+      properties: { kind: 'river' },
+      geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+    }).addTo(map)
+    control.registerOverlay(geojson)
+
+    geojson.addData({ type: 'Feature', properties: { kind: 'road' }, geometry: { type: 'LineString', coordinates: [[1, 0], [0, 1]] } })
+
+    const [river, road] = geojson.getLayers()
+    expect(river.options.color).toBe('#4fc3f7')
+    expect(road.options.color).toBe('#ffb74d')
+
+    control.unregisterOverlay(geojson)
+    expect(river.options.color).toBe('#3388ff')
+
+    control.setTheme('dark')
+    expect(road.options.color).toBe('#3388ff')
+  })
+
+  it('should restore originals when the control is removed', () => {
+    const control = new ThemeControl({ addButton: false, themes, defaultTheme: 'dark' }).addTo(map)
+    const line = new Polyline([[0, 0], [1, 1]]).addTo(map)
+    const marker = new Marker([0, 0], { icon }).addTo(map)
+    control.registerOverlay(line).registerOverlay(marker)
+    expect(line.options.color).toBe('#90caf9')
+
+    control.remove()
+
+    expect(line.options.color).toBe('#3388ff')
+    expect(marker.options.icon).toBe(icon)
+  })
+})
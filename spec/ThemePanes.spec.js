@@ -0,0 +1,144 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { validatePaneFilters } from '../src/leaflet-theme-filters.js'
+import { parseThemeDocument } from '../src/leaflet-theme-transfer.js'
+import { createMap, drag, removeMap, slider } from './helpers.js'
+
+describe('validatePaneFilters', () => {
+  it('should accept pane names mapped to filters', () => {
+    expect(validatePaneFilters({ markerPane: 'saturate(0.5)', overlayPane: '' })).toBeNull()
+  })
+
+  it('should describe invalid pane filters', () => {
+    expect(validatePaneFilters([])).toMatch(/object/)
+    expect(validatePaneFilters({ markerPane: 1 })).toMatch(/markerPane: filter must be a string/)
+    expect(validatePaneFilters({ markerPane: 'invert(1); color: red' })).toMatch(/markerPane: not a valid/)
+    expect(validatePaneFilters({ mapPane: 'invert(1)' })).toMatch(/mapPane/)
+  })
+
+  it('should reject invalid pane filters in theme documents', () => {
+    const { themes, errors } = parseThemeDocument({
+      format: 'leaflet-theme-control',
+      version: 1,
+      themes: {
+        dark: { filter: 'invert(1)', panes: { markerPane: 'invert(1)' } },
+        night: { filter: 'invert(1)', panes: { markerPane: 'nope(1)' } },
+      },
+    })
+    expect(Object.keys(themes)).toEqual(['dark'])
+    expect(errors[0]).toMatch(/Theme "night": "panes" markerPane/)
+  })
+})
+
+describe('ThemeControl pane filters', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: {
+      label: 'Dark',
+      filter: 'invert(1) hue-rotate(180deg)',
+      panes: { markerPane: 'brightness(0.8)', labels: 'invert(1)' },
+    },
+    muted: {
+      label: 'Muted',
+      filter: 'grayscale(1)',
+      panes: { tilePane: 'grayscale(0.5)' },
+    },
+  }
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should filter panes and clear them when switching themes', () => {
+    map.createPane('labels')
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+
+    control.setTheme('dark')
+    expect(map.getPane('tilePane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(map.getPane('markerPane').style.filter).toBe('brightness(0.8)')
+    expect(map.getPane('labels').style.filter).toBe('invert(1)')
+    expect(map.getPane('overlayPane').style.filter).toBe('')
+
+    control.setTheme('light')
+    expect(map.getPane('markerPane').style.filter).toBe('')
+    expect(map.getPane('labels').style.filter).toBe('')
+  })
+
+  it('should let a tilePane entry replace the theme filter', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+
+    control.setTheme('muted')
+    expect(map.getPane('tilePane').style.filter).toBe('grayscale(0.5)')
+
+    control.setTheme('dark')
+    expect(map.getPane('tilePane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+  })
+
+  it('should filter custom panes created after the theme was applied', async () => {
+    new ThemeControl({ addButton: false, themes, defaultTheme: 'dark' }).addTo(map)
+
+    const labels = map.createPane('labels')
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(labels.style.filter).toBe('invert(1)')
+  })
+
+  it('should clear pane filters when removed', () => {
+    const control = new ThemeControl({ addButton: false, themes, defaultTheme: 'dark' }).addTo(map)
+    expect(map.getPane('markerPane').style.filter).toBe('brightness(0.8)')
+
+    control.remove()
+    expect(map.getPane('markerPane').style.filter).toBe('')
+  })
+
+  it('should ignore invalid pane filters in the configuration', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const control = new ThemeControl({
+      addButton: false,
+      themes: { light: { label: 'Light', filter: '', panes: { mapPane: 'invert(1)' } } },
+    })
+
+    expect(control.options.themes.light.panes).toBeUndefined()
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('invalid panes'))
+    warn.mockRestore()
+  })
+
+  it('should edit, save and reset pane filters in the editor', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes, defaultTheme: 'dark' }).addTo(map)
+    control.editor.openThemeEditor('dark')
+    const panel = control.editor.panel
+
+    const target = panel.querySelector('.theme-filter-target-select')
+    expect([...target.options].map(option => option.value)).toEqual(
+      ['', 'overlayPane', 'shadowPane', 'markerPane', 'tooltipPane', 'popupPane', 'labels'],
+    )
+
+    target.value = 'markerPane'
+    target.dispatchEvent(new Event('change'))
+    expect(slider(panel, 0).value).toBe('0.8')
+
+    drag(slider(panel, 0), '0.6')
+    expect(map.getPane('markerPane').style.filter).toBe('brightness(0.6)')
+    expect(map.getPane('tilePane').style.filter).toBe('invert(1) hue-rotate(180deg)')
+    expect(control.editor.customFilters.dark.panes.markerPane).toBe('brightness(0.6)')
+    expect(control.options.themes.dark.filter).toBe('invert(1) hue-rotate(180deg)')
+
+    panel.querySelector('.theme-editor-reset').click()
+    expect(control.options.themes.dark.panes.markerPane).toBe('brightness(0.8)')
+    expect(map.getPane('markerPane').style.filter).toBe('brightness(0.8)')
+  })
+
+  it('should restore saved pane filters and export them', () => {
+    localStorage.setItem('leaflet-theme-custom-filters', JSON.stringify({
+      light: { controlStyle: 'light', filter: '', panes: { overlayPane: 'sepia(1)' } },
+    }))
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes }).addTo(map)
+
+    expect(map.getPane('overlayPane').style.filter).toBe('sepia(1)')
+    expect(control.editor.exportThemes('light').themes.light.panes).toEqual({ overlayPane: 'sepia(1)' })
+  })
+})
@@ -0,0 +1,100 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { getSchedulePeriod, getSunTimes } from '../src/leaflet-theme-schedule.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('getSunTimes', () => {
+  it('should compute sunrise and sunset within a few minutes', () => {
+    // Berlin, summer solstice: sunrise 04:43, sunset 21:33 (CEST)
+    const { sunrise, sunset } = getSunTimes(new Date('2025-06-21T12:00:00Z'), 52.52, 13.405)
+    expect(Math.abs(sunrise - new Date('2025-06-21T02:43:00Z'))).toBeLessThan(3 * 60000)
+    expect(Math.abs(sunset - new Date('2025-06-21T19:33:00Z'))).toBeLessThan(3 * 60000)
+  })
+
+  it('should report polar day and night', () => {
+    expect(getSunTimes(new Date('2025-12-21T12:00:00Z'), 78.2, 15.6)).toEqual({ polar: 'night' })
+    expect(getSunTimes(new Date('2025-06-21T12:00:00Z'), 78.2, 15.6)).toEqual({ polar: 'day' })
+  })
+})
+
+describe('getSchedulePeriod', () => {
+  it('should follow a clock schedule in local time', () => {
+    const schedule = { mode: 'clock', dayStart: '07:00', nightStart: '19:30' }
+    expect(getSchedulePeriod(schedule, new Date(2025, 0, 1, 6, 59))).toBe('night')
+    expect(getSchedulePeriod(schedule, new Date(2025, 0, 1, 7, 0))).toBe('day')
+    expect(getSchedulePeriod(schedule, new Date(2025, 0, 1, 19, 30))).toBe('night')
+  })
+
+  it('should support day periods wrapping around midnight', () => {
+    const schedule = { mode: 'clock', dayStart: '20:00', nightStart: '06:00' }
+    expect(getSchedulePeriod(schedule, new Date(2025, 0, 1, 23, 0))).toBe('day')
+    expect(getSchedulePeriod(schedule, new Date(2025, 0, 1, 12, 0))).toBe('night')
+  })
+
+  it('should follow the sun at a position', () => {
+    const schedule = { mode: 'sun' }
+    const berlin = { lat: 52.52, lng: 13.405 }
+    expect(getSchedulePeriod(schedule, new Date('2025-06-21T12:00:00Z'), berlin)).toBe('day')
+    expect(getSchedulePeriod(schedule, new Date('2025-06-21T22:00:00Z'), berlin)).toBe('night')
+    expect(getSchedulePeriod(schedule, new Date(), null)).toBeNull()
+  })
+})
+
+describe('ThemeControl schedule', () => {
+  let map
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    map = createMap({ center: [52.52, 13.405], zoom: 10 })
+  })
+
+  afterEach(() => {
+    removeMap(map)
+    vi.useRealTimers()
+  })
+
+  it('should switch between day and night themes on the timer', () => {
+    vi.setSystemTime(new Date(2025, 0, 1, 18, 59))
+    const control = new ThemeControl({ addButton: false, schedule: { dayStart: '07:00', nightStart: '19:00' } }).addTo(map)
+    const sources = []
+    control.on('themechange', e => sources.push(e.source))
+    expect(control.getCurrentTheme()).toBe('light')
+
+    vi.advanceTimersByTime(60000)
+
+    expect(control.getCurrentTheme()).toBe('dark')
+    expect(sources).toEqual(['schedule'])
+    expect(localStorage.getItem('leaflet-theme')).toBeNull()
+  })
+
+  it('should use sunrise and sunset at the map center', () => {
+    vi.setSystemTime(new Date('2025-06-21T22:00:00Z'))
+    const control = new ThemeControl({ addButton: false, schedule: { mode: 'sun' } }).addTo(map)
+    expect(control.getCurrentTheme()).toBe('dark')
+
+    // Same moment, but it is still day in New York
+    map.setView([40.7, -74], 10)
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+
+  it('should respect a manual choice', () => {
+    vi.setSystemTime(new Date(2025, 0, 1, 12, 0))
+    localStorage.setItem('leaflet-theme', 'grayscale')
+    const control = new ThemeControl({ addButton: false, schedule: {} }).addTo(map)
+    expect(control.getCurrentTheme()).toBe('grayscale')
+
+    vi.setSystemTime(new Date(2025, 0, 1, 22, 0))
+    vi.advanceTimersByTime(60000)
+    expect(control.getCurrentTheme()).toBe('grayscale')
+  })
+
+  it('should stop re-evaluating after removal', () => {
+    vi.setSystemTime(new Date(2025, 0, 1, 12, 0))
+    const control = new ThemeControl({ addButton: false, schedule: {} }).addTo(map)
+    control.remove()
+
+    vi.setSystemTime(new Date(2025, 0, 1, 22, 0))
+    vi.advanceTimersByTime(60000)
+    expect(control.getCurrentTheme()).toBe('light')
+  })
+})
@@ -0,0 +1,158 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { GridLayer } from 'leaflet'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { getAppliedStyle, renderSnapshot } from '../src/leaflet-theme-snapshot.js'
+import { createMap, removeMap } from './helpers.js'
+
+// Minimal 2D context: enough pixels to check what ends up in a snapshot
+function createContext(canvas) {
+  const pixels = () => {
+    if (!canvas._pixels) canvas._pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4)
+    return canvas._pixels
+  }
+  const setPixel = (x, y, [r, g, b], alpha = 1) => {
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return
+    const data = pixels()
+    const i = (y * canvas.width + x) * 4
+    data[i] = r * alpha + data[i] * (1 - alpha)
+    data[i + 1] = g * alpha + data[i + 1] * (1 - alpha)
+    data[i + 2] = b * alpha + data[i + 2] * (1 - alpha)
+    data[i + 3] = 255
+  }
+  const ctx = {
+    fillStyle: '',
+    globalAlpha: 1,
+    fillRect(x, y, width, height) {
+      const color = ctx.fillStyle.match(/[0-9a-f]{2}/gi).map(hex => parseInt(hex, 16))
+      for (let row = y; row < y + height; row++) {
+        for (let col = x; col < x + width; col++) setPixel(col, row, color)
+      }
+    },
+    drawImage(source, x, y, width, height) {
+      if (source._unreadable) canvas._unreadable = true
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const i = (row * source.width + col) * 4
+          const color = source._color || [source._pixels[i], source._pixels[i + 1], source._pixels[i + 2]]
+          setPixel(x + col, y + row, color, ctx.globalAlpha)
+        }
+      }
+    },
+    getImageData(x, y, width, height) {
+      if (canvas._unreadable) throw new DOMException('The canvas has been tainted', 'SecurityError')
+      return { width, height, data: new Uint8ClampedArray(pixels()) }
+    },
+    putImageData(imageData) {
+      pixels().set(imageData.data)
+    },
+  }
+  return ctx
+}
+
+const pixel = (canvas, x) => [...canvas._pixels.slice(x * 4, x * 4 + 3)]
+
+describe('ThemeControl snapshots', () => {
+  let map
+
+  const addTile = (layer, x, color, extra = {}) => {
+    const tile = Object.assign(document.createElement('canvas'), { width: 1, height: 1, _color: color, ...extra })
+    tile.className = 'leaflet-tile leaflet-tile-loaded'
+    tile.getBoundingClientRect = () => ({ left: x, top: 0, width: 1, height: 1 })
+    layer.getContainer().appendChild(tile)
+    return tile
+  }
+
+  beforeEach(() => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+      return createContext(this)
+    })
+    map = createMap()
+    map.getContainer().getBoundingClientRect = () => ({ left: 0, top: 0, width: 3, height: 1 })
+  })
+
+  afterEach(() => {
+    removeMap(map)
+    vi.restoreAllMocks()
+  })
+
+  const render = control => renderSnapshot(map, filter => control._createSnapshotTransform(filter), { background: '#dddddd' })
+
+  it('should bake the theme filter into the tiles', () => {
+    const control = new ThemeControl({ addButton: false, defaultTheme: 'night', themes: { night: { label: 'Night', filter: 'invert(1)' } } }).addTo(map)
+    const layer = new GridLayer().addTo(map)
+    addTile(layer, 0, [255, 255, 255])
+    addTile(layer, 1, [255, 0, 0])
+
+    const canvas = render(control)
+
+    expect(canvas.width).toBe(3)
+    expect(pixel(canvas, 0)).toEqual([0, 0, 0])
+    expect(pixel(canvas, 1)).toEqual([0, 255, 255])
+    // Background is outside the filtered pane
+    expect(pixel(canvas, 2)).toEqual([221, 221, 221])
+  })
+
+  it('should follow per-layer filters, layer opacity and SVG filters', () => {
+    const control = new ThemeControl({
+      addButton: false,
+      defaultTheme: 'swap',
+      themes: {
+        swap: {
+          label: 'Swap',
+          filter: '',
+          svgFilter: [{ type: 'feColorMatrix', values: [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0] }],
+          layers: { satellite: '' },
+        },
+      },
+    }).addTo(map)
+    const streets = new GridLayer({ opacity: 0.5 }).addTo(map)
+    const satellite = new GridLayer({ themeLayer: 'satellite' }).addTo(map)
+    addTile(streets, 0, [255, 0, 0])
+    addTile(satellite, 1, [255, 0, 0])
+
+    expect(getAppliedStyle(streets.getContainer().firstChild, map.getContainer()).opacity).toBe(0.5)
+
+    const canvas = render(control)
+
+    expect(pixel(canvas, 0)).toEqual([110, 110, 238])
+    expect(pixel(canvas, 1)).toEqual([255, 0, 0])
+  })
+
+  it('should include the color vision preset', () => {
+    const control = new ThemeControl({ addButton: false, vision: 'protanopia' }).addTo(map)
+    const layer = new GridLayer().addTo(map)
+    addTile(layer, 0, [255, 0, 0])
+    addTile(layer, 1, [255, 255, 255])
+
+    const canvas = render(control)
+
+    // Protanopes see red as a dark olive, white stays white
+    const [r, g, b] = pixel(canvas, 0)
+    expect(r).toBeLessThan(130)
+    expect(Math.abs(r - g)).toBeLessThan(20)
+    expect(b).toBeLessThan(20)
+    expect(pixel(canvas, 1)).toEqual([255, 255, 255])
+  })
+
+  it('should encode the snapshot as Blob or data URL', async () => {
+    const control = new ThemeControl({ addButton: false }).addTo(map)
+    vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function (callback, type) {
+      callback(new Blob(['png'], { type }))
+    })
+    vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(type => `data:${type};base64,AAAA`)
+
+    const blob = await control.exportSnapshot()
+    expect(blob.type).toBe('image/png')
+    expect(await control.exportSnapshot({ format: 'dataURL', type: 'image/jpeg', quality: 0.8 })).toBe('data:image/jpeg;base64,AAAA')
+  })
+
+  it('should reject when tiles are not readable', async () => {
+    const control = new ThemeControl({ addButton: false, defaultTheme: 'dark', detectSystemTheme: false }).addTo(map)
+    addTile(new GridLayer().addTo(map), 0, [255, 255, 255], { _unreadable: true })
+
+    await expect(control.exportSnapshot()).rejects.toThrow(/same-origin or CORS-enabled/)
+
+    control.remove()
+    await expect(control.exportSnapshot()).rejects.toThrow(/added to a map/)
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest'
+import { createCookieStorage, createMemoryStorage, createWebStorage, ThemeControl } from '../src/leaflet-theme-control.js'
+import { readItem, writeItem } from '../src/leaflet-theme-storage.js'
+import { createGetSetStorage } from './helpers.js'
+
+describe('Storage adapters', () => {
+  it('should keep values in memory', () => {
+    const storage = createMemoryStorage()
+    storage.setItem('key', 'value')
+    expect(storage.getItem('key')).toBe('value')
+    storage.removeItem('key')
+    expect(storage.getItem('key')).toBeNull()
+  })
+
+  it('should store values in cookies', () => {
+    const storage = createCookieStorage()
+    storage.setItem('leaflet-theme', 'dark mode')
+    expect(document.cookie).toContain('leaflet-theme=dark%20mode')
+    expect(storage.getItem('leaflet-theme')).toBe('dark mode')
+    storage.removeItem('leaflet-theme')
+    expect(storage.getItem('leaflet-theme')).toBeNull()
+  })
+
+  it('should clear values of adapters without removeItem', () => {
+    const storage = createGetSetStorage({ key: 'value' })
+    writeItem(storage, 'key', null)
+    expect(storage.values.key).toBe('')
+    expect(readItem(storage, 'key')).toBeNull()
+  })
+
+  it('should fall back to memory when web storage is not available', () => {
+    const storage = createWebStorage('missingStorage')
+    storage.setItem('key', 'value')
+    expect(storage.getItem('key')).toBe('value')
+  })
+})
+
+describe('ThemeControl storage option', () => {
+  it('should use localStorage by default', () => {
+    const control = new ThemeControl({ addButton: false })
+    control.setTheme('dark')
+    expect(localStorage.getItem('leaflet-theme')).toBe('dark')
+  })
+
+  it('should use a named adapter for the theme and custom filters', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, storage: 'memory' })
+    control.setTheme('dark')
+    control.editor._saveTheme('dark', { invert: 1 }, 'dark')
+
+    expect(localStorage.getItem('leaflet-theme')).toBeNull()
+    expect(control._storage.getItem('leaflet-theme')).toBe('dark')
+    expect(JSON.parse(control._storage.getItem('leaflet-theme-custom-filters')).dark.invert).toBe(1)
+  })
+
+  it('should apply the saved theme and custom filters from an async adapter', async () => {
+    const values = {
+      'leaflet-theme': 'grayscale',
+      'leaflet-theme-custom-filters': JSON.stringify({ grayscale: { grayscale: 0.5 } }),
+    }
+    const storage = {
+      getItem: key => Promise.resolve(values[key] ?? null),
+      setItem: async (key, value) => {
+        values[key] = value
+      },
+    }
+
+    const control = new ThemeControl({ addButton: false, enableEditor: true, storage })
+    const events = []
+    control.on('themechange', e => events.push(e))
+
+    expect(control.getCurrentTheme()).toBe('light')
+
+    await expect(control.ready).resolves.toBe(control)
+    expect(control.getCurrentTheme()).toBe('grayscale')
+    expect(control.getThemes().grayscale.filter).toBe('grayscale(0.5)')
+    expect(events).toHaveLength(1)
+    expect(events[0].source).toBe('init')
+  })
+
+  it('should not override a theme chosen while an async adapter is loading', async () => {
+    const storage = {
+      getItem: () => Promise.resolve('grayscale'),
+      setItem: () => Promise.resolve(),
+    }
+
+    const control = new ThemeControl({ addButton: false, storage })
+    control.setTheme('dark')
+    await control.ready
+
+    expect(control.getCurrentTheme()).toBe('dark')
+  })
+})
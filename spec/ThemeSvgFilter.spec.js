@@ -0,0 +1,127 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { IDENTITY_MATRIX, validateSvgFilter } from '../src/leaflet-theme-svg.js'
+import { createMap, removeMap } from './helpers.js'
+
+const NAVY_WATER = [
+  0.9, 0, 0, 0, 0,
+  0, 0.9, 0, 0, 0,
+  0.2, 0.2, 0.6, 0, 0.1,
+  0, 0, 0, 1, 0,
+]
+
+describe('validateSvgFilter', () => {
+  it('should accept color matrices and component transfers', () => {
+    expect(validateSvgFilter([
+      { type: 'feColorMatrix', values: IDENTITY_MATRIX },
+      { type: 'feColorMatrix', matrixType: 'saturate', values: 0.5 },
+      { type: 'feComponentTransfer', r: { type: 'table', tableValues: [0, 1] }, a: { type: 'linear', slope: 0.8 } },
+    ])).toBeNull()
+  })
+
+  it('should describe invalid pipelines', () => {
+    expect(validateSvgFilter([])).toMatch(/non-empty/)
+    expect(validateSvgFilter([{ type: 'feColorMatrix', values: [1, 2] }])).toMatch(/primitive 1: values must be 20 numbers/)
+    expect(validateSvgFilter([{ type: 'feComponentTransfer', g: { type: 'sine' } }])).toMatch(/g: type must be one of/)
+    expect(validateSvgFilter([{ type: 'feTurbulence' }])).toMatch(/type must be/)
+  })
+})
+
+describe('ThemeControl SVG filters', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    navy: {
+      label: 'Navy',
+      filter: 'contrast(1.1)',
+      svgFilter: [
+        { type: 'feColorMatrix', values: NAVY_WATER },
+        { type: 'feComponentTransfer', b: { type: 'gamma', amplitude: 1, exponent: 0.8, offset: 0 } },
+      ],
+    },
+  }
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should inject the pipeline and reference it before the CSS filter', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    control.setTheme('navy')
+
+    const id = control._svgFilterId
+    const filter = document.getElementById(id)
+    expect(filter.getAttribute('color-interpolation-filters')).toBe('sRGB')
+    expect(filter.children[0].tagName.toLowerCase()).toBe('fecolormatrix')
+    expect(filter.children[0].getAttribute('values')).toBe(NAVY_WATER.join(' '))
+    expect(filter.children[1].children[0].getAttribute('exponent')).toBe('0.8')
+    expect(map.getPane('tilePane').style.filter).toBe(`url(#${id}) contrast(1.1)`)
+
+    control.setTheme('light')
+    expect(map.getPane('tilePane').style.filter).toBe('')
+  })
+
+  it('should remove the SVG and its references on remove', () => {
+    const control = new ThemeControl({ addButton: false, themes }).addTo(map)
+    control.setTheme('navy')
+    const id = control._svgFilterId
+
+    control.remove()
+
+    expect(document.getElementById(id)).toBeNull()
+    expect(map.getPane('tilePane').style.filter).toBe('contrast(1.1)')
+  })
+
+  it('should ignore invalid pipelines', () => {
+    const control = new ThemeControl({
+      addButton: false,
+      themes: { light: { label: 'Light', filter: '', svgFilter: [{ type: 'feColorMatrix', values: [1] }] } },
+    }).addTo(map)
+
+    expect(control.getThemes().light.svgFilter).toBeUndefined()
+    expect(document.querySelector('.leaflet-theme-svg-filters')).toBeNull()
+  })
+
+  it('should edit, persist and reset the pipeline in the editor', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes, defaultTheme: 'navy' }).addTo(map)
+    control.editor.openThemeSelector()
+    control.editor.openThemeEditor('navy')
+    const panel = control.editor.panel
+
+    const cell = panel.querySelector('.theme-matrix-cell[data-cell="12"]')
+    cell.value = '0.3'
+    cell.dispatchEvent(new Event('input'))
+
+    const typeSelect = panel.querySelector('.theme-func-type[data-channel="r"]')
+    typeSelect.value = 'discrete'
+    typeSelect.dispatchEvent(new Event('change'))
+    const table = panel.querySelector('.theme-func-param[data-channel="r"]')
+    table.value = '0 0.5 1'
+    table.dispatchEvent(new Event('input'))
+
+    const { svgFilter } = control.getThemes().navy
+    expect(svgFilter[0].values[12]).toBe(0.3)
+    expect(svgFilter[1].r).toEqual({ type: 'discrete', tableValues: [0, 0.5, 1] })
+    expect(document.getElementById(control._svgFilterId).children[1].children[0].getAttribute('tableValues')).toBe('0 0.5 1')
+
+    const stored = JSON.parse(localStorage.getItem('leaflet-theme-custom-filters')).navy
+    expect(stored.svgFilter[0].values[12]).toBe(0.3)
+
+    panel.querySelector('.theme-editor-reset').click()
+    expect(control.getThemes().navy.svgFilter[0].values[12]).toBe(0.6)
+  })
+
+  it('should restore an edited pipeline on load', () => {
+    localStorage.setItem('leaflet-theme-custom-filters', JSON.stringify({
+      navy: { filter: '', controlStyle: 'light', svgFilter: [{ type: 'feColorMatrix', matrixType: 'saturate', values: 0.2 }] },
+    }))
+
+    const control = new ThemeControl({ addButton: false, enableEditor: true, themes }).addTo(map)
+
+    expect(control.getThemes().navy.svgFilter).toEqual([{ type: 'feColorMatrix', matrixType: 'saturate', values: 0.2 }])
+  })
+})
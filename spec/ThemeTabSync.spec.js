@@ -0,0 +1,120 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, removeMap, slider } from './helpers.js'
+
+describe('ThemeControl tab sync', () => {
+  let maps
+
+  // Controls on separate maps stand in for the same page open in two tabs
+  const createControl = (options) => {
+    const map = createMap()
+    maps.push(map)
+    return new ThemeControl({ addButton: false, scope: 'map', ...options }).addTo(map)
+  }
+
+  beforeEach(() => {
+    maps = []
+  })
+
+  afterEach(() => {
+    maps.forEach((map) => {
+      removeMap(map)
+    })
+    vi.unstubAllGlobals()
+  })
+
+  it('should follow the theme chosen in another tab', async () => {
+    const first = createControl({ syncTabs: true })
+    const second = createControl({ syncTabs: true })
+    const events = []
+    second.on('themechange', e => events.push(e))
+
+    first.setTheme('dark')
+    await vi.waitFor(() => expect(second.getCurrentTheme()).toBe('dark'))
+    expect(second.isFollowingSystem()).toBe(false)
+    expect(events[0]).toMatchObject({ theme: 'dark', previousTheme: 'light', source: 'sync' })
+
+    first.followSystem()
+    await vi.waitFor(() => expect(second.getCurrentTheme()).toBe('light'))
+    expect(second.isFollowingSystem()).toBe(true)
+  })
+
+  it('should follow the vision preset chosen in another tab', async () => {
+    const first = createControl({ syncTabs: true })
+    const second = createControl({ syncTabs: true })
+
+    first.setVision('deuteranopia')
+    await vi.waitFor(() => expect(second.getVision()).toBe('deuteranopia'))
+
+    first.setVision(null)
+    await vi.waitFor(() => expect(second.getVision()).toBeNull())
+  })
+
+  it('should apply and reset customizations saved in another tab', async () => {
+    const first = createControl({ syncTabs: true, enableEditor: true })
+    const second = createControl({ syncTabs: true, enableEditor: true, defaultTheme: 'dark' })
+    const original = second.getThemes().dark.filter
+
+    first.editor._saveTheme('dark', { invert: 0.8 }, 'dark')
+    await vi.waitFor(() => expect(second.getThemes().dark.filter).toBe('invert(0.8)'))
+    expect(second.editor.customFilters.dark).toEqual(first.editor.customFilters.dark)
+    expect(maps[1].getPane('tilePane').style.filter).toBe('invert(0.8)')
+
+    first.editor._resetTheme('dark')
+    await vi.waitFor(() => expect(second.getThemes().dark.filter).toBe(original))
+    expect(second.editor.customFilters.dark).toBeUndefined()
+  })
+
+  it('should refresh an open editor when its theme changes in another tab', async () => {
+    const first = createControl({ syncTabs: true, enableEditor: true })
+    const second = createControl({ syncTabs: true, enableEditor: true })
+    second.editor.openThemeEditor('grayscale')
+
+    first.editor._saveTheme('grayscale', { grayscale: 0.4 }, 'light')
+    await vi.waitFor(() => {
+      expect(slider(second.editor.panel, 0).value).toBe('0.4')
+    })
+  })
+
+  it('should keep customizations another tab saved when saving a different theme', () => {
+    const first = createControl({ enableEditor: true })
+    const second = createControl({ enableEditor: true })
+
+    first.editor._saveTheme('dark', { invert: 0.8 }, 'dark')
+    second.editor._saveTheme('grayscale', { grayscale: 0.5 }, 'light')
+
+    const stored = JSON.parse(localStorage.getItem('leaflet-theme-custom-filters'))
+    expect(Object.keys(stored).sort()).toEqual(['dark', 'grayscale'])
+
+    first.editor._resetTheme('dark')
+    expect(Object.keys(JSON.parse(localStorage.getItem('leaflet-theme-custom-filters')))).toEqual(['grayscale'])
+  })
+
+  it('should fall back to storage events without BroadcastChannel', () => {
+    vi.stubGlobal('BroadcastChannel', undefined)
+    const control = createControl({ syncTabs: true, enableEditor: true })
+
+    window.dispatchEvent(new StorageEvent('storage', { key: 'leaflet-theme', newValue: 'dark' }))
+    expect(control.getCurrentTheme()).toBe('dark')
+
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'leaflet-theme-custom-filters',
+      oldValue: JSON.stringify({ grayscale: { controlStyle: 'light', filter: 'grayscale(0.5)' } }),
+      newValue: JSON.stringify({
+        grayscale: { controlStyle: 'light', filter: 'grayscale(0.5)' },
+        dark: { controlStyle: 'dark', filter: 'invert(0.7)' },
+      }),
+    }))
+    expect(control.getThemes().dark.filter).toBe('invert(0.7)')
+    expect(control.editor.customFilters.grayscale).toBeUndefined()
+  })
+
+  it('should ignore other tabs unless enabled', async () => {
+    const first = createControl({ syncTabs: true })
+    const second = createControl()
+
+    first.setTheme('dark')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(second.getCurrentTheme()).toBe('light')
+  })
+})
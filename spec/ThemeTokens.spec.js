@@ -0,0 +1,75 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { DEFAULT_THEMES, THEME_TOKENS, ThemeControl } from '../src/leaflet-theme-control.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('ThemeControl design tokens', () => {
+  const themes = {
+    light: { label: 'Light', filter: '' },
+    dark: { label: 'Dark', filter: 'invert(1)', controlStyle: 'dark' },
+    brand: {
+      label: 'Brand',
+      filter: '',
+      tokens: { accent: '#e91e63', chartLine: '#880e4f' },
+    },
+  }
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should give every built-in theme the tokens of its control style', () => {
+    const control = new ThemeControl({ addButton: false })
+    for (const key of Object.keys(DEFAULT_THEMES)) {
+      const style = DEFAULT_THEMES[key].controlStyle
+      expect(control.getThemeTokens(key)).toMatchObject({ background: THEME_TOKENS[style].background })
+    }
+    expect(control.getThemeTokens('grayscale').accent).toBe(DEFAULT_THEMES.grayscale.tokens.accent)
+
+    // A different control style brings its own set
+    control.options.themes.dark.controlStyle = 'light'
+    expect(control.getThemeTokens('dark')).toEqual(THEME_TOKENS.light)
+  })
+
+  it('should write tokens as custom properties on the scope element', () => {
+    const control = new ThemeControl({ addButton: false, scope: 'map', themes }).addTo(map)
+    const style = map.getContainer().style
+
+    expect(style.getPropertyValue('--ltc-theme-accent')).toBe(THEME_TOKENS.light.accent)
+    expect(style.getPropertyValue('--ltc-theme-accent-subtle')).toBe(THEME_TOKENS.light.accentSubtle)
+
+    control.setTheme('dark')
+    expect(style.getPropertyValue('--ltc-theme-background')).toBe(THEME_TOKENS.dark.background)
+    expect(style.getPropertyValue('--ltc-theme-overlay')).toBe(THEME_TOKENS.dark.overlay)
+
+    // Own tokens over the set of the control style, tokens of the previous theme are removed
+    control.setTheme('brand')
+    expect(style.getPropertyValue('--ltc-theme-accent')).toBe('#e91e63')
+    expect(style.getPropertyValue('--ltc-theme-chart-line')).toBe('#880e4f')
+    expect(style.getPropertyValue('--ltc-theme-background')).toBe(THEME_TOKENS.light.background)
+    expect(style.getPropertyValue('--ltc-theme-overlay')).toBe('')
+  })
+
+  it('should return the tokens of a theme', () => {
+    const control = new ThemeControl({ addButton: false, themes })
+
+    expect(control.getThemeTokens('brand')).toMatchObject({ accent: '#e91e63', foreground: THEME_TOKENS.light.foreground })
+    expect(control.getThemeTokens('dark')).toEqual(THEME_TOKENS.dark)
+  })
+
+  it('should ignore invalid tokens', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const control = new ThemeControl({
+      addButton: false,
+      themes: { light: { label: 'Light', filter: '', tokens: { 'accent': '#e91e63', 'x; color': 'red', 'border': 1 } } },
+    })
+
+    expect(control.options.themes.light.tokens).toEqual({ accent: '#e91e63' })
+    expect(warn).toHaveBeenCalledTimes(2)
+    warn.mockRestore()
+  })
+})
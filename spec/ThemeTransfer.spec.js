@@ -0,0 +1,123 @@
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { parseThemeDocument } from '../src/leaflet-theme-transfer.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('parseThemeDocument', () => {
+  it('should accept a valid document', () => {
+    const { themes, errors } = parseThemeDocument({
+      format: 'leaflet-theme-control',
+      version: 1,
+      themes: { dark: { label: 'Dark', filter: 'invert(1)', controlStyle: 'dark' } },
+    })
+    expect(errors).toEqual([])
+    expect(themes.dark.filter).toBe('invert(1)')
+  })
+
+  it('should reject invalid JSON, unknown formats and future versions', () => {
+    expect(parseThemeDocument('{').errors[0]).toMatch(/Invalid JSON/)
+    expect(parseThemeDocument({ format: 'other' }).errors[0]).toMatch(/Not a leaflet-theme-control document/)
+    expect(parseThemeDocument({ format: 'leaflet-theme-control', version: 99, themes: {} }).errors[0]).toMatch(/Unsupported version/)
+  })
+
+  it('should skip invalid themes and report them', () => {
+    const { themes, errors } = parseThemeDocument({
+      format: 'leaflet-theme-control',
+      version: 1,
+      themes: {
+        dark: { filter: 'invert(1)' },
+        broken: { filter: 'invert(1); background: red' },
+        style: { filter: '', controlStyle: 'neon' },
+      },
+    })
+    expect(Object.keys(themes)).toEqual(['dark'])
+    expect(errors).toHaveLength(2)
+  })
+})
+
+describe('ThemeEditor import/export', () => {
+  let map
+  let control
+
+  beforeEach(() => {
+    map = createMap()
+    control = new ThemeControl({ addButton: false, enableEditor: true }).addTo(map)
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should export customized themes by default', () => {
+    control.editor._saveTheme('dark', { invert: 1, hueRotate: 90, saturate: 1, brightness: 1, contrast: 1, sepia: 0, grayscale: 0 }, 'dark')
+
+    const doc = control.editor.exportThemes()
+
+    expect(doc.format).toBe('leaflet-theme-control')
+    expect(doc.version).toBe(1)
+    expect(doc.themes).toEqual({
+      dark: { label: 'Dark', filter: 'invert(1) hue-rotate(90deg)', controlStyle: 'dark' },
+    })
+  })
+
+  it('should export a single theme', () => {
+    const doc = control.editor.exportThemes('grayscale')
+    expect(Object.keys(doc.themes)).toEqual(['grayscale'])
+  })
+
+  it('should import themes as customizations and persist them', () => {
+    const events = []
+    control.on('themeimport', e => events.push(e.themes))
+
+    const result = control.editor.importThemes(JSON.stringify({
+      format: 'leaflet-theme-control',
+      version: 1,
+      themes: {
+        grayscale: { filter: 'grayscale(0.5) sepia(0.3)', controlStyle: 'dark' },
+        unknown: { filter: '' },
+      },
+    }))
+
+    expect(result.imported).toEqual(['grayscale'])
+    expect(result.errors).toEqual(['Theme "unknown" is not available'])
+    expect(control.getThemes().grayscale.filter).toBe('grayscale(0.5) sepia(0.3)')
+    expect(control.getThemes().grayscale.controlStyle).toBe('dark')
+    expect(JSON.parse(localStorage.getItem('leaflet-theme-custom-filters')).grayscale.grayscale).toBe(0.5)
+    expect(events).toEqual([['grayscale']])
+  })
+
+  it('should only apply a pasted document after previewing it', () => {
+    control.editor.openThemeSelector()
+    control.editor.panel.querySelector('.theme-transfer-open').click()
+    expect(control.editor.currentView).toBe('transfer')
+
+    const panel = control.editor.panel
+    const input = panel.querySelector('.theme-transfer-input')
+    const applyBtn = panel.querySelector('.theme-transfer-apply')
+    input.value = JSON.stringify(control.editor.exportThemes('dark')).replace('invert(1)', 'invert(0.8)')
+    input.dispatchEvent(new Event('input'))
+    expect(applyBtn.disabled).toBe(true)
+
+    panel.querySelector('.theme-transfer-preview-btn').click()
+    expect(panel.querySelector('.theme-transfer-preview-row code').textContent).toContain('invert(0.8)')
+    expect(control.getThemes().dark.filter).toContain('invert(1)')
+
+    applyBtn.click()
+    expect(control.getThemes().dark.filter).toContain('invert(0.8)')
+  })
+
+  it('should report a failed copy without the Clipboard API', async () => {
+    // navigator.clipboard only exists in secure contexts
+    Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true })
+    control.editor._saveTheme('dark', { invert: 0.8 }, 'dark')
+    control.editor.openThemeSelector()
+    control.editor.openTransferView()
+
+    const panel = control.editor.panel
+    panel.querySelector('.theme-transfer-copy').click()
+    await vi.waitFor(() => {
+      expect(panel.querySelector('.theme-transfer-status').textContent).toBe('Could not copy to clipboard')
+    })
+    delete navigator.clipboard
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { ThemeControl } from '../src/leaflet-theme-control.js'
+import { createGetSetStorage, createMap, removeMap } from './helpers.js'
+
+describe('User themes', () => {
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  const addControl = (options = {}) => new ThemeControl({ addButton: false, enableEditor: true, ...options }).addTo(map)
+
+  it('should create a theme from an existing filter and persist it', () => {
+    const control = addControl()
+    const events = []
+    control.on('themecreate', e => events.push(e.theme))
+
+    const themeKey = control.editor.createTheme({ label: 'My night theme', icon: '🌃', baseTheme: 'dark' })
+
+    expect(themeKey).toBe('user-my-night-theme')
+    expect(control.getThemes()[themeKey]).toMatchObject({
+      label: 'My night theme',
+      icon: '🌃',
+      filter: control.getThemes().dark.filter,
+      controlStyle: 'dark',
+    })
+    expect(JSON.parse(localStorage.getItem('leaflet-theme-user-themes'))[themeKey].label).toBe('My night theme')
+    expect(events).toEqual([themeKey])
+  })
+
+  it('should restore user themes and their custom filters on load', () => {
+    const control = addControl()
+    const themeKey = control.editor.duplicateTheme('grayscale')
+    control.setTheme(themeKey)
+    control.editor._saveTheme(themeKey, { grayscale: 0.5 }, 'light')
+    control.remove()
+
+    const restored = addControl()
+
+    expect(restored.getThemes()[themeKey].label).toBe('Grayscale copy')
+    expect(restored.getThemes()[themeKey].filter).toBe('grayscale(0.5)')
+    expect(restored.getCurrentTheme()).toBe(themeKey)
+  })
+
+  it('should restore a saved user theme from an async adapter', async () => {
+    const values = {
+      'leaflet-theme': 'user-night',
+      'leaflet-theme-user-themes': JSON.stringify({ 'user-night': { label: 'Night', icon: '🌃', filter: 'invert(1)', controlStyle: 'dark' } }),
+    }
+    const storage = {
+      getItem: key => Promise.resolve(values[key] ?? null),
+      setItem: () => Promise.resolve(),
+    }
+
+    const control = addControl({ storage })
+    await control.ready
+
+    expect(control.getCurrentTheme()).toBe('user-night')
+    expect(document.documentElement.getAttribute('data-control-style')).toBe('dark')
+  })
+
+  it('should generate unique keys and keep user labels with getLabel', () => {
+    const control = addControl({ getLabel: key => `translated-${key}` })
+
+    const first = control.editor.createTheme({ label: 'Night' })
+    const second = control.editor.createTheme({ label: 'Night' })
+
+    expect(second).toBe('user-night-2')
+    expect(control._getThemeLabel(first)).toBe('Night')
+    expect(control._getThemeLabel('dark')).toBe('translated-dark')
+  })
+
+  it('should rename a user theme but not a configured one', () => {
+    const control = addControl()
+    const themeKey = control.editor.createTheme({ label: 'Night' })
+
+    control.editor.renameTheme(themeKey, { label: 'Late night', icon: '⭐' })
+    control.editor.renameTheme('dark', { label: 'Renamed' })
+
+    expect(control.getThemes()[themeKey]).toMatchObject({ label: 'Late night', icon: '⭐' })
+    expect(control.getThemes().dark.label).toBe('Dark')
+  })
+
+  it('should delete a user theme and fall back to the default theme', () => {
+    const control = addControl()
+    const themeKey = control.editor.createTheme({ label: 'Night', baseTheme: 'dark' })
+    control.setTheme(themeKey)
+    control.editor._saveTheme(themeKey, { invert: 1 }, 'dark')
+
+    control.editor.deleteTheme(themeKey)
+
+    expect(control.getThemes()[themeKey]).toBeUndefined()
+    expect(control.getCurrentTheme()).toBe('light')
+    expect(control.isFollowingSystem()).toBe(true)
+    expect(localStorage.getItem('leaflet-theme')).toBeNull()
+    expect(localStorage.getItem('leaflet-theme-user-themes')).toBeNull()
+    expect(JSON.parse(localStorage.getItem('leaflet-theme-custom-filters'))[themeKey]).toBeUndefined()
+  })
+
+  it('should not bring back the last deleted theme with an adapter without removeItem', () => {
+    const storage = createGetSetStorage()
+    const control = addControl({ storage })
+    const themeKey = control.editor.createTheme({ label: 'Night', baseTheme: 'dark' })
+    control.editor.deleteTheme(themeKey)
+    control.remove()
+
+    expect(addControl({ storage }).getThemes()[themeKey]).toBeUndefined()
+  })
+
+  it('should duplicate the active theme from the selector and open the editor', () => {
+    const control = addControl()
+    control.setTheme('dark')
+    control.editor.openThemeSelector()
+
+    control.editor.panel.querySelector('.theme-duplicate-btn').click()
+    expect(control.editor.currentView).toBe('create')
+    expect(control.editor.panel.querySelector('.theme-form-name').value).toBe('Dark copy')
+    expect(control.editor.panel.querySelector('.theme-form-base').value).toBe('dark')
+
+    control.editor.panel.querySelector('.theme-form-icon-btn[data-icon="🌊"]').click()
+    control.editor.panel.querySelector('.theme-form-save').click()
+
+    expect(control.getCurrentTheme()).toBe('user-dark-copy')
+    expect(control.getThemes()['user-dark-copy'].icon).toBe('🌊')
+    expect(control.editor.currentView).toBe('editor')
+  })
+
+  it('should require a name and confirm deletion in the selector', () => {
+    const control = addControl()
+    control.editor.openThemeSelector()
+    control.editor.panel.querySelector('.theme-create-open').click()
+
+    control.editor.panel.querySelector('.theme-form-name').value = '   '
+    control.editor.panel.querySelector('.theme-form-save').click()
+    expect(control.editor.panel.querySelector('.theme-form-error').textContent).toBe('Please enter a name')
+
+    const themeKey = control.editor.createTheme({ label: 'Night' })
+    control.setTheme(themeKey)
+    control.editor.openThemeSelector()
+    control.editor.panel.querySelector('.theme-rename-btn').click()
+    expect(control.editor.currentView).toBe('rename')
+
+    const deleteBtn = control.editor.panel.querySelector('.theme-form-delete')
+    deleteBtn.click()
+    expect(control.getThemes()[themeKey]).toBeDefined()
+    deleteBtn.click()
+    expect(control.getThemes()[themeKey]).toBeUndefined()
+    expect(control.editor.currentView).toBe('selector')
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest'
+import { ThemeControl, VISION_PRESETS } from '../src/leaflet-theme-control.js'
+import { createMap, removeMap } from './helpers.js'
+
+describe('VISION_PRESETS', () => {
+  it('should keep white and black unchanged', () => {
+    for (const preset of Object.values(VISION_PRESETS)) {
+      const { values } = preset.svgFilter[0]
+      for (let row = 0; row < 3; row++) {
+        const sum = values[row * 5] + values[row * 5 + 1] + values[row * 5 + 2]
+        expect(sum).toBeCloseTo(1, 2)
+        expect(values[row * 5 + 4]).toBe(0)
+      }
+    }
+  })
+
+  it('should shift protan errors into green and blue', () => {
+    const { values } = VISION_PRESETS.protanopiaCorrection.svgFilter[0]
+    // Red channel stays as is, the others take up what protanopes can't see
+    expect(values.slice(0, 3)).toEqual([1, 0, 0])
+    expect(values[5]).toBeCloseTo(0.7 * (1 - 0.152286) - 0.114503, 6)
+  })
+})
+
+describe('ThemeControl vision presets', () => {
+  let map
+
+  beforeEach(() => {
+    map = createMap()
+  })
+
+  afterEach(() => {
+    removeMap(map)
+  })
+
+  it('should filter the map pane on top of the theme', () => {
+    const control = new ThemeControl({ addButton: false, defaultTheme: 'dark', detectSystemTheme: false }).addTo(map)
+    const changes = []
+    map.on('visionchange', e => changes.push([e.vision, e.previousVision]))
+
+    control.setVision('deuteranopia')
+
+    const filter = document.getElementById(control._visionFilterId)
+    expect(filter.getAttribute('color-interpolation-filters')).toBe('linearRGB')
+    expect(filter.firstChild.getAttribute('values').split(' ').map(Number)).toEqual(VISION_PRESETS.deuteranopia.svgFilter[0].values)
+    expect(map.getPane('mapPane').style.filter).toBe(`url(#${control._visionFilterId})`)
+    expect(map.getPane('tilePane').style.filter).toBe(control.getThemes().dark.filter)
+
+    control.setTheme('light')
+    expect(control.getVision()).toBe('deuteranopia')
+
+    control.setVision(null)
+    expect(map.getPane('mapPane').style.filter).toBe('')
+    expect(changes).toEqual([['deuteranopia', null], [null, 'deuteranopia']])
+  })
+
+  it('should remember the choice, including turning it off', () => {
+    new ThemeControl({ addButton: false }).addTo(map).setVision('tritanopiaCorrection')
+    expect(localStorage.getItem('leaflet-theme-vision')).toBe('tritanopiaCorrection')
+
+    const restored = new ThemeControl({ addButton: false })
+    expect(restored.getVision()).toBe('tritanopiaCorrection')
+
+    restored.setVision(null)
+    expect(new ThemeControl({ addButton: false, vision: 'protanopia' }).getVision()).toBeNull()
+  })
+
+  it('should start with the vision option and ignore unknown presets', () => {
+    const control = new ThemeControl({ addButton: false, vision: 'protanopia' }).addTo(map)
+    expect(map.getPane('mapPane').style.filter).toBe(`url(#${control._visionFilterId})`)
+
+    control.setVision('achromatopsia')
+    expect(control.getVision()).toBe('protanopia')
+  })
+
+  it('should clean up on remove', () => {
+    const control = new ThemeControl({ addButton: false, vision: 'protanopia' }).addTo(map)
+    control.remove()
+
+    expect(map.getPane('mapPane').style.filter).toBe('')
+    expect(document.getElementById(control._visionFilterId)).toBeNull()
+  })
+
+  it('should be selectable in the theme selector', () => {
+    const control = new ThemeControl({ addButton: false, enableEditor: true }).addTo(map)
+    control.editor.openThemeSelector()
+
+    const select = control.editor.panel.querySelector('.theme-vision-select')
+    expect([...select.options].map(option => option.value)).toEqual(['', ...Object.keys(VISION_PRESETS)])
+
+    select.value = 'protanopia'
+    select.dispatchEvent(new Event('change'))
+
+    expect(control.getVision()).toBe('protanopia')
+    expect(control.editor.isOpen).toBe(true)
+  })
+})
@@ -0,0 +1,68 @@
+import { Map } from 'leaflet'
+
+/**
+ * Create a map in a container attached to the document.
+ * @param {object} [options] - Map options
+ * @returns {Map} The map
+ */
+export function createMap(options) {
+  const container = document.createElement('div')
+  document.body.appendChild(container)
+  return new Map(container, { center: [0, 0], zoom: 2, ...options })
+}
+
+/**
+ * Remove a map created with createMap and its container.
+ * @param {Map} map - The map
+ */
+export function removeMap(map) {
+  map.remove()
+  map.getContainer().remove()
+}
+
+/**
+ * Get a range input of the filter steps in the editor panel.
+ * @param {HTMLElement} panel - Editor panel
+ * @param {number} index - Index of the step
+ * @returns {HTMLInputElement|null} The slider
+ */
+export function slider(panel, index) {
+  return panel.querySelector(`input[type="range"][data-index="${index}"]`)
+}
+
+/**
+ * Move a slider through the values like a drag, then release it.
+ * @param {HTMLInputElement} input - Slider
+ * @param {...string} values - Values in the order they are passed
+ */
+export function drag(input, ...values) {
+  values.forEach((value) => {
+    input.value = value
+    input.dispatchEvent(new Event('input'))
+  })
+  input.dispatchEvent(new Event('change'))
+}
+
+/**
+ * Wait for the animation frame after pending tasks, so frames that
+ * observer callbacks schedule have run too.
+ * @returns {Promise<void>} Resolves after the frame
+ */
+export function nextFrame() {
+  return new Promise(resolve => setTimeout(() => requestAnimationFrame(resolve)))
+}
+
+/**
+ * Create a storage adapter with only getItem and setItem.
+ * @param {object} [values] - Stored values by key
+ * @returns {object} The adapter, its values are exposed as `values`
+ */
+export function createGetSetStorage(values = {}) {
+  return {
+    values,
+    getItem: key => values[key] ?? null,
+    setItem: (key, value) => {
+      values[key] = value
+    },
+  }
+}
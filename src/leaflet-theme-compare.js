@@ -0,0 +1,243 @@
+/**
+ * Before/after comparison of a theme being edited.
+ *
+ * The map panes the theme filters are cloned, the clones get the filters the
+ * theme was configured with, and both are clipped at a draggable divider:
+ * the original theme on the left, the edited one on the right. Clones are
+ * rebuilt (at most once per animation frame) when tiles load or unload, or
+ * when the editor previews the edited filters. Style changes aren't watched
+ * because Leaflet restyles the tiles on every frame of a zoom or pan animation.
+ *
+ * Cloning does not copy canvas pixels, so layers drawn by a Canvas renderer
+ * only show on the edited side.
+ */
+
+import { DomEvent, DomUtil } from 'leaflet'
+import { renderSvgFilter } from './leaflet-theme-svg.js'
+
+/** Distance the clip polygons reach beyond the divider (px) */
+const CLIP_EXTENT = 100000
+
+/** Divider movement per arrow key press (share of the map width) */
+const KEYBOARD_STEP = 0.05
+
+// Polygon covering everything between two x coordinates of a pane
+const clipBetween = (left, right) => `polygon(${left}px ${-CLIP_EXTENT}px, ${right}px ${-CLIP_EXTENT}px, ${right}px ${CLIP_EXTENT}px, ${left}px ${CLIP_EXTENT}px)`
+
+/**
+ * Find an element's pane, the ancestor directly inside the map pane.
+ * @param {HTMLElement} el - Filtered element
+ * @param {HTMLElement} mapPane - Map pane
+ * @returns {HTMLElement|null} Pane, or null if the element is not inside the map pane
+ */
+function getTopPane(el, mapPane) {
+  let node = el
+  while (node && node.parentElement !== mapPane) {
+    node = node.parentElement
+  }
+  return node
+}
+
+/**
+ * Find the copy of an element in a clone of one of its ancestors.
+ * @param {HTMLElement} el - Element inside the original
+ * @param {HTMLElement} original - Cloned element
+ * @param {HTMLElement} clone - Clone
+ * @returns {HTMLElement} Copy of el
+ */
+function findCopy(el, original, clone) {
+  const path = []
+  for (let node = el; node !== original; node = node.parentElement) {
+    path.unshift([...node.parentElement.children].indexOf(node))
+  }
+  return path.reduce((node, index) => node.children[index], clone)
+}
+
+export class ThemeComparison {
+  /**
+   * Show the comparison on the control's map.
+   * @param {object} control - ThemeControl added to a map
+   * @param {string} themeKey - Theme being edited
+   * @param {object} [options] - Comparison options
+   * @param {number} [options.position] - Divider position from 0 (left) to 1 (right)
+   * @param {object} [options.labels] - Texts: { original, edited, divider }
+   * @param {() => object} [options.getTheme] - Returns the edited theme (default: the theme's config)
+   */
+  constructor(control, themeKey, { position = 0.5, labels = {}, getTheme } = {}) {
+    this._control = control
+    this._map = control.map
+    this._themeKey = themeKey
+    this._getTheme = getTheme || (() => control.options.themes[themeKey])
+    this._position = Math.min(1, Math.max(0, position))
+
+    // Live pane → clone showing the original theme
+    this._clones = new Map()
+    this._frame = null
+    this._svgFilterId = `${control._svgFilterId}-original`
+    this._observer = new MutationObserver(() => this.scheduleUpdate())
+
+    this._createDivider(labels)
+    this._map.on('move zoomend resize viewreset', this._updateClip, this)
+    this.update()
+  }
+
+  /**
+   * Move the divider.
+   * @param {number} position - From 0 (all edited) to 1 (all original)
+   */
+  setPosition(position) {
+    this._position = Math.min(1, Math.max(0, position))
+    this._updateClip()
+  }
+
+  getPosition() {
+    return this._position
+  }
+
+  /**
+   * Clone the filtered panes again and give the clones the original filters.
+   */
+  update() {
+    if (this._frame) {
+      cancelAnimationFrame(this._frame)
+      this._frame = null
+    }
+    this._observer.disconnect()
+    this._removeClones()
+
+    const control = this._control
+    const edited = this._getTheme()
+    const original = { ...edited, ...control.originalThemes[this._themeKey] }
+
+    // The edited theme's SVG filter pipeline lives in the control's filter element
+    const originalFilters = control._getMapFilters(original)
+    if (original.svgFilter) {
+      renderSvgFilter(control._getSvgFilter(this._svgFilterId), original.svgFilter)
+      const reference = `url(#${control._svgFilterId})`
+      originalFilters.forEach((filter, el) => {
+        originalFilters.set(el, filter.replace(reference, `url(#${this._svgFilterId})`))
+      })
+    }
+
+    // Elements only the edited theme filters are unfiltered in the original
+    const filters = new Map([...control._getMapFilters(edited).keys()].map(el => [el, '']))
+    originalFilters.forEach((filter, el) => filters.set(el, filter))
+
+    const mapPane = this._map.getPane('mapPane')
+    filters.forEach((filter, el) => {
+      const pane = getTopPane(el, mapPane)
+      if (!pane) return
+
+      if (!this._clones.has(pane)) {
+        const clone = pane.cloneNode(true)
+        clone.classList.add('leaflet-theme-compare-clone')
+        clone.setAttribute('aria-hidden', 'true')
+        pane.after(clone)
+        this._clones.set(pane, clone)
+        this._observer.observe(pane, { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'src'] })
+      }
+      findCopy(el, pane, this._clones.get(pane)).style.filter = filter
+    })
+
+    this._updateClip()
+  }
+
+  /**
+   * Remove the divider and the clones, and show the map as before.
+   */
+  remove() {
+    if (this._frame) {
+      cancelAnimationFrame(this._frame)
+      this._frame = null
+    }
+    this._observer.disconnect()
+    this._removeClones()
+    this._map.off('move zoomend resize viewreset', this._updateClip, this)
+    this._container.remove()
+    document.getElementById(this._svgFilterId)?.remove()
+  }
+
+  /**
+   * Clone the panes again in the next animation frame.
+   */
+  scheduleUpdate() {
+    if (!this._frame) {
+      this._frame = requestAnimationFrame(() => this.update())
+    }
+  }
+
+  _removeClones() {
+    this._clones.forEach((clone, pane) => {
+      clone.remove()
+      pane.style.clipPath = ''
+    })
+    this._clones.clear()
+  }
+
+  /**
+   * Clip the clones left and the panes right of the divider. Panes move with
+   * the map pane, so the divider is converted to pane coordinates.
+   */
+  _updateClip() {
+    const x = this._map.getSize().x * this._position
+    const paneX = this._map.containerPointToLayerPoint([x, 0]).x
+
+    this._clones.forEach((clone, pane) => {
+      clone.style.clipPath = clipBetween(-CLIP_EXTENT, paneX)
+      pane.style.clipPath = clipBetween(paneX, CLIP_EXTENT)
+    })
+
+    const percent = Math.round(this._position * 100)
+    this._divider.style.left = `${this._position * 100}%`
+    this._divider.setAttribute('aria-valuenow', percent)
+    this._divider.setAttribute('aria-valuetext', `${percent}%`)
+  }
+
+  _createDivider(labels) {
+    const container = DomUtil.create('div', 'leaflet-theme-compare', this._map.getContainer())
+    DomUtil.create('span', 'leaflet-theme-compare-label leaflet-theme-compare-original', container).textContent = labels.original || 'Original'
+    DomUtil.create('span', 'leaflet-theme-compare-label leaflet-theme-compare-edited', container).textContent = labels.edited || 'Edited'
+
+    const divider = DomUtil.create('div', 'leaflet-theme-compare-divider', container)
+    divider.tabIndex = 0
+    divider.setAttribute('role', 'slider')
+    divider.setAttribute('aria-label', labels.divider || 'Compare with original')
+    divider.setAttribute('aria-valuemin', '0')
+    divider.setAttribute('aria-valuemax', '100')
+    DomUtil.create('span', 'leaflet-theme-compare-handle', divider)
+
+    // Dragging the divider must not pan the map
+    DomEvent.disableClickPropagation(divider)
+    let dragging = false
+    DomEvent.on(divider, 'pointerdown', (e) => {
+      dragging = true
+      divider.setPointerCapture?.(e.pointerId)
+      e.preventDefault()
+    })
+    DomEvent.on(divider, 'pointermove', (e) => {
+      if (!dragging) return
+      const rect = this._map.getContainer().getBoundingClientRect()
+      if (rect.width > 0) this.setPosition((e.clientX - rect.left) / rect.width)
+    })
+    DomEvent.on(divider, 'pointerup pointercancel', () => {
+      dragging = false
+    })
+
+    DomEvent.on(divider, 'keydown', (e) => {
+      const positions = {
+        ArrowLeft: this._position - KEYBOARD_STEP,
+        ArrowRight: this._position + KEYBOARD_STEP,
+        Home: 0,
+        End: 1,
+      }
+      if (!(e.key in positions)) return
+
+      // Arrow keys would pan the map too
+      DomEvent.stop(e)
+      this.setPosition(positions[e.key])
+    })
+
+    this._container = container
+    this._divider = divider
+  }
+}
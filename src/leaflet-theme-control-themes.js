@@ -1,5 +1,74 @@
 /**
- * Built-in theme presets with CSS filters
+ * Design tokens of the light and dark control styles. The control writes a theme's
+ * tokens (merged over the set of its control style) as --ltc-theme-* CSS custom
+ * properties, e.g. accentSubtle → --ltc-theme-accent-subtle.
+ */
+export const THEME_TOKENS = {
+  light: {
+    background: 'var(--leaflet-control-bg-color, #fff)',
+    backgroundHover: 'var(--leaflet-control-hover-bg-color, #f4f4f4)',
+    surface: '#f5f5f5',
+    foreground: 'var(--leaflet-control-text-color, #333)',
+    mutedForeground: '#666',
+    subtleForeground: '#aaa',
+    border: 'var(--leaflet-control-border-color, #e0e0e0)',
+    borderStrong: '#bbb',
+    accent: '#2196f3',
+    accentStrong: '#1976d2',
+    accentSubtle: '#e3f2fd',
+    accentForeground: '#fff',
+    link: '#64b5f6',
+    shadow: 'rgba(0, 0, 0, 0.15)',
+  },
+  dark: {
+    background: '#2d2d2d',
+    backgroundHover: '#404040',
+    surface: '#3a3a3a',
+    foreground: '#e0e0e0',
+    mutedForeground: '#aaa',
+    subtleForeground: '#666',
+    border: '#404040',
+    borderStrong: '#555',
+    accent: '#2196f3',
+    accentStrong: '#1976d2',
+    accentSubtle: '#1e3a5f',
+    accentForeground: '#fff',
+    link: '#90caf9',
+    shadow: 'rgba(0, 0, 0, 0.15)',
+    overlay: 'rgba(45, 45, 45, 0.95)',
+    overlayHover: 'rgba(60, 60, 60, 0.95)',
+    overlayDisabled: 'rgba(35, 35, 35, 0.95)',
+  },
+}
+
+/** Colors of a theme's controlPalette, written as the control* design tokens */
+export const CONTROL_PALETTE_KEYS = ['background', 'foreground', 'hover', 'border', 'focus']
+
+/** Control palettes matching the light and dark control styles, where the editor's color pickers start */
+export const CONTROL_PALETTES = {
+  light: { background: '#ffffff', foreground: '#333333', hover: '#f4f4f4', border: '#cccccc', focus: '#2196f3' },
+  dark: { background: '#2d2d2d', foreground: '#e0e0e0', hover: '#3c3c3c', border: '#555555', focus: '#90caf9' },
+}
+
+/**
+ * Validate a control palette (any of CONTROL_PALETTE_KEYS → CSS color).
+ * @param {object} palette - Control palette
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+export function validateControlPalette(palette) {
+  if (!palette || typeof palette !== 'object' || Array.isArray(palette)) return 'must be an object of colors'
+
+  for (const [key, color] of Object.entries(palette)) {
+    if (!CONTROL_PALETTE_KEYS.includes(key)) return `unknown color "${key}", use ${CONTROL_PALETTE_KEYS.join(', ')}`
+    // Colors end up in style attributes, reject anything that could break out of them
+    if (typeof color !== 'string' || !color.trim() || /[;{}<>]/.test(color)) return `${key}: not a valid color`
+  }
+  return null
+}
+
+/**
+ * Built-in theme presets with CSS filters. Their tokens only override
+ * the set of the control style, so changing controlStyle still works.
  */
 export const DEFAULT_THEMES = {
   light: {
@@ -22,6 +91,12 @@ export const DEFAULT_THEMES = {
     icon: '⚫',
     controlStyle: 'light',
     className: 'theme-grayscale',
+    tokens: {
+      accent: '#616161',
+      accentStrong: '#424242',
+      accentSubtle: '#eeeeee',
+      link: '#757575',
+    },
   },
   custom: {
     label: 'Custom',
@@ -29,5 +104,101 @@ export const DEFAULT_THEMES = {
     icon: '🎨',
     controlStyle: 'dark',
     className: 'theme-custom',
+    tokens: {
+      accent: '#8d6e63',
+      accentStrong: '#6d4c41',
+      accentSubtle: '#4e342e',
+      link: '#bcaaa4',
+    },
+  },
+}
+
+/**
+ * Color-vision deficiency simulation matrices for linear RGB
+ * (Machado, Oliveira & Fernandes 2009, severity 1)
+ */
+const CVD_SIMULATION = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900],
+  ],
+}
+
+/** Where daltonization moves the color difference a viewer can't see (Fidaner, Lin & Ozguven) */
+const CVD_ERROR_SHIFT = {
+  protanopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+  deuteranopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+  tritanopia: [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]],
+}
+
+const identity = (row, col) => (row === col ? 1 : 0)
+
+/**
+ * Correction matrix: color + shift × (color − simulated color)
+ * @param {number[][]} simulation - 3×3 simulation matrix
+ * @param {number[][]} shift - 3×3 error shift matrix
+ * @returns {number[][]} 3×3 correction matrix
+ */
+function daltonize(simulation, shift) {
+  return [0, 1, 2].map(row => [0, 1, 2].map((col) => {
+    let value = identity(row, col)
+    for (let k = 0; k < 3; k++) {
+      value += shift[row][k] * (identity(k, col) - simulation[k][col])
+    }
+    return Math.round(value * 1e6) / 1e6
+  }))
+}
+
+/**
+ * Wrap a 3×3 RGB matrix in an feColorMatrix pipeline (alpha unchanged)
+ * @param {number[][]} matrix - 3×3 matrix
+ * @returns {object[]} SVG filter pipeline
+ */
+function colorMatrixFilter(matrix) {
+  return [{
+    type: 'feColorMatrix',
+    values: [...matrix[0], 0, 0, ...matrix[1], 0, 0, ...matrix[2], 0, 0, 0, 0, 0, 1, 0],
+  }]
+}
+
+/**
+ * Color-vision presets, applied on top of the active theme (see ThemeControl#setVision).
+ * Their svgFilter pipelines work in linear RGB.
+ */
+export const VISION_PRESETS = {
+  protanopia: {
+    label: 'Protanopia (simulation)',
+    svgFilter: colorMatrixFilter(CVD_SIMULATION.protanopia),
+  },
+  deuteranopia: {
+    label: 'Deuteranopia (simulation)',
+    svgFilter: colorMatrixFilter(CVD_SIMULATION.deuteranopia),
+  },
+  tritanopia: {
+    label: 'Tritanopia (simulation)',
+    svgFilter: colorMatrixFilter(CVD_SIMULATION.tritanopia),
+  },
+  protanopiaCorrection: {
+    label: 'Protanopia correction',
+    svgFilter: colorMatrixFilter(daltonize(CVD_SIMULATION.protanopia, CVD_ERROR_SHIFT.protanopia)),
+  },
+  deuteranopiaCorrection: {
+    label: 'Deuteranopia correction',
+    svgFilter: colorMatrixFilter(daltonize(CVD_SIMULATION.deuteranopia, CVD_ERROR_SHIFT.deuteranopia)),
+  },
+  tritanopiaCorrection: {
+    label: 'Tritanopia correction',
+    svgFilter: colorMatrixFilter(daltonize(CVD_SIMULATION.tritanopia, CVD_ERROR_SHIFT.tritanopia)),
   },
 }
@@ -1,6 +1,33 @@
-import { Control, DomEvent, DomUtil, Util } from 'leaflet'
-import { DEFAULT_THEMES } from './leaflet-theme-control-themes.js'
+import { Control, DomEvent, DomUtil, Evented, GridLayer, LayerGroup, Marker, Path, Util } from 'leaflet'
+import { CONTROL_PALETTES, DEFAULT_THEMES, THEME_TOKENS, validateControlPalette, VISION_PRESETS } from './leaflet-theme-control-themes.js'
 import { ThemeEditor } from './leaflet-theme-editor.js'
+import { auditFilter, createBrandPalette, createColorTransform, createSvgFilterTransform, REFERENCE_PALETTE } from './leaflet-theme-filter-math.js'
+import { createFilterInterpolator, validatePaneFilters } from './leaflet-theme-filters.js'
+import { DEFAULT_HOTKEYS, isTypingEvent, matchesHotkey, parseHotkey } from './leaflet-theme-hotkeys.js'
+import { DEFAULT_SCHEDULE, getSchedulePeriod } from './leaflet-theme-schedule.js'
+import { renderSnapshot } from './leaflet-theme-snapshot.js'
+import { decodeFilterValues, encodeFilterValues, getUrlParams, replaceUrlParams } from './leaflet-theme-url.js'
+import { createCookieStorage, createMemoryStorage, createWebStorage, isThenable, readItem, resolveStorage, writeItem } from './leaflet-theme-storage.js'
+import { cloneSvgFilter, createSvgFilter, createSvgFilterContainer, renderSvgFilter, validateSvgFilter } from './leaflet-theme-svg.js'
+
+/** Design token names are camelCase, each becomes an --ltc-theme-* custom property */
+const TOKEN_NAME = /^[a-z][a-zA-Z0-9]*$/
+
+// accentSubtle → --ltc-theme-accent-subtle
+const tokenProperty = name => `--ltc-theme-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`
+
+/** Media rules used with detectSystemTheme unless the mediaRules option replaces them */
+const DEFAULT_MEDIA_RULES = [
+  { query: '(prefers-color-scheme: dark)', theme: 'dark', priority: 0 },
+]
+
+/** Easing functions for theme transitions, t runs from 0 to 1 */
+const EASINGS = {
+  'linear': t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => t * (2 - t),
+  'ease-in-out': t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+}
 
 /**
  * ThemeControl - Leaflet control for switching visual themes
@@ -10,23 +37,55 @@ import { ThemeEditor } from './leaflet-theme-editor.js'
  * - Dark (inverted colors)
  * - Grayscale (black & white)
  * - Custom themes via options
+ *
+ * Fires Leaflet events on the control (and on the map once added):
+ * - themechange: { theme, previousTheme, source } where source is 'init', 'user', 'system', 'schedule', 'editor' or 'sync'
+ * - themeeditoropen: { view, theme }
+ * - themeeditorclose
+ * - themefilterinput: { theme, values, filter }
+ * - themereset: { theme }
+ * - themeundo, themeredo: { theme }
+ * - visionchange: { vision, previousVision }
  */
 export class ThemeControl extends Control {
   static {
+    // Control does not inherit from Evented, so borrow its methods (on, off, fire, ...)
+    for (const name of Object.getOwnPropertyNames(Evented.prototype)) {
+      if (name !== 'constructor') {
+        Object.defineProperty(this.prototype, name, Object.getOwnPropertyDescriptor(Evented.prototype, name))
+      }
+    }
+
     this.setDefaultOptions({
       position: 'topright',
       themes: null, // Will be set to a copy of DEFAULT_THEMES in initialize
       defaultTheme: 'light',
+      vision: null, // Color-vision preset applied on top of every theme (key of visionPresets), e.g. 'deuteranopia'
+      visionPresets: null, // Will be set to a copy of VISION_PRESETS in initialize
+      brandColors: [], // Overlay colors checked by auditTheme(): CSS colors or { name, color, filtered }
       storageKey: 'leaflet-theme',
+      storage: 'localStorage', // 'localStorage', 'sessionStorage', 'memory', 'cookie' or an adapter { getItem, setItem, removeItem }
+      scope: 'document', // 'document' or 'map' (apply theme only inside the map container)
       detectSystemTheme: true,
+      mediaRules: null, // Media queries → themes: [{ query, theme, priority }], defaults to DEFAULT_MEDIA_RULES (used with detectSystemTheme)
+      schedule: null, // Automatic day/night themes: { mode: 'clock' | 'sun', dayTheme, nightTheme, dayStart, nightStart, latlng, interval }
+      urlParam: null, // URL parameter to read/write the theme (e.g. 'theme' for shareable links), null disables
+      urlParamMode: 'query', // 'query' (?theme=dark) or 'hash' (#theme=dark)
+      urlIncludeFilters: false, // Also share the editor's custom filter values as '<urlParam>-filters'
       cssSelector: '.leaflet-tile-pane',
+      observeElements: true, // Apply the current filter to matching elements added later (MutationObserver)
+      transitionDuration: 0, // Animate the cssSelector filter when switching themes (ms), 0 disables
+      transitionEasing: 'ease-in-out', // 'linear', 'ease-in', 'ease-out', 'ease-in-out' or a function (t) => t
       addButton: true, // Add UI button to map (set to false for programmatic control only)
       enableEditor: false, // Enable theme editor UI
+      editorMode: 'live', // 'live' (every change in the editor is saved) or 'draft' (previewed until Apply)
       onChange: null,
       getLabel: null, // Function to get translated theme labels: (themeKey) => string
       getEditorLabels: null, // Function to get translated editor UI labels: (key) => string
       panelPosition: 'topright', // Position of the editor panel: 'topright', 'topleft', 'bottomright', 'bottomleft'
       panelZIndex: 1000, // Z-index for editor panel
+      hotkeys: null, // Keyboard shortcuts: true for the defaults, or { cycle, themes, editor, global } (see DEFAULT_HOTKEYS)
+      syncTabs: false, // Follow the theme, vision preset and editor customizations chosen in other tabs of the page
     })
   }
 
@@ -42,66 +101,433 @@ export class ThemeControl extends Control {
     // This ensures reset uses user-provided values, not DEFAULT_THEMES
     this.originalThemes = {}
     for (const [key, theme] of Object.entries(this.options.themes)) {
+      if (theme.svgFilter) {
+        const error = validateSvgFilter(theme.svgFilter)
+        if (error) {
+          console.warn(`Theme "${key}": invalid svgFilter (${error}), ignoring it`)
+          delete theme.svgFilter
+        }
+      }
+      if (theme.tokens) {
+        theme.tokens = this._validateTokens(key, theme.tokens)
+      }
+      if (theme.panes) {
+        const error = validatePaneFilters(theme.panes)
+        if (error) {
+          console.warn(`Theme "${key}": invalid panes (${error}), ignoring them`)
+          delete theme.panes
+        }
+      }
+      if (theme.controlPalette) {
+        const error = validateControlPalette(theme.controlPalette)
+        if (error) {
+          console.warn(`Theme "${key}": invalid controlPalette (${error}), ignoring it`)
+          delete theme.controlPalette
+        }
+      }
+
       this.originalThemes[key] = {
         filter: theme.filter,
         controlStyle: theme.controlStyle,
+        svgFilter: cloneSvgFilter(theme.svgFilter),
+        panes: theme.panes && { ...theme.panes },
+        controlPalette: theme.controlPalette && { ...theme.controlPalette },
+      }
+    }
+
+    this.options.visionPresets = this._shallowCopyThemes(
+      this.options.visionPresets || VISION_PRESETS,
+    )
+    for (const [key, preset] of Object.entries(this.options.visionPresets)) {
+      const error = validateSvgFilter(preset.svgFilter)
+      if (error) {
+        console.warn(`Vision preset "${key}": invalid svgFilter (${error}), ignoring it`)
+        delete this.options.visionPresets[key]
       }
     }
 
-    this.root = document.documentElement
-    this.savedTheme = localStorage.getItem(this.options.storageKey)
+    // Inline SVG holding the filters of themes with an svgFilter pipeline
+    // and of the vision preset (created when first needed)
+    this._svgFilterId = `ltc-${Util.stamp(this)}-svg-filter`
+    this._visionFilterId = `ltc-${Util.stamp(this)}-vision-filter`
+    this._svgFilterContainer = null
+    this._visionPane = null
+
+    // Storage adapter shared with the editor
+    this._storage = resolveStorage(this.options.storage)
+
+    // With scope 'map' the root and storage key depend on the map container,
+    // so theme setup is deferred until onAdd
+    this._scopeToMap = this.options.scope === 'map'
+    this.root = this._scopeToMap ? null : document.documentElement
+
+    // Registered tile/grid layers (layer → name) for per-layer filters,
+    // and the layer containers that currently carry a filter set by us
+    this._themeLayers = new Map()
+    this._filteredLayerContainers = new Set()
+
+    // Map panes filtered by the current theme's panes
+    this._filteredPanes = new Set()
+
+    // Custom properties written for the current theme's design tokens
+    this._tokenProperties = new Set()
+
+    // Registered vector layers and markers (layer → original style or icon)
+    // restyled by the theme's pathStyle and markerIcon, and registered groups
+    this._overlays = new Map()
+    this._overlayGroups = new Set()
+
+    // Automatic day/night switching (used as long as no theme was chosen manually)
+    this._schedule = this.options.schedule ? { ...DEFAULT_SCHEDULE, ...this.options.schedule } : null
 
     // AbortController for automatic event cleanup
     this._abortController = new AbortController()
 
+    // Channel to other tabs, open while added with syncTabs
+    this._syncChannel = null
+
     // Setup MutationObserver to watch for language changes on html[lang]
     this._setupLanguageObserver()
 
-    // Setup media query listener for system theme changes
+    // Setup media query listeners for system theme changes, highest priority first
+    // (a stable sort, so equal priorities keep their order)
+    this._mediaRules = []
     if (this.options.detectSystemTheme) {
-      const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)')
-      this.prefersDark = mediaQuery.matches
+      this._mediaRules = (this.options.mediaRules || DEFAULT_MEDIA_RULES)
+        .filter((rule) => {
+          const valid = rule && typeof rule.query === 'string' && typeof rule.theme === 'string'
+          if (!valid) console.warn('Media rules need a query and a theme, ignoring', rule)
+          return valid
+        })
+        .map(rule => ({ ...rule, priority: rule.priority || 0, mediaQuery: window.matchMedia(rule.query) }))
+        .sort((a, b) => b.priority - a.priority)
 
-      mediaQuery.addEventListener('change', (e) => {
-        // Only auto-switch if user hasn't manually selected a theme
-        if (!this.savedTheme) {
-          this.setTheme(e.matches ? 'dark' : this.options.defaultTheme)
-        }
-      }, { signal: this._abortController.signal })
+      this._mediaRules.forEach(({ mediaQuery }) => {
+        mediaQuery.addEventListener('change', () => this._updateMediaTheme(), { signal: this._abortController.signal })
+      })
     }
-    else {
-      this.prefersDark = false
+
+    if (!this._scopeToMap) {
+      this._initTheme()
     }
+  }
+
+  _initTheme() {
+    const storedTheme = readItem(this._storage, this._getStorageKey())
+    const isAsync = isThenable(storedTheme)
+    this.savedTheme = isAsync ? null : storedTheme
 
     // Initialize theme editor if enabled
     if (this.options.enableEditor) {
       this.editor = new ThemeEditor(this)
     }
 
-    // Set initial theme
+    this._applyUrlFilters()
+
+    // A vision preset chosen by the user wins over the vision option ('none' if they turned it off)
+    const storedVision = readItem(this._storage, this._getVisionStorageKey())
+    this.currentVision = this._resolveVision(isThenable(storedVision) ? this.options.vision : storedVision ?? this.options.vision)
+
+    // Set initial theme (with an async adapter the saved theme follows once loaded)
     const initialTheme = this._determineInitialTheme()
     this.currentTheme = initialTheme
     this._applyTheme(initialTheme, false)
+
+    // Resolves when the saved theme and custom filters have been loaded
+    const loads = [this.editor && this.editor.ready]
+    if (isAsync) {
+      // Wait for the editor too, the saved theme may be a user-created one
+      loads.push(Promise.all([storedTheme, this.editor && this.editor.ready])
+        .then(([saved]) => this._restoreSavedTheme(saved, initialTheme)))
+    }
+    if (isThenable(storedVision)) {
+      const initialVision = this.currentVision
+      loads.push(storedVision.then((saved) => {
+        // Don't override a preset chosen while storage was loading
+        if (saved === null || !this.options || this.currentVision !== initialVision) return
+        this._setVision(this._resolveVision(saved))
+      }))
+    }
+    this.ready = Promise.all(loads).then(() => this)
+  }
+
+  /**
+   * Apply a saved theme delivered by an async storage adapter.
+   * @param {string|null} savedTheme - Theme key from storage
+   * @param {string} initialTheme - Theme applied while loading
+   */
+  _restoreSavedTheme(savedTheme, initialTheme) {
+    // Don't override a theme chosen while storage was loading
+    if (!this.options || this.currentTheme !== initialTheme) return
+
+    this.savedTheme = savedTheme
+    const themeKey = this._determineInitialTheme()
+    if (themeKey === initialTheme) return
+
+    this.currentTheme = themeKey
+    this._applyTheme(themeKey, false)
+    this._updateButton(this.button, themeKey)
+    this.fire('themechange', { theme: themeKey, previousTheme: initialTheme, source: 'init' }, true)
+  }
+
+  /**
+   * Storage key for the selected theme. With scope 'map' it is namespaced
+   * by the map container id so several maps keep separate preferences.
+   * @returns {string} Storage key
+   */
+  _getStorageKey() {
+    const { storageKey } = this.options
+    const containerId = this._scopeToMap && this.map && this.map.getContainer().id
+    return containerId ? `${storageKey}-${containerId}` : storageKey
+  }
+
+  _getVisionStorageKey() {
+    return `${this._getStorageKey()}-vision`
+  }
+
+  _resolveVision(visionKey) {
+    return visionKey && this.options.visionPresets[visionKey] ? visionKey : null
+  }
+
+  /**
+   * Query elements within the theme scope (the document or the map container).
+   * @param {string} selector - CSS selector
+   * @returns {NodeList} Matching elements
+   */
+  _querySelectorAll(selector) {
+    const scope = this._scopeToMap ? this.root : document
+    return scope.querySelectorAll(selector)
   }
 
   _determineInitialTheme() {
-    // 1. Check localStorage
+    // 1. Check URL (shared links)
+    const urlTheme = this._getUrlTheme()
+    if (urlTheme && this.options.themes[urlTheme]) {
+      return urlTheme
+    }
+
+    // 2. Check storage
     if (this.savedTheme && this.options.themes[this.savedTheme]) {
       return this.savedTheme
     }
 
-    // 2. Check system preference (if enabled)
-    if (this.options.detectSystemTheme && this.prefersDark && this.options.themes.dark) {
-      return 'dark'
+    return this._getAutomaticTheme()
+  }
+
+  /**
+   * Theme to use without a manual choice.
+   * @returns {string} Theme key
+   */
+  _getAutomaticTheme() {
+    // 3. Check day/night schedule (if configured)
+    const scheduledTheme = this._getScheduledTheme()
+    if (scheduledTheme) {
+      return scheduledTheme
+    }
+
+    // 4. Check system preferences (if enabled)
+    const mediaTheme = this._getMediaTheme()
+    if (mediaTheme) {
+      return mediaTheme
     }
 
-    // 3. Use default
+    // 5. Use default
     return this.options.defaultTheme
   }
 
+  /**
+   * Theme of the highest-priority media rule that matches.
+   * @returns {string|null} Theme key, or null if no rule with an available theme matches
+   */
+  _getMediaTheme() {
+    const rule = this._mediaRules.find(({ mediaQuery, theme }) => mediaQuery.matches && this.options.themes[theme])
+    return rule ? rule.theme : null
+  }
+
+  /**
+   * Follow a change of the media rules, unless the user chose a theme
+   * or the schedule picks one (sun times need a position).
+   */
+  _updateMediaTheme() {
+    if (this.savedTheme || this._getScheduledTheme()) return
+
+    const themeKey = this._getMediaTheme() || this.options.defaultTheme
+    if (themeKey !== this.currentTheme) {
+      this.setTheme(themeKey, 'system')
+    }
+  }
+
+  /**
+   * Forget the theme the user chose and go back to the automatic one
+   * (schedule, media rules or defaultTheme), following their changes again.
+   * @returns {this} This control
+   */
+  followSystem() {
+    this.savedTheme = null
+    writeItem(this._storage, this._getStorageKey(), null)
+    this._broadcast({ type: 'theme', theme: null })
+    this._updateUrl(false)
+
+    const themeKey = this._getAutomaticTheme()
+    if (themeKey !== this.currentTheme) {
+      this.setTheme(themeKey, this._getScheduledTheme() ? 'schedule' : 'system')
+    }
+    return this
+  }
+
+  /**
+   * Check whether the theme follows the system (no theme chosen by the user).
+   * @returns {boolean} True without a manual choice
+   */
+  isFollowingSystem() {
+    return !this.savedTheme
+  }
+
+  /**
+   * Theme the schedule asks for right now.
+   * @returns {string|null} Theme key, or null without schedule or position
+   */
+  _getScheduledTheme() {
+    if (!this._schedule) return null
+
+    const period = getSchedulePeriod(this._schedule, new Date(), this._getScheduleLatLng())
+    if (!period) return null
+
+    const themeKey = period === 'day' ? this._schedule.dayTheme : this._schedule.nightTheme
+    return this.options.themes[themeKey] ? themeKey : null
+  }
+
+  _getScheduleLatLng() {
+    // Follow the place the user is looking at once the map has a view
+    if (this.map && this.map._loaded) {
+      return this.map.getCenter()
+    }
+
+    const { latlng } = this._schedule
+    if (Array.isArray(latlng)) {
+      return { lat: latlng[0], lng: latlng[1] }
+    }
+    return latlng
+  }
+
+  /**
+   * Re-evaluate the schedule (on a timer and on map moveend).
+   * A manually chosen theme always wins.
+   */
+  _updateScheduledTheme() {
+    if (this.savedTheme) return
+
+    const themeKey = this._getScheduledTheme()
+    if (themeKey && themeKey !== this.currentTheme) {
+      this.setTheme(themeKey, 'schedule')
+    }
+  }
+
+  _getUrlTheme() {
+    if (!this.options.urlParam) return null
+    return getUrlParams(this.options.urlParamMode).get(this.options.urlParam)
+  }
+
+  /**
+   * Apply custom filter values shared via the URL to the linked theme.
+   * They are not persisted until the user edits the theme.
+   */
+  _applyUrlFilters() {
+    const { urlParam, urlParamMode, urlIncludeFilters } = this.options
+    if (!urlParam || !urlIncludeFilters || !this.editor) return
+
+    const themeKey = this._getUrlTheme()
+    const encoded = getUrlParams(urlParamMode).get(`${urlParam}-filters`)
+    const values = encoded && decodeFilterValues(encoded)
+    if (!values || !this.options.themes[themeKey]) return
+
+    this.editor.customFilters[themeKey] = {
+      ...this.editor._parseFilterString(this.options.themes[themeKey].filter),
+      ...values,
+    }
+    this.editor._applyCustomFilters()
+  }
+
+  /**
+   * Write the current theme (and its custom filters) to the URL, or remove them.
+   * An automatic theme stays out of the URL, which takes precedence on reload.
+   * @param {boolean} [pinned] - Whether the user chose or edited the theme
+   */
+  _updateUrl(pinned = true) {
+    const { urlParam, urlParamMode, urlIncludeFilters } = this.options
+    if (!urlParam) return
+
+    const customFilters = pinned && urlIncludeFilters && this.editor && this.editor.customFilters[this.currentTheme]
+    replaceUrlParams(urlParamMode, {
+      [urlParam]: pinned ? this.currentTheme : null,
+      [`${urlParam}-filters`]: customFilters ? encodeFilterValues(customFilters) : null,
+    })
+  }
+
   onAdd(map) {
     this.map = map
 
+    // Listeners of a previous onAdd were aborted on remove
+    if (this._abortController.signal.aborted) {
+      this._abortController = new AbortController()
+    }
+
+    // Propagate control events to the map so apps can use map.on('themechange', ...)
+    this.addEventParent(map)
+
+    if (this._scopeToMap) {
+      this.root = map.getContainer()
+      if (this.ready) {
+        // Added again: the theme and editor were set up on the first add
+        this._applyTheme(this.currentTheme, false)
+      }
+      else {
+        if (!this.root.id && !Object.hasOwn(this.options, 'storageKey')) {
+          console.warn('ThemeControl with scope "map": the map container has no id, so the theme is stored under the shared storageKey. Give the container an id or set storageKey.')
+        }
+        this._initTheme()
+      }
+    }
+
+    // Pick up layers marked with a themeLayer option, now and when added later
+    map.eachLayer((layer) => {
+      if (layer.options.themeLayer && !this._themeLayers.has(layer)) {
+        this._themeLayers.set(layer, layer.options.themeLayer)
+      }
+    })
+    map.on('layeradd', this._onLayerAdd, this)
+    map.on('layerremove', this._onLayerRemove, this)
+
+    // Layer and pane filters need the map, which a document-scoped theme was applied without
+    const theme = this.options.themes[this.currentTheme]
+    if (this._themeLayers.size > 0 || theme.panes) {
+      this._applyMapFilter(theme)
+    }
+    this._applyVision()
+
+    // Overlays get their original style back on remove, restyle them when added again
+    this._overlays.forEach((original, layer) => this._styleOverlay(layer, theme))
+
+    if (this.options.observeElements) {
+      this._setupElementObserver()
+    }
+
+    if (this.options.hotkeys) {
+      this._setupHotkeys()
+    }
+
+    if (this.options.syncTabs) {
+      this._setupTabSync()
+    }
+
+    if (this._schedule) {
+      this._scheduleTimer = setInterval(() => this._updateScheduledTheme(), this._schedule.interval)
+      if (this._schedule.mode === 'sun') {
+        map.on('moveend', this._updateScheduledTheme, this)
+        this._updateScheduledTheme()
+      }
+    }
+
     // Add theme selector panel to map container if editor enabled
     if (this.options.enableEditor && this.editor) {
       const panel = this.editor.createPanel()
@@ -112,6 +538,7 @@ export class ThemeControl extends Control {
     if (!this.options.addButton) {
       const container = DomUtil.create('div', 'leaflet-control-theme-hidden')
       container.style.display = 'none'
+      this._fireInitialTheme()
       return container
     }
 
@@ -136,28 +563,187 @@ export class ThemeControl extends Control {
       }
     })
 
+    this._fireInitialTheme()
     return container
   }
 
+  /**
+   * Announce the theme applied during initialize, now that listeners
+   * registered on the control or the map can receive it.
+   */
+  _fireInitialTheme() {
+    // Only on the first add
+    if (this._initialThemeFired) return
+    this._initialThemeFired = true
+
+    this.fire('themechange', {
+      theme: this.currentTheme,
+      previousTheme: null,
+      source: 'init',
+    }, true)
+  }
+
   onRemove() {
     // Abort all event listeners
     this._abortController.abort()
 
+    if (this._syncChannel) {
+      this._syncChannel.close()
+      this._syncChannel = null
+    }
+
     // Disconnect language observer
     if (this._langObserver) {
       this._langObserver.disconnect()
       this._langObserver = null
     }
 
+    // Disconnect element observer
+    if (this._elementObserver) {
+      this._elementObserver.disconnect()
+      this._elementObserver = null
+    }
+
     // Cleanup editor
     if (this.editor) {
       this.editor.cleanup()
     }
 
+    if (this._scheduleTimer) {
+      clearInterval(this._scheduleTimer)
+      this._scheduleTimer = null
+    }
+
+    this._cancelTransition()
+    this._removeSvgFilter()
+    this._applyPaneFilters(new Map())
+    this._overlays.forEach((original, layer) => this._restoreOverlay(layer))
+
+    if (this.map) {
+      this.map.off('moveend', this._updateScheduledTheme, this)
+      this.map.off('layeradd', this._onLayerAdd, this)
+      this.map.off('layerremove', this._onLayerRemove, this)
+      this.removeEventParent(this.map)
+    }
+
     this.button = null
     this.map = null
   }
 
+  /**
+   * Listen for the keyboard shortcuts of the hotkeys option, while the map has focus
+   * (or anywhere on the page with global: true) and never while typing in a field.
+   */
+  _setupHotkeys() {
+    const hotkeys = { ...DEFAULT_HOTKEYS, ...(this.options.hotkeys === true ? {} : this.options.hotkeys) }
+    const bindings = []
+    const bind = (binding, action) => {
+      const hotkey = parseHotkey(binding)
+      if (hotkey) {
+        bindings.push({ hotkey, action })
+      }
+      else {
+        console.warn(`Invalid hotkey "${binding}", ignoring it`)
+      }
+    }
+
+    if (hotkeys.cycle) bind(hotkeys.cycle, () => this._cycleTheme())
+    if (hotkeys.editor && this.editor) bind(hotkeys.editor, () => this.editor.openThemeSelector())
+
+    // Digits select themes in their current order, including user themes created later
+    if (hotkeys.themes === 'digits') {
+      for (let digit = 1; digit <= 9; digit++) {
+        bind(String(digit), () => {
+          const themeKey = Object.keys(this.options.themes)[digit - 1]
+          if (themeKey) this.setTheme(themeKey)
+        })
+      }
+    }
+    else if (hotkeys.themes) {
+      for (const [themeKey, binding] of Object.entries(hotkeys.themes)) {
+        bind(binding, () => this.setTheme(themeKey))
+      }
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.defaultPrevented || e.repeat || isTypingEvent(e)) return
+      // The editor panel has keyboard handling of its own
+      if (this.editor?.panel?.contains(e.target)) return
+      if (!hotkeys.global && !this.map.getContainer().contains(e.target)) return
+
+      const binding = bindings.find(({ hotkey }) => matchesHotkey(e, hotkey))
+      if (!binding) return
+
+      e.preventDefault()
+      binding.action()
+    }, { signal: this._abortController.signal })
+  }
+
+  /**
+   * Follow the choices made in other tabs (and windows) of the page: the theme,
+   * the vision preset and the editor's customizations. Uses a BroadcastChannel,
+   * or `storage` events where it is missing (these only work with localStorage).
+   */
+  _setupTabSync() {
+    const storageKey = this._getStorageKey()
+    const { signal } = this._abortController
+
+    if (typeof BroadcastChannel === 'function') {
+      this._syncChannel = new BroadcastChannel(`leaflet-theme-control:${storageKey}`)
+      this._syncChannel.addEventListener('message', e => this._onSyncMessage(e.data), { signal })
+      return
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key === storageKey) {
+        this._onSyncMessage({ type: 'theme', theme: e.newValue })
+      }
+      else if (e.key === this._getVisionStorageKey()) {
+        this._onSyncMessage({ type: 'vision', vision: e.newValue })
+      }
+      else if (this.editor && e.key === this.editor.storageKey) {
+        this._onSyncMessage({ type: 'customFilters', themes: this.editor._getStorageChanges(e.oldValue, e.newValue) })
+      }
+    }, { signal })
+  }
+
+  /**
+   * Send a change to the other tabs (with syncTabs and a BroadcastChannel).
+   * @param {object} message - { type: 'theme', theme }, { type: 'vision', vision } or { type: 'customFilters', themes }
+   */
+  _broadcast(message) {
+    if (this._syncChannel) {
+      this._syncChannel.postMessage(message)
+    }
+  }
+
+  /**
+   * Apply a change made in another tab. It was saved there already.
+   * @param {object} message - Message from _broadcast
+   * @param {string} message.type - 'theme', 'vision' or 'customFilters'
+   * @param {string|null} [message.theme] - Theme chosen there, null when following the system
+   * @param {string|null} [message.vision] - Vision preset chosen there
+   * @param {object} [message.themes] - Theme key → customization, or null where it was reset
+   */
+  _onSyncMessage({ type, theme, vision, themes }) {
+    if (type === 'theme') {
+      // Themes this tab doesn't know (e.g. a user theme created there) are ignored
+      if (theme && !this.options.themes[theme]) return
+
+      this.savedTheme = theme
+      const themeKey = theme || this._getAutomaticTheme()
+      if (themeKey !== this.currentTheme) {
+        this.setTheme(themeKey, 'sync')
+      }
+    }
+    else if (type === 'vision') {
+      this._setVision(this._resolveVision(vision))
+    }
+    else if (type === 'customFilters' && this.editor) {
+      this.editor._receiveCustomFilters(themes)
+    }
+  }
+
   _setupLanguageObserver() {
     // Watch for changes to html[lang] attribute
     this._langObserver = new MutationObserver((mutations) => {
@@ -177,6 +763,83 @@ export class ThemeControl extends Control {
     })
   }
 
+  _setupElementObserver() {
+    // Watch the map for elements inserted after the theme was applied
+    this._elementObserver = new MutationObserver(mutations => this._onElementMutations(mutations))
+    this._observingScope = false
+    this._elementObserver.observe(this.map.getContainer(), { childList: true, subtree: true })
+    this._observeElementScope(Boolean(this.options.themes[this.currentTheme].applyToSelectors))
+  }
+
+  /**
+   * Watch the whole theme scope instead of only the map while the current theme
+   * has applyToSelectors, which may match elements outside the map.
+   * @param {boolean} enabled - Watch the scope
+   */
+  _observeElementScope(enabled) {
+    const observer = this._elementObserver
+    const container = this.map?.getContainer()
+    if (!observer || enabled === this._observingScope || this.root === container) return
+
+    // Disconnecting drops the queued records
+    this._onElementMutations(observer.takeRecords())
+    observer.disconnect()
+    observer.observe(enabled ? this.root : container, { childList: true, subtree: true })
+    this._observingScope = enabled
+  }
+
+  _onElementMutations(mutations) {
+    const added = []
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) added.push(node)
+      }
+    }
+    if (added.length > 0) {
+      this._applyFilterToAddedElements(added)
+    }
+  }
+
+  /**
+   * Apply the current theme's filter to newly inserted elements matching
+   * cssSelector or the theme's applyToSelectors (or containing such elements).
+   * @param {Element[]} nodes - Inserted elements
+   */
+  _applyFilterToAddedElements(nodes) {
+    const theme = this.options.themes[this.currentTheme]
+    const filter = this._getThemeFilter(theme)
+
+    // Registered layers move the map filter to layer containers (handled on layeradd)
+    const targets = [[this.options.cssSelector, this._hasLayerFilters() ? '' : filter]]
+    if (theme.applyToSelectors) {
+      const selectors = Array.isArray(theme.applyToSelectors)
+        ? theme.applyToSelectors
+        : [theme.applyToSelectors]
+      selectors.forEach(selector => targets.push([selector, filter]))
+    }
+
+    // Custom panes created after the theme was applied
+    const paneFilters = this._getPaneFilters(theme)
+
+    for (const node of nodes) {
+      // The editor's comparison clones keep the original theme's filters
+      if (node.closest('.leaflet-theme-compare-clone')) continue
+
+      for (const [selector, targetFilter] of targets) {
+        const matches = [...node.querySelectorAll(selector)]
+        if (node.matches(selector)) matches.push(node)
+        matches.forEach((el) => {
+          el.style.filter = targetFilter
+        })
+      }
+      paneFilters.forEach((paneFilter, pane) => {
+        if (!node.contains(pane)) return
+        pane.style.filter = paneFilter
+        this._filteredPanes.add(pane)
+      })
+    }
+  }
+
   _updateButton(button, themeKey) {
     if (!button) return // No button if addButton: false
 
@@ -207,13 +870,14 @@ export class ThemeControl extends Control {
   }
 
   _getThemeLabel(themeKey) {
-    // Use custom label function if provided
-    if (this.options.getLabel) {
+    const theme = this.options.themes[themeKey]
+
+    // Use custom label function if provided (user-created themes keep their own name)
+    if (this.options.getLabel && !theme?.userDefined) {
       return this.options.getLabel(themeKey)
     }
 
     // Use theme's built-in label
-    const theme = this.options.themes[themeKey]
     return theme.label || themeKey
   }
 
@@ -226,18 +890,91 @@ export class ThemeControl extends Control {
     this.setTheme(nextTheme)
   }
 
-  setTheme(themeKey) {
+  /**
+   * Switch to a theme and fire `themechange`.
+   * @param {string} themeKey - Key of the theme to activate
+   * @param {string} [source] - What triggered the change: 'user', 'system', 'schedule', 'editor' or 'sync'
+   */
+  setTheme(themeKey, source = 'user') {
     if (!this.options.themes[themeKey]) {
       console.warn(`Theme "${themeKey}" not found`)
       return
     }
 
+    // Only a user's choice is remembered, so automatic switches
+    // keep following the system preference or schedule
+    const isManual = source === 'user'
+    if (isManual) {
+      this.savedTheme = themeKey
+      this._broadcast({ type: 'theme', theme: themeKey })
+    }
+
+    // A draft of the editor is dropped when the theme changes from elsewhere
+    if (source !== 'editor' && this.editor) {
+      this.editor._dropDraftOnSwitch()
+    }
+
+    const previousTheme = this.currentTheme
     this.currentTheme = themeKey
-    this._applyTheme(themeKey, true)
+
+    // Editor changes follow the sliders directly, everything else may animate
+    this._applyTheme(themeKey, isManual, source !== 'editor')
     this._updateButton(this.button, themeKey)
+    this._updateUrl(isManual || source === 'editor' || (source === 'sync' && Boolean(this.savedTheme)))
+
+    this.fire('themechange', { theme: themeKey, previousTheme, source }, true)
   }
 
-  _applyTheme(themeKey, save = true) {
+  /**
+   * Simulate or correct a color-vision deficiency on top of the active theme
+   * and fire `visionchange`. The choice is remembered like the theme.
+   * @param {string|null} visionKey - Key of a vision preset, or null for normal vision
+   */
+  setVision(visionKey) {
+    if (visionKey && !this.options.visionPresets[visionKey]) {
+      console.warn(`Vision preset "${visionKey}" not found`)
+      return
+    }
+
+    writeItem(this._storage, this._getVisionStorageKey(), visionKey || 'none')
+    this._broadcast({ type: 'vision', vision: visionKey || null })
+    this._setVision(visionKey || null)
+  }
+
+  _setVision(visionKey) {
+    const previousVision = this.currentVision
+    this.currentVision = visionKey
+    this._applyVision()
+
+    if (visionKey !== previousVision) {
+      this.fire('visionchange', { vision: visionKey, previousVision }, true)
+    }
+  }
+
+  /**
+   * Filter the map pane with the active vision preset. The pane contains
+   * every layer, so the preset applies to what the theme filters produce.
+   */
+  _applyVision() {
+    if (!this.map) return
+
+    const preset = this.currentVision && this.options.visionPresets[this.currentVision]
+    if (preset) {
+      // The simulation matrices are defined for linear RGB
+      renderSvgFilter(this._getSvgFilter(this._visionFilterId, 'linearRGB'), preset.svgFilter)
+      this._visionPane = this.map.getPane('mapPane')
+      this._visionPane.style.filter = `url(#${this._visionFilterId})`
+    }
+    else if (this._visionPane) {
+      this._visionPane.style.filter = ''
+      this._visionPane = null
+    }
+  }
+
+  _applyTheme(themeKey, save = true, animate = false) {
+    // Map-scoped controls have nothing to style before being added
+    if (!this.root) return
+
     const theme = this.options.themes[themeKey]
 
     // Set data-theme attribute on root
@@ -247,6 +984,12 @@ export class ThemeControl extends Control {
     const controlStyle = theme.controlStyle || 'light'
     this.root.setAttribute('data-control-style', controlStyle)
 
+    // A control palette restyles Leaflet's controls whatever the control style
+    this.root.toggleAttribute('data-control-palette', Boolean(theme.controlPalette))
+
+    // Design tokens for the control's CSS and the surrounding app
+    this._applyTokens(theme)
+
     // Apply theme classes to root and control container
     this._applyThemeClasses(this.root, theme)
     if (this.map) {
@@ -257,15 +1000,10 @@ export class ThemeControl extends Control {
     }
 
     // Apply CSS filter to map tiles
-    const mapElements = document.querySelectorAll(this.options.cssSelector)
-    mapElements.forEach((el) => {
-      if (theme.filter) {
-        el.style.filter = theme.filter
-      }
-      else {
-        el.style.filter = ''
-      }
-    })
+    this._applyMapFilter(theme, animate)
+
+    // Restyle registered vector layers and markers
+    this._overlays.forEach((original, layer) => this._styleOverlay(layer, theme))
 
     // Collect all selectors from all themes to clear filters first
     const allSelectors = new Set()
@@ -280,7 +1018,7 @@ export class ThemeControl extends Control {
 
     // Clear filters from all possible selectors
     allSelectors.forEach((selector) => {
-      const elements = document.querySelectorAll(selector)
+      const elements = this._querySelectorAll(selector)
       elements.forEach((el) => {
         el.style.filter = ''
       })
@@ -293,18 +1031,22 @@ export class ThemeControl extends Control {
         : [theme.applyToSelectors]
 
       selectors.forEach((selector) => {
-        const elements = document.querySelectorAll(selector)
+        const elements = this._querySelectorAll(selector)
+        const filter = this._getThemeFilter(theme)
         elements.forEach((el) => {
-          if (theme.filter) {
-            el.style.filter = theme.filter
+          if (filter) {
+            el.style.filter = filter
           }
         })
       })
     }
 
-    // Save to localStorage
+    // Elements inserted outside the map only matter for applyToSelectors
+    this._observeElementScope(Boolean(theme.applyToSelectors))
+
+    // Save to storage
     if (save) {
-      localStorage.setItem(this.options.storageKey, themeKey)
+      writeItem(this._storage, this._getStorageKey(), themeKey)
     }
 
     // Trigger onChange callback
@@ -313,6 +1055,489 @@ export class ThemeControl extends Control {
     }
   }
 
+  /**
+   * Apply a theme's filter to the cssSelector elements, or per layer
+   * when registered layers are on the map, and its pane filters to their panes.
+   * @param {object} theme - Theme config
+   * @param {boolean} [animate] - Animate the change if transitions are enabled
+   */
+  _applyMapFilter(theme, animate = false) {
+    const allMapElements = [...this._querySelectorAll(this.options.cssSelector)]
+    this._cancelTransition()
+    this._updateSvgFilter(theme)
+    const filter = this._getThemeFilter(theme)
+
+    // A filter on the pane would also apply to every layer inside it,
+    // so with registered layers the filters move to the layer containers
+    if (this._hasLayerFilters()) {
+      allMapElements.forEach((el) => {
+        el.style.filter = ''
+      })
+      const paneFilters = this._getPaneFilters(theme)
+      allMapElements.forEach(el => paneFilters.delete(el))
+      this._applyPaneFilters(paneFilters, allMapElements)
+      this._applyLayerFilters(theme, allMapElements)
+      return
+    }
+
+    // A pane filter replaces the theme filter for that pane (e.g. tilePane)
+    const paneFilters = this._getPaneFilters(theme)
+    this._applyPaneFilters(paneFilters, allMapElements)
+    const mapElements = allMapElements.filter(el => !paneFilters.has(el))
+
+    this._clearLayerFilters()
+
+    // Animated if transitions are enabled
+    if (animate && mapElements.length > 0 && this._shouldAnimate()) {
+      this._animateFilter(mapElements, filter)
+    }
+    else {
+      mapElements.forEach((el) => {
+        el.style.filter = filter
+      })
+    }
+  }
+
+  /**
+   * Resolve a theme's pane filters to the panes of the map.
+   * @param {object} theme - Theme config
+   * @returns {Map<HTMLElement, string>} Pane element → CSS filter
+   */
+  _getPaneFilters(theme) {
+    const paneFilters = new Map()
+    if (!this.map || !theme.panes) return paneFilters
+
+    for (const [name, filter] of Object.entries(theme.panes)) {
+      const pane = this.map.getPane(name)
+      if (pane) paneFilters.set(pane, filter)
+    }
+    return paneFilters
+  }
+
+  /**
+   * Filter panes, clearing panes the previous theme filtered.
+   * @param {Map<HTMLElement, string>} paneFilters - Pane element → CSS filter
+   * @param {HTMLElement[]} [mapElements] - Elements matching cssSelector, which get their filter elsewhere
+   */
+  _applyPaneFilters(paneFilters, mapElements = []) {
+    this._filteredPanes.forEach((pane) => {
+      if (!paneFilters.has(pane) && !mapElements.includes(pane)) pane.style.filter = ''
+    })
+    paneFilters.forEach((filter, pane) => {
+      pane.style.filter = filter
+    })
+    this._filteredPanes = new Set(paneFilters.keys())
+  }
+
+  /**
+   * The CSS filter of a theme. With an svgFilter pipeline it is referenced
+   * first, followed by the CSS filter functions.
+   * @param {object} theme - Theme config
+   * @returns {string} CSS filter string
+   */
+  _getThemeFilter(theme) {
+    const filter = theme.filter || ''
+    return theme.svgFilter ? `url(#${this._svgFilterId}) ${filter}`.trim() : filter
+  }
+
+  /**
+   * Render a theme's svgFilter pipeline into the inline SVG.
+   * Themes without one leave the SVG untouched, so a running transition
+   * never references a filter that has disappeared.
+   * @param {object} theme - Theme config
+   */
+  _updateSvgFilter(theme) {
+    if (!theme.svgFilter) return
+
+    renderSvgFilter(this._getSvgFilter(this._svgFilterId), theme.svgFilter)
+  }
+
+  /**
+   * Get a filter element of the inline SVG, creating both as needed.
+   * @param {string} id - Id of the filter element
+   * @param {string} [colorSpace] - Color space of a new filter element
+   * @returns {SVGFilterElement} Filter element
+   */
+  _getSvgFilter(id, colorSpace) {
+    if (!this._svgFilterContainer) {
+      this._svgFilterContainer = createSvgFilterContainer()
+      const parent = this._scopeToMap ? this.map.getContainer() : document.body
+      parent.appendChild(this._svgFilterContainer)
+    }
+
+    let filter = [...this._svgFilterContainer.children].find(el => el.id === id)
+    if (!filter) {
+      filter = createSvgFilter(id, colorSpace)
+      this._svgFilterContainer.appendChild(filter)
+    }
+    return filter
+  }
+
+  /**
+   * Remove the inline SVG and drop references to it from filtered elements.
+   */
+  _removeSvgFilter() {
+    if (!this._svgFilterContainer) return
+
+    if (this._visionPane) {
+      this._visionPane.style.filter = ''
+      this._visionPane = null
+    }
+
+    const reference = `url(#${this._svgFilterId})`
+    const selectors = [this.options.cssSelector]
+    Object.values(this.options.themes).forEach((theme) => {
+      if (theme.applyToSelectors) selectors.push(...[].concat(theme.applyToSelectors))
+    })
+    const elements = [...this._filteredLayerContainers]
+    selectors.forEach(selector => elements.push(...this._querySelectorAll(selector)))
+
+    elements.forEach((el) => {
+      if (el.style.filter.includes(reference)) {
+        el.style.filter = el.style.filter.replace(reference, '').trim()
+      }
+    })
+
+    this._svgFilterContainer.remove()
+    this._svgFilterContainer = null
+  }
+
+  _hasLayerFilters() {
+    if (!this.map) return false
+    for (const layer of this._themeLayers.keys()) {
+      if (this.map.hasLayer(layer)) return true
+    }
+    return false
+  }
+
+  /**
+   * Filter each grid layer container: registered layers get the filter the
+   * theme defines for their name (falling back to theme.filter), other layers
+   * inside the cssSelector elements get theme.filter.
+   * @param {object} theme - Theme config
+   * @param {HTMLElement[]} mapElements - Elements matching cssSelector
+   */
+  _applyLayerFilters(theme, mapElements) {
+    this._getLayerFilters(theme, mapElements).forEach((filter, container) => {
+      container.style.filter = filter
+      this._filteredLayerContainers.add(container)
+    })
+  }
+
+  /**
+   * Resolve a theme's filters to the grid layer containers (see _applyLayerFilters).
+   * @param {object} theme - Theme config
+   * @param {HTMLElement[]} mapElements - Elements matching cssSelector
+   * @returns {Map<HTMLElement, string>} Layer container → CSS filter
+   */
+  _getLayerFilters(theme, mapElements) {
+    const layerFilters = new Map()
+    this.map.eachLayer((layer) => {
+      const container = layer instanceof GridLayer && layer.getContainer()
+      if (!container) return
+
+      let filter = ''
+      const name = this._themeLayers.get(layer)
+      if (name !== undefined) {
+        filter = theme.layers && name in theme.layers ? theme.layers[name] : this._getThemeFilter(theme)
+      }
+      else if ([...mapElements].some(el => el.contains(container))) {
+        filter = this._getThemeFilter(theme)
+      }
+      layerFilters.set(container, filter || '')
+    })
+    return layerFilters
+  }
+
+  /**
+   * The filters a theme gives the elements of the map, as _applyMapFilter sets them
+   * (without the layer containers unless registered layers are on the map).
+   * @param {object} theme - Theme config
+   * @returns {Map<HTMLElement, string>} Element → CSS filter
+   */
+  _getMapFilters(theme) {
+    const container = this.map.getContainer()
+    const mapElements = [...this._querySelectorAll(this.options.cssSelector)].filter(el => container.contains(el))
+    const paneFilters = this._getPaneFilters(theme)
+
+    if (this._hasLayerFilters()) {
+      mapElements.forEach(el => paneFilters.delete(el))
+      return new Map([
+        ...mapElements.map(el => [el, '']),
+        ...paneFilters,
+        ...this._getLayerFilters(theme, mapElements),
+      ])
+    }
+
+    // A pane filter replaces the theme filter for that pane
+    const filter = this._getThemeFilter(theme)
+    return new Map([...mapElements.map(el => [el, filter]), ...paneFilters])
+  }
+
+  _clearLayerFilters() {
+    this._filteredLayerContainers.forEach((container) => {
+      container.style.filter = ''
+    })
+    this._filteredLayerContainers.clear()
+  }
+
+  _onLayerAdd(e) {
+    const { layer } = e
+    if (layer.options.themeLayer && !this._themeLayers.has(layer)) {
+      this._themeLayers.set(layer, layer.options.themeLayer)
+    }
+    if (layer instanceof GridLayer) {
+      this._applyMapFilter(this.options.themes[this.currentTheme])
+    }
+  }
+
+  _onLayerRemove(e) {
+    if (this._themeLayers.has(e.layer)) {
+      this._applyMapFilter(this.options.themes[this.currentTheme])
+    }
+  }
+
+  /**
+   * Register a tile or grid layer for per-layer theming.
+   * Themes can then give it its own filter via `layers: { [name]: filter }`.
+   * Layers created with a `themeLayer` option are registered automatically.
+   * @param {GridLayer} layer - Tile or grid layer
+   * @param {string} [name] - Name used in theme `layers` (defaults to the themeLayer option)
+   * @returns {this} This control
+   */
+  registerLayer(layer, name = layer.options.themeLayer) {
+    if (!name) {
+      console.warn('registerLayer() needs a name or a layer with a themeLayer option')
+      return this
+    }
+
+    this._themeLayers.set(layer, name)
+    if (this.root) {
+      this._applyMapFilter(this.options.themes[this.currentTheme])
+    }
+    return this
+  }
+
+  /**
+   * Stop theming a layer individually.
+   * @param {GridLayer} layer - Previously registered layer
+   * @returns {this} This control
+   */
+  unregisterLayer(layer) {
+    this._themeLayers.delete(layer)
+    if (this.root) {
+      this._applyMapFilter(this.options.themes[this.currentTheme])
+    }
+    return this
+  }
+
+  /**
+   * Register a vector layer or marker for theme-aware styling: themes can restyle
+   * paths with `pathStyle` and swap marker icons with `markerIcon`. Layer groups
+   * (e.g. GeoJSON) register all their layers, including ones added later.
+   * Original styles are restored for themes without overrides.
+   * @param {Path|Marker|LayerGroup} layer - Vector layer, marker or group
+   * @returns {this} This control
+   */
+  registerOverlay(layer) {
+    if (layer instanceof LayerGroup) {
+      this._overlayGroups.add(layer)
+      layer.on('layeradd', this._onOverlayGroupAdd, this)
+      layer.on('layerremove', this._onOverlayGroupRemove, this)
+      layer.eachLayer(child => this.registerOverlay(child))
+      return this
+    }
+    if (!(layer instanceof Path || layer instanceof Marker)) {
+      console.warn('registerOverlay() needs a Path, Marker or LayerGroup')
+      return this
+    }
+    if (this._overlays.has(layer)) return this
+
+    // For paths, the values the active theme's pathStyle replaced
+    const original = layer instanceof Path ? { replaced: {} } : { icon: layer.options.icon }
+    this._overlays.set(layer, original)
+
+    if (this.root && this.currentTheme) {
+      this._styleOverlay(layer, this.options.themes[this.currentTheme])
+    }
+    return this
+  }
+
+  /**
+   * Stop styling a vector layer, marker or group and restore its original style.
+   * @param {Path|Marker|LayerGroup} layer - Previously registered layer
+   * @returns {this} This control
+   */
+  unregisterOverlay(layer) {
+    if (layer instanceof LayerGroup) {
+      this._overlayGroups.delete(layer)
+      layer.off('layeradd', this._onOverlayGroupAdd, this)
+      layer.off('layerremove', this._onOverlayGroupRemove, this)
+      layer.eachLayer(child => this.unregisterOverlay(child))
+      return this
+    }
+
+    if (this._overlays.has(layer)) {
+      this._restoreOverlay(layer)
+      this._overlays.delete(layer)
+    }
+    return this
+  }
+
+  _onOverlayGroupAdd(e) {
+    this.registerOverlay(e.layer)
+  }
+
+  _onOverlayGroupRemove(e) {
+    this.unregisterOverlay(e.layer)
+  }
+
+  /**
+   * Apply a theme's pathStyle or markerIcon on top of a layer's original style.
+   * Only the options a pathStyle overrides are touched, so styles the app sets
+   * on other options in the meantime are kept.
+   * @param {Path|Marker} layer - Registered layer
+   * @param {object} theme - Theme config
+   */
+  _styleOverlay(layer, theme) {
+    const original = this._overlays.get(layer)
+
+    if (original.replaced) {
+      const { pathStyle } = theme
+      const style = (typeof pathStyle === 'function' ? pathStyle(layer) : pathStyle) || {}
+      const previous = original.replaced
+
+      // Values from before any theme, for options the previous theme overrode too
+      original.replaced = Object.fromEntries(Object.keys(style).map(key =>
+        [key, Object.hasOwn(previous, key) ? previous[key] : layer.options[key]]))
+      if (Object.keys(previous).length > 0 || Object.keys(style).length > 0) {
+        layer.setStyle({ ...previous, ...style })
+      }
+      return
+    }
+
+    // Icon options are merged into the original icon's, so a theme can e.g. only swap iconUrl.
+    // The icon is reused while the theme keeps the same options, so re-applying doesn't rebuild markers.
+    let icon = original.icon
+    if (theme.markerIcon) {
+      if (original.themed?.options !== theme.markerIcon) {
+        const themedIcon = new original.icon.constructor({ ...original.icon.options, ...theme.markerIcon })
+        original.themed = { options: theme.markerIcon, icon: themedIcon }
+      }
+      icon = original.themed.icon
+    }
+    if (layer.options.icon !== icon) {
+      layer.setIcon(icon)
+    }
+  }
+
+  _restoreOverlay(layer) {
+    const original = this._overlays.get(layer)
+    if (original.replaced) {
+      layer.setStyle(original.replaced)
+      original.replaced = {}
+    }
+    else if (layer.options.icon !== original.icon) {
+      layer.setIcon(original.icon)
+    }
+  }
+
+  _shouldAnimate() {
+    if (!(this.options.transitionDuration > 0)) return false
+
+    // Respect users who asked for less motion
+    return !window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  }
+
+  /**
+   * Interpolate the filter of the given elements to a new filter string.
+   * Starts from the filter currently shown, so a switch during a running
+   * transition continues smoothly from where the previous one was cancelled.
+   * @param {NodeList} elements - Elements to animate
+   * @param {string} toFilter - Target CSS filter string
+   */
+  _animateFilter(elements, toFilter) {
+    const interpolate = createFilterInterpolator(elements[0].style.filter, toFilter)
+    const { transitionDuration, transitionEasing } = this.options
+    const ease = typeof transitionEasing === 'function'
+      ? transitionEasing
+      : EASINGS[transitionEasing] || EASINGS['ease-in-out']
+
+    let start = null
+    const step = (now) => {
+      if (start === null) start = now
+      const progress = Math.min((now - start) / transitionDuration, 1)
+
+      // The last frame sets the exact filter string
+      const filter = progress < 1 ? interpolate(ease(progress)) : toFilter
+      elements.forEach((el) => {
+        el.style.filter = filter
+      })
+
+      this._transitionFrame = progress < 1 ? requestAnimationFrame(step) : null
+    }
+
+    this._transitionFrame = requestAnimationFrame(step)
+  }
+
+  _cancelTransition() {
+    if (this._transitionFrame) {
+      cancelAnimationFrame(this._transitionFrame)
+      this._transitionFrame = null
+    }
+  }
+
+  /**
+   * Keep the valid entries of a theme's design tokens (camelCase names, string values).
+   * @param {string} themeKey - Theme the tokens belong to (for warnings)
+   * @param {object} tokens - Design tokens
+   * @returns {object|undefined} Valid tokens, undefined if there are none
+   */
+  _validateTokens(themeKey, tokens) {
+    if (typeof tokens !== 'object' || Array.isArray(tokens)) {
+      console.warn(`Theme "${themeKey}": tokens must be an object, ignoring them`)
+      return undefined
+    }
+
+    const valid = {}
+    for (const [name, value] of Object.entries(tokens)) {
+      if (TOKEN_NAME.test(name) && typeof value === 'string') {
+        valid[name] = value
+      }
+      else {
+        console.warn(`Theme "${themeKey}": invalid token "${name}", ignoring it`)
+      }
+    }
+    return Object.keys(valid).length > 0 ? valid : undefined
+  }
+
+  /**
+   * Write a theme's design tokens as custom properties on the root,
+   * removing the ones the previous theme had and this one doesn't.
+   * @param {object} theme - Theme config
+   */
+  _applyTokens(theme) {
+    const properties = new Map(
+      Object.entries(this._getThemeTokens(theme)).map(([name, value]) => [tokenProperty(name), value]),
+    )
+
+    this._tokenProperties.forEach((property) => {
+      if (!properties.has(property)) this.root.style.removeProperty(property)
+    })
+    properties.forEach((value, property) => this.root.style.setProperty(property, value))
+    this._tokenProperties = new Set(properties.keys())
+  }
+
+  _getThemeTokens(theme) {
+    const tokens = { ...THEME_TOKENS[theme.controlStyle] || THEME_TOKENS.light, ...theme.tokens }
+
+    // The control palette becomes controlBackground, controlForeground, ...
+    Object.entries(theme.controlPalette || {}).forEach(([key, color]) => {
+      tokens[`control${key[0].toUpperCase()}${key.slice(1)}`] = color
+    })
+    return tokens
+  }
+
   /**
    * Shallow-copy each theme object from the given source.
    * @param {object} source - Theme map to copy
@@ -343,6 +1568,111 @@ export class ThemeControl extends Control {
   getThemes() {
     return this.options.themes
   }
+
+  /**
+   * Get the design tokens of a theme: its own tokens over the defaults of its control style.
+   * The active theme's tokens are also set as --ltc-theme-* custom properties on the theme scope.
+   * @param {string} [themeKey] - Theme, defaults to the active theme
+   * @returns {object|null} Token name → CSS value, null for unknown themes
+   */
+  getThemeTokens(themeKey = this.currentTheme) {
+    const theme = this.options.themes[themeKey]
+    if (!theme) {
+      console.warn(`Theme "${themeKey}" not found`)
+      return null
+    }
+    return this._getThemeTokens(theme)
+  }
+
+  /**
+   * Check whether typical map colors (and the brandColors option) stay readable
+   * through a theme's filter, by WCAG contrast ratio.
+   * @param {string} [themeKey] - Theme to audit, defaults to the active theme
+   * @returns {{theme: string, passed: boolean, results: object[], unsupported: string[]}|null} Audit report, null for unknown themes
+   */
+  auditTheme(themeKey = this.currentTheme) {
+    const theme = this.options.themes[themeKey]
+    if (!theme) {
+      console.warn(`Theme "${themeKey}" not found`)
+      return null
+    }
+
+    return { theme: themeKey, ...this._auditTheme(theme) }
+  }
+
+  /**
+   * Audit a theme config (see auditTheme), e.g. the editor's draft of a theme.
+   * @param {object} theme - Theme config
+   * @returns {{results: object[], unsupported: string[]}} Audit results
+   */
+  _auditTheme(theme) {
+    const palette = [...REFERENCE_PALETTE, ...createBrandPalette(this.options.brandColors)]
+    return auditFilter(theme.filter, theme.svgFilter, palette)
+  }
+
+  /**
+   * Export the map tiles as an image with the theme baked in, as the user sees them.
+   * Tile filters are recreated on the pixels in JS; blur() and drop-shadow() are not.
+   * @param {object} [options] - Export options
+   * @param {string} [options.format] - 'blob' or 'dataURL'
+   * @param {string} [options.type] - Image MIME type
+   * @param {number} [options.quality] - Quality for lossy types, from 0 to 1
+   * @param {string|null} [options.background] - Fill behind the tiles (default: the map container's background)
+   * @returns {Promise<Blob|string>} Image as Blob or data URL
+   */
+  exportSnapshot({ format = 'blob', type = 'image/png', quality, background } = {}) {
+    if (!this.map) {
+      return Promise.reject(new Error('The control must be added to a map to export a snapshot'))
+    }
+
+    return new Promise((resolve, reject) => {
+      const transforms = {}
+      const canvas = renderSnapshot(this.map, (filter) => {
+        if (!(filter in transforms)) transforms[filter] = this._createSnapshotTransform(filter)
+        return transforms[filter]
+      }, { background })
+
+      if (format === 'dataURL') {
+        resolve(canvas.toDataURL(type, quality))
+        return
+      }
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob)
+        else reject(new Error('The snapshot could not be encoded'))
+      }, type, quality)
+    })
+  }
+
+  /**
+   * Color transform of a filter chain found on the page. References to the
+   * inline SVG filters resolve to the active theme and vision preset.
+   * @param {string} filter - CSS filter chain
+   * @returns {function(number[]): number[]} Color transform
+   */
+  _createSnapshotTransform(filter) {
+    const theme = this.options.themes[this.currentTheme]
+    const vision = this.currentVision && this.options.visionPresets[this.currentVision]
+
+    const { transform, unsupported } = createColorTransform(filter, null, (url) => {
+      const id = url.replace(/^["']|["']$/g, '').slice(1)
+      if (id === this._svgFilterId && theme.svgFilter) return createSvgFilterTransform(theme.svgFilter)
+      if (id === this._visionFilterId && vision) return createSvgFilterTransform(vision.svgFilter, 'linearRGB')
+      return null
+    })
+
+    if (unsupported.length > 0) {
+      console.warn(`Snapshot: ${unsupported.join(', ')} can't be reproduced and is left out`)
+    }
+    return transform
+  }
+
+  getVision() {
+    return this.currentVision
+  }
+
+  getVisionPresets() {
+    return this.options.visionPresets
+  }
 }
 
-export { DEFAULT_THEMES }
+export { CONTROL_PALETTES, DEFAULT_THEMES, THEME_TOKENS, VISION_PRESETS, createCookieStorage, createMemoryStorage, createWebStorage }
@@ -1,5 +1,31 @@
-import { DomEvent, DomUtil } from 'leaflet'
-import { DEFAULT_THEMES } from './leaflet-theme-control-themes.js'
+import { DomEvent, DomUtil, Util } from 'leaflet'
+import { CONTROL_PALETTE_KEYS, CONTROL_PALETTES, DEFAULT_THEMES, validateControlPalette } from './leaflet-theme-control-themes.js'
+import {
+  buildFilterString,
+  createFilterStep,
+  FILTER_DEFS,
+  FILTER_FUNCTIONS,
+  filtersEqual,
+  isIdentityStep,
+  parseFilter,
+  parseFilterString,
+  serializeFilter,
+  validatePaneFilters,
+} from './leaflet-theme-filters.js'
+import { ThemeComparison } from './leaflet-theme-compare.js'
+import { formatColor, parseColor } from './leaflet-theme-filter-math.js'
+import { isThenable, readItem, whenResolved, writeItem } from './leaflet-theme-storage.js'
+import { cloneSvgFilter, TRANSFER_CHANNELS, TRANSFER_PARAMS, TRANSFER_TYPES, validateSvgFilter } from './leaflet-theme-svg.js'
+import { createThemeDocument, parseThemeDocument } from './leaflet-theme-transfer.js'
+
+/** Leaflet panes offered as filter targets next to the tiles (the theme filter) */
+const PANE_TARGETS = ['overlayPane', 'shadowPane', 'markerPane', 'tooltipPane', 'popupPane']
+
+/** Edits per theme that can be undone */
+const HISTORY_LIMIT = 100
+
+/** Theme properties the editor changes, copied for a draft */
+const EDITED_PROPERTIES = ['filter', 'controlStyle', 'svgFilter', 'panes', 'controlPalette']
 
 /** Default editor UI labels (allocated once, reused on every _getLabel call) */
 const DEFAULT_LABELS = {
@@ -21,54 +47,168 @@ const DEFAULT_LABELS = {
   sepia: 'Sepia',
   grayscaleFilter: 'Grayscale',
   themeButton: 'Theme',
+  importExport: 'Import / Export',
+  exportThemes: 'Export',
+  allCustomizedThemes: 'All customized themes',
+  download: 'Download',
+  copy: 'Copy',
+  copied: 'Copied to clipboard',
+  copyFailed: 'Could not copy to clipboard',
+  importThemes: 'Import',
+  pasteThemes: 'Paste exported JSON here',
+  chooseFile: 'Choose file',
+  preview: 'Preview',
+  applyImport: 'Apply',
+  importDone: 'Imported',
+  nothingToExport: 'No customized themes to export',
+  newTheme: 'New theme',
+  duplicateTheme: 'Duplicate theme',
+  editThemeDetails: 'Rename theme',
+  themeName: 'Name',
+  themeIcon: 'Icon',
+  baseTheme: 'Start from',
+  saveTheme: 'Save',
+  deleteTheme: 'Delete theme',
+  confirmDelete: 'Click again to delete',
+  nameRequired: 'Please enter a name',
+  copySuffix: 'copy',
+  blur: 'Blur',
+  opacity: 'Opacity',
+  dropShadow: 'Drop Shadow',
+  url: 'SVG Filter',
+  filterSteps: 'Filter steps',
+  addFilter: 'Add filter',
+  moveUp: 'Move up',
+  moveDown: 'Move down',
+  removeFilter: 'Remove',
+  svgFilter: 'SVG Filter',
+  colorMatrix: 'Color Matrix',
+  componentTransfer: 'Component Transfer',
+  transferFunction: 'Transfer function',
+  matrixOffset: 'Offset',
+  colorVision: 'Color vision',
+  visionNone: 'Normal',
+  lowContrast: 'Low contrast',
+  contrastNeeded: 'needs',
+  filterTarget: 'Apply to',
+  tilePaneTarget: 'Tiles',
+  overlayPane: 'Vector layers',
+  shadowPane: 'Marker shadows',
+  markerPane: 'Markers',
+  tooltipPane: 'Tooltips',
+  popupPane: 'Popups',
+  controlPalette: 'Control colors',
+  paletteBackground: 'Background',
+  paletteForeground: 'Text',
+  paletteHover: 'Hover',
+  paletteBorder: 'Border',
+  paletteFocus: 'Focus ring',
+  resetPalette: 'Use control style colors',
+  followSystem: 'Follow system setting',
+  notAudited: 'Not checked',
+  undo: 'Undo',
+  redo: 'Redo',
+  applyDraft: 'Apply',
+  cancelDraft: 'Cancel',
+  compare: 'Compare with original',
+  compareOriginal: 'Original',
+  compareEdited: 'Edited',
 }
 
-/**
- * Filter definitions: key → { cssName, regex, defaultValue }
- * Used by both _parseFilterString and _isThemeModified.
- */
-const FILTER_DEFS = [
-  { key: 'invert', css: 'invert', default: 0 },
-  { key: 'hueRotate', css: 'hue-rotate', default: 0, unit: 'deg' },
-  { key: 'saturate', css: 'saturate', default: 1 },
-  { key: 'brightness', css: 'brightness', default: 1 },
-  { key: 'contrast', css: 'contrast', default: 1 },
-  { key: 'sepia', css: 'sepia', default: 0 },
-  { key: 'grayscale', css: 'grayscale', default: 0 },
-]
-
-// Pre-compiled regexes (one per filter, built from FILTER_DEFS)
-const FILTER_REGEXES = FILTER_DEFS.map(({ css, unit }) => {
-  const unitPattern = unit ? unit : ''
-  return new RegExp(`${css}\\(([\\d.]+)${unitPattern}\\)`)
-})
+/** Parameters of a transfer function when its type is changed in the editor */
+const TRANSFER_DEFAULTS = {
+  identity: {},
+  table: { tableValues: [0, 1] },
+  discrete: { tableValues: [0, 1] },
+  linear: { slope: 1, intercept: 0 },
+  gamma: { amplitude: 1, exponent: 1, offset: 0 },
+}
+
+/** Slider ranges for hue-rotate() by unit */
+const ANGLE_RANGES = {
+  deg: { min: 0, max: 360, step: 1 },
+  grad: { min: 0, max: 400, step: 1 },
+  rad: { min: 0, max: 6.283, step: 0.01 },
+  turn: { min: 0, max: 1, step: 0.01 },
+}
+
+/** Example arguments for filter functions edited as text */
+const STEP_PLACEHOLDERS = {
+  'drop-shadow': '2px 2px 4px rgba(0, 0, 0, 0.5)',
+  'url': '#my-filter',
+}
+
+/** Icons offered when creating or renaming a user theme */
+const THEME_ICONS = ['🎨', '🌙', '☀️', '🌃', '🌊', '🌲', '🔥', '⭐']
 
 /**
  * ThemeEditor - UI for selecting and editing themes
  *
  * Provides a theme selector with individual theme editors.
  * Allows users to customize CSS filters for each theme with sliders
- * and save preferences to localStorage.
+ * and save preferences to the control's storage adapter.
  */
 export class ThemeEditor {
   constructor(themeControl) {
     this.themeControl = themeControl
     this.panel = null
     this.isOpen = false
-    this.currentView = 'selector' // 'selector' or 'editor'
+    this.currentView = 'selector' // 'selector', 'editor', 'transfer', 'create' or 'rename'
     this.editingTheme = null
 
     // AbortController for automatic event cleanup
     this._abortController = new AbortController()
 
-    // Storage key for custom filters
-    this.storageKey = `${themeControl.options.storageKey}-custom-filters`
-
-    // Load custom filters from localStorage
-    this.customFilters = this._loadCustomFilters()
-
-    // Apply custom filters to themes
-    this._applyCustomFilters()
+    // Undo/redo stacks of customizations per theme, and the field being dragged
+    // or typed into (its changes until the next change event are one step)
+    this._history = new Map()
+    this._gesture = null
+
+    // Changes not applied yet (editorMode 'draft') as { themeKey, theme } with a copy
+    // of the theme, and the previews waiting for the next animation frame (kind → render function)
+    this._draft = null
+    this._previews = new Map()
+    this._previewFrame = null
+
+    // Before/after comparison on the map while editing, and where its divider was left
+    this._comparison = null
+    this._comparePosition = 0.5
+
+    // Storage keys for custom filters and user-created themes
+    this.storageKey = `${themeControl._getStorageKey()}-custom-filters`
+    this.userThemesStorageKey = `${themeControl._getStorageKey()}-user-themes`
+
+    // Prefix for element ids, unique per control so several editors can coexist
+    this._idPrefix = `ltc-${Util.stamp(themeControl)}`
+
+    // Load user themes and custom filters from storage and apply them to themes
+    const userThemes = this._loadUserThemes()
+    const customFilters = this._loadCustomFilters()
+    if (isThenable(userThemes) || isThenable(customFilters)) {
+      this.userThemes = {}
+      this.customFilters = {}
+      this.ready = Promise.all([userThemes, customFilters]).then(([loadedThemes, loaded]) => {
+        this.userThemes = { ...loadedThemes, ...this.userThemes }
+        this._registerUserThemes()
+
+        // Values set while loading (e.g. shared via the URL) take precedence
+        this.customFilters = { ...loaded, ...this.customFilters }
+        this._applyCustomFilters()
+
+        // Reapply the active theme if its filter was customized
+        const currentTheme = this.themeControl.getCurrentTheme()
+        if (this.customFilters[currentTheme]) {
+          this.themeControl._applyTheme(currentTheme, false)
+        }
+      })
+    }
+    else {
+      this.userThemes = userThemes
+      this._registerUserThemes()
+      this.customFilters = customFilters
+      this._applyCustomFilters()
+      this.ready = Promise.resolve()
+    }
   }
 
   /**
@@ -111,22 +251,154 @@ export class ThemeEditor {
   }
 
   _loadCustomFilters() {
-    try {
-      const stored = localStorage.getItem(this.storageKey)
-      return stored ? JSON.parse(stored) : {}
+    return whenResolved(readItem(this.themeControl._storage, this.storageKey), (stored) => {
+      try {
+        return stored ? JSON.parse(stored) : {}
+      }
+      catch (e) {
+        console.error('Failed to load custom filters:', e)
+        return {}
+      }
+    })
+  }
+
+  /**
+   * Save the customizations of some themes and send them to other tabs.
+   * They are merged into what is stored, so themes another tab saved
+   * in the meantime are not overwritten with stale values.
+   * @param {string[]} themeKeys - Themes whose customization was saved or reset
+   */
+  _saveCustomFilters(themeKeys) {
+    const changes = Object.fromEntries(themeKeys.map(themeKey => [themeKey, this.customFilters[themeKey] || null]))
+
+    // Saves with an async adapter run one after another, each merging into the previous one
+    this._pendingSave = whenResolved(this._pendingSave, () => whenResolved(this._loadCustomFilters(), (stored) => {
+      const merged = { ...stored, ...changes }
+      themeKeys.forEach((themeKey) => {
+        if (!changes[themeKey]) delete merged[themeKey]
+      })
+      writeItem(this.themeControl._storage, this.storageKey, JSON.stringify(merged))
+    }))
+
+    this.themeControl._broadcast({ type: 'customFilters', themes: changes })
+  }
+
+  /**
+   * Find the themes whose customization another tab changed, from a `storage` event.
+   * @param {string|null} oldValue - Stored customizations before the change
+   * @param {string|null} newValue - Stored customizations after the change
+   * @returns {object} Theme key → customization, or null where it was reset
+   */
+  _getStorageChanges(oldValue, newValue) {
+    const parse = (value) => {
+      try {
+        return (value && JSON.parse(value)) || {}
+      }
+      catch {
+        return {}
+      }
+    }
+    const before = parse(oldValue)
+    const after = parse(newValue)
+
+    const themeKeys = new Set([...Object.keys(before), ...Object.keys(after)])
+    return Object.fromEntries([...themeKeys]
+      .filter(themeKey => JSON.stringify(before[themeKey]) !== JSON.stringify(after[themeKey]))
+      .map(themeKey => [themeKey, after[themeKey] || null]))
+  }
+
+  /**
+   * Apply customizations saved by another tab (they are in storage already).
+   * @param {object} themes - Theme key → customization, or null where it was reset
+   */
+  _receiveCustomFilters(themes) {
+    const control = this.themeControl
+    const themeKeys = Object.keys(themes).filter(themeKey => control.options.themes[themeKey])
+    if (themeKeys.length === 0) return
+
+    themeKeys.forEach((themeKey) => {
+      // Undoing would bring back this tab's older values over the ones just received
+      this._history.delete(themeKey)
+      this._dropDraft(themeKey)
+      this._restoreOriginalTheme(themeKey)
+      if (themes[themeKey]) {
+        this.customFilters[themeKey] = themes[themeKey]
+      }
+      else {
+        delete this.customFilters[themeKey]
+      }
+    })
+    this._applyCustomFilters()
+
+    const currentTheme = control.getCurrentTheme()
+    if (themeKeys.includes(currentTheme)) {
+      control.setTheme(currentTheme, 'sync')
+    }
+
+    // Show the new values in the open panel
+    if (this.isOpen && this.currentView === 'selector') {
+      this._renderThemeSelector()
     }
-    catch (e) {
-      console.error('Failed to load custom filters:', e)
-      return {}
+    else if (this.currentView === 'editor' && themeKeys.includes(this.editingTheme)) {
+      this._refreshThemeEditor()
     }
   }
 
-  _saveCustomFilters() {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.customFilters))
+  _loadUserThemes() {
+    return whenResolved(readItem(this.themeControl._storage, this.userThemesStorageKey), (stored) => {
+      try {
+        const themes = stored ? JSON.parse(stored) : {}
+        // Skip malformed entries instead of breaking the whole control
+        return Object.fromEntries(Object.entries(themes).filter(([, theme]) => theme && typeof theme.label === 'string'))
+      }
+      catch (e) {
+        console.error('Failed to load user themes:', e)
+        return {}
+      }
+    })
+  }
+
+  _saveUserThemes() {
+    const themes = Object.keys(this.userThemes).length > 0 ? JSON.stringify(this.userThemes) : null
+    writeItem(this.themeControl._storage, this.userThemesStorageKey, themes)
+  }
+
+  _registerUserThemes() {
+    Object.entries(this.userThemes).forEach(([themeKey, userTheme]) => {
+      const existing = this.themeControl.options.themes[themeKey]
+      if (existing && !existing.userDefined) {
+        console.warn(`User theme "${themeKey}" conflicts with a configured theme and is ignored`)
+        delete this.userThemes[themeKey]
+        return
+      }
+      this._addUserTheme(themeKey, userTheme)
+    })
+  }
+
+  _addUserTheme(themeKey, userTheme) {
+    const { label, icon, filter = '', controlStyle = 'light', svgFilter, panes, controlPalette, tokens } = userTheme
+    const theme = { label, icon, filter, controlStyle, userDefined: true }
+    if (tokens) {
+      theme.tokens = this.themeControl._validateTokens(themeKey, tokens)
     }
-    catch (e) {
-      console.error('Failed to save custom filters:', e)
+    if (svgFilter && !validateSvgFilter(svgFilter)) {
+      theme.svgFilter = cloneSvgFilter(svgFilter)
+    }
+    if (panes && !validatePaneFilters(panes)) {
+      theme.panes = { ...panes }
+    }
+    if (controlPalette && !validateControlPalette(controlPalette)) {
+      theme.controlPalette = { ...controlPalette }
+    }
+    this.themeControl.options.themes[themeKey] = theme
+
+    // The filter the theme was created with is what "Reset to Default" returns to
+    this.themeControl.originalThemes[themeKey] = {
+      filter,
+      controlStyle,
+      svgFilter: cloneSvgFilter(theme.svgFilter),
+      panes: theme.panes && { ...theme.panes },
+      controlPalette: theme.controlPalette && { ...theme.controlPalette },
     }
   }
 
@@ -134,22 +406,39 @@ export class ThemeEditor {
     Object.keys(this.customFilters).forEach((themeKey) => {
       if (this.themeControl.options.themes[themeKey]) {
         const custom = this.customFilters[themeKey]
-        this.themeControl.options.themes[themeKey].filter = this._buildFilterString(custom)
+        this.themeControl.options.themes[themeKey].filter = this._getCustomFilterString(custom)
 
         // Apply control style if saved
         if (custom.controlStyle) {
           this.themeControl.options.themes[themeKey].controlStyle = custom.controlStyle
         }
+
+        if (custom.svgFilter && !validateSvgFilter(custom.svgFilter)) {
+          this.themeControl.options.themes[themeKey].svgFilter = cloneSvgFilter(custom.svgFilter)
+        }
+
+        if (custom.panes && !validatePaneFilters(custom.panes)) {
+          this.themeControl.options.themes[themeKey].panes = { ...custom.panes }
+        }
+
+        if (custom.controlPalette && !validateControlPalette(custom.controlPalette)) {
+          this.themeControl.options.themes[themeKey].controlPalette = { ...custom.controlPalette }
+        }
       }
     })
   }
 
   createPanel() {
+    // Listeners of a previous panel were aborted on cleanup
+    if (this._abortController.signal.aborted) {
+      this._abortController = new AbortController()
+    }
+
     const panel = DomUtil.create('div', 'leaflet-theme-panel')
     panel.style.display = 'none'
     panel.setAttribute('role', 'dialog')
     panel.setAttribute('aria-modal', 'true')
-    panel.setAttribute('aria-labelledby', 'theme-panel-title')
+    panel.setAttribute('aria-labelledby', `${this._idPrefix}-panel-title`)
 
     // Apply position and z-index from options
     const position = this.themeControl.options.panelPosition || 'topright'
@@ -165,10 +454,47 @@ export class ThemeEditor {
     // Close on ESC key (listener lives for the lifetime of the panel)
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.isOpen) {
-        this.close()
+        // A draft is discarded first, the next Escape closes the panel
+        if (!this.cancelDraft()) {
+          this.close()
+        }
       }
     }, { signal: this._abortController.signal })
 
+    // Track slider drags and typing for the edit history. Captured, so this runs
+    // before the field's own listener saves the change
+    panel.addEventListener('input', (e) => {
+      if (this._gesture?.target !== e.target) {
+        this._gesture = { target: e.target }
+      }
+    }, { capture: true, signal: this._abortController.signal })
+    panel.addEventListener('change', () => {
+      this._gesture = null
+    }, { capture: true, signal: this._abortController.signal })
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) in the theme editor, text fields keep their own undo
+    DomEvent.on(panel, 'keydown', (e) => {
+      if (this.currentView !== 'editor' || !(e.ctrlKey || e.metaKey) || e.altKey) return
+      if (e.target.matches('input[type="text"], textarea')) return
+
+      const key = e.key.toLowerCase()
+      const isRedo = key === 'y' || (key === 'z' && e.shiftKey)
+      if (key !== 'z' && !isRedo) return
+
+      e.preventDefault()
+      if (isRedo) {
+        this.redo()
+      }
+      else {
+        this.undo()
+      }
+
+      // The editor was rendered again, keep focus inside the panel
+      if (!panel.contains(document.activeElement)) {
+        this._focusHistoryButton(isRedo ? 'redo' : 'undo')
+      }
+    })
+
     return panel
   }
 
@@ -183,14 +509,21 @@ export class ThemeEditor {
 
   openThemeSelector() {
     if (!this.panel) return
+    this._leaveEditor()
 
     this.isOpen = true
     this.currentView = 'selector'
     this.panel.style.display = 'block'
     this._renderThemeSelector()
 
+    this.themeControl.fire('themeeditoropen', {
+      view: 'selector',
+      theme: this.themeControl.getCurrentTheme(),
+    }, true)
+
     // Focus first interactive element
     setTimeout(() => {
+      if (!this.panel) return // Cleaned up in the meantime
       const firstBtn = this.panel.querySelector('.theme-select-btn')
       if (firstBtn) firstBtn.focus()
     }, 50)
@@ -198,13 +531,17 @@ export class ThemeEditor {
 
   openThemeEditor(themeKey) {
     if (!this.panel) return
+    this._leaveEditor()
 
     this.currentView = 'editor'
     this.editingTheme = themeKey
     this._renderThemeEditor(themeKey)
 
+    this.themeControl.fire('themeeditoropen', { view: 'editor', theme: themeKey }, true)
+
     // Focus first slider
     setTimeout(() => {
+      if (!this.panel) return // Cleaned up in the meantime
       const firstSlider = this.panel.querySelector('input[type="range"]')
       if (firstSlider) firstSlider.focus()
     }, 50)
@@ -217,11 +554,17 @@ export class ThemeEditor {
 
   close() {
     if (!this.panel) return
+    this._leaveEditor()
 
+    const wasOpen = this.isOpen
     this.isOpen = false
     this.panel.style.display = 'none'
     this.currentView = 'selector'
     this.editingTheme = null
+
+    if (wasOpen) {
+      this.themeControl.fire('themeeditorclose', {}, true)
+    }
   }
 
   _isThemeModified(themeKey) {
@@ -237,17 +580,12 @@ export class ThemeEditor {
       return true
     }
 
-    // Parse default filter and compare with custom
-    const defaultValues = this._parseFilterString(defaultTheme.filter)
+    // Compare the effect of both filters (order matters, units and no-op steps don't)
     const customValues = this.customFilters[themeKey]
-
-    // Check if any filter value differs from default
-    const filterKeys = ['invert', 'hueRotate', 'saturate', 'brightness', 'contrast', 'sepia', 'grayscale']
-    const filtersModified = filterKeys.some((key) => {
-      const defaultVal = defaultValues[key]
-      const customVal = customValues[key] !== undefined ? customValues[key] : defaultVal
-      return Math.abs(customVal - defaultVal) > 0.01 // Use small epsilon for float comparison
-    })
+    const filtersModified = !filtersEqual(this._getCustomFilterString(customValues), defaultTheme.filter)
+      || JSON.stringify(customValues.svgFilter) !== JSON.stringify(defaultTheme.svgFilter)
+      || JSON.stringify(customValues.panes) !== JSON.stringify(defaultTheme.panes)
+      || JSON.stringify(customValues.controlPalette) !== JSON.stringify(defaultTheme.controlPalette)
 
     // Check if control style differs
     const controlStyleModified = customValues.controlStyle && customValues.controlStyle !== defaultTheme.controlStyle
@@ -263,16 +601,16 @@ export class ThemeEditor {
 
     // Abort all event listeners
     this._abortController.abort()
+    this._discardPreviews()
+    this._stopComparison()
 
     // Remove panel from DOM
     if (this.panel && this.panel.parentNode) {
       this.panel.parentNode.removeChild(this.panel)
     }
 
-    // Clear all references
+    // The editor is kept for the next add, only its panel is dropped
     this.panel = null
-    this.themeControl = null
-    this.customFilters = null
   }
 
   _renderThemeSelector() {
@@ -293,13 +631,43 @@ export class ThemeEditor {
       body.appendChild(row)
     })
 
+    const footer = this._el('div', { className: 'theme-panel-footer' },
+      this._el('button', { className: 'theme-create-open' }, `+ ${this._getLabel('newTheme')}`),
+      this._el('button', { className: 'theme-transfer-open' }, this._getLabel('importExport')),
+    )
+
+    // After a manual choice, offer to go back to the automatic theme
+    const followSystem = this.themeControl.isFollowingSystem()
+      ? []
+      : [this._el('div', { className: 'theme-follow-system' },
+          this._el('button', { className: 'theme-follow-system-btn' }, `↺ ${this._getLabel('followSystem')}`),
+        )]
+
     // Replace panel content
-    this.panel.replaceChildren(header, body)
+    const presets = this.themeControl.getVisionPresets()
+    const vision = Object.keys(presets).length > 0 ? [this._createVisionSelector(presets)] : []
+    this.panel.replaceChildren(header, body, ...followSystem, ...vision, footer)
 
     // Attach event listeners
     this._attachSelectorListeners()
   }
 
+  _createVisionSelector(presets) {
+    const select = this._el('select', {
+      id: `${this._idPrefix}-vision`,
+      className: 'theme-vision-select',
+    }, this._el('option', { value: '' }, this._getLabel('visionNone')))
+    Object.entries(presets).forEach(([key, preset]) => {
+      select.appendChild(this._el('option', { value: key }, preset.label || key))
+    })
+    select.value = this.themeControl.getVision() || ''
+
+    return this._el('div', { className: 'theme-vision' },
+      this._el('label', { htmlFor: select.id }, this._getLabel('colorVision')),
+      select,
+    )
+  }
+
   _createPanelHeader(title, showBackButton = false) {
     const header = this._el('div', { className: 'theme-panel-header' })
 
@@ -311,7 +679,7 @@ export class ThemeEditor {
       header.appendChild(backBtn)
     }
 
-    const h3 = this._el('h3', { id: 'theme-panel-title' }, title)
+    const h3 = this._el('h3', { id: `${this._idPrefix}-panel-title` }, title)
     header.appendChild(h3)
 
     const closeBtn = this._el('button', {
@@ -363,6 +731,23 @@ export class ThemeEditor {
         'aria-label': `${this._getLabel('customizeTheme')}: ${themeLabel}`,
       }, '⚙️')
       row.appendChild(editBtn)
+
+      row.appendChild(this._el('button', {
+        'className': 'theme-duplicate-btn',
+        'data-theme': themeKey,
+        'aria-label': `${this._getLabel('duplicateTheme')}: ${themeLabel}`,
+        'title': this._getLabel('duplicateTheme'),
+      }, '⧉'))
+
+      // Only user-created themes can be renamed or deleted
+      if (this.isUserTheme(themeKey)) {
+        row.appendChild(this._el('button', {
+          'className': 'theme-rename-btn',
+          'data-theme': themeKey,
+          'aria-label': `${this._getLabel('editThemeDetails')}: ${themeLabel}`,
+          'title': this._getLabel('editThemeDetails'),
+        }, '✏️'))
+      }
     }
 
     return row
@@ -411,201 +796,1819 @@ export class ThemeEditor {
         this.openThemeEditor(themeKey)
       })
     })
+
+    // User theme actions
+    this.panel.querySelectorAll('.theme-duplicate-btn').forEach((btn) => {
+      DomEvent.on(btn, 'click', (e) => {
+        DomEvent.stop(e)
+        this.openThemeCreator(e.currentTarget.dataset.theme)
+      })
+    })
+    this.panel.querySelectorAll('.theme-rename-btn').forEach((btn) => {
+      DomEvent.on(btn, 'click', (e) => {
+        DomEvent.stop(e)
+        this.openThemeRename(e.currentTarget.dataset.theme)
+      })
+    })
+    const createBtn = this.panel.querySelector('.theme-create-open')
+    DomEvent.on(createBtn, 'click', () => this.openThemeCreator())
+
+    // Import / export view
+    const transferBtn = this.panel.querySelector('.theme-transfer-open')
+    DomEvent.on(transferBtn, 'click', () => this.openTransferView())
+
+    const followSystemBtn = this.panel.querySelector('.theme-follow-system-btn')
+    if (followSystemBtn) {
+      DomEvent.on(followSystemBtn, 'click', () => {
+        this.themeControl.followSystem()
+        this.close()
+      })
+    }
+
+    // Color vision presets combine with any theme, so the panel stays open
+    const visionSelect = this.panel.querySelector('.theme-vision-select')
+    if (visionSelect) {
+      DomEvent.on(visionSelect, 'change', e => this.themeControl.setVision(e.currentTarget.value || null))
+    }
   }
 
-  _renderThemeEditor(themeKey) {
+  /**
+   * Check whether a theme was created by the user in the editor.
+   * @param {string} themeKey - Theme key
+   * @returns {boolean} True for user-created themes
+   */
+  isUserTheme(themeKey) {
+    return Boolean(this.userThemes && this.userThemes[themeKey])
+  }
+
+  /**
+   * Create a new theme starting from the filter of an existing one.
+   * @param {object} options - Theme options
+   * @param {string} options.label - Display name
+   * @param {string} [options.icon] - Icon (emoji)
+   * @param {string} [options.baseTheme] - Theme to copy the filter and control style from, defaults to the current theme
+   * @returns {string|null} Key of the new theme, or null if no name was given
+   */
+  createTheme({ label, icon = '🎨', baseTheme = this.themeControl.getCurrentTheme() } = {}) {
+    const name = String(label ?? '').trim()
+    if (!name) {
+      console.warn('A theme needs a name')
+      return null
+    }
+
+    const base = this.themeControl.options.themes[baseTheme] || {}
+    const themeKey = this._createThemeKey(name)
+    const userTheme = {
+      label: name,
+      icon: icon || '🎨',
+      filter: base.filter || '',
+      controlStyle: base.controlStyle || 'light',
+    }
+    if (base.svgFilter) {
+      userTheme.svgFilter = cloneSvgFilter(base.svgFilter)
+    }
+    if (base.panes) {
+      userTheme.panes = { ...base.panes }
+    }
+    if (base.controlPalette) {
+      userTheme.controlPalette = { ...base.controlPalette }
+    }
+    if (base.tokens) {
+      userTheme.tokens = { ...base.tokens }
+    }
+
+    this.userThemes[themeKey] = userTheme
+    this._addUserTheme(themeKey, userTheme)
+    this._saveUserThemes()
+
+    this.themeControl.fire('themecreate', { theme: themeKey, baseTheme }, true)
+    return themeKey
+  }
+
+  /**
+   * Duplicate a theme under a new name.
+   * @param {string} themeKey - Theme to duplicate
+   * @param {string} [label] - Name of the copy, defaults to "<name> copy"
+   * @returns {string|null} Key of the new theme
+   */
+  duplicateTheme(themeKey, label) {
     const theme = this.themeControl.options.themes[themeKey]
-    const themeLabel = this.themeControl._getThemeLabel(themeKey)
+    if (!theme) {
+      console.warn(`Theme "${themeKey}" not found`)
+      return null
+    }
 
-    // Get current filter values or defaults
-    const filterValues = this.customFilters[themeKey] || this._parseFilterString(theme.filter)
+    return this.createTheme({
+      label: label || this._getCopyLabel(themeKey),
+      icon: theme.icon,
+      baseTheme: themeKey,
+    })
+  }
 
-    // Get control style preference - always start fresh from theme
-    // Don't check customFilters first, as it may have stale data
-    const controlStyle = theme.controlStyle || 'light'
+  /**
+   * Change the name and/or icon of a user-created theme.
+   * @param {string} themeKey - Theme key
+   * @param {object} changes - New values
+   * @param {string} [changes.label] - Display name
+   * @param {string} [changes.icon] - Icon (emoji)
+   */
+  renameTheme(themeKey, { label, icon } = {}) {
+    if (!this.isUserTheme(themeKey)) {
+      console.warn(`Theme "${themeKey}" is not a user theme`)
+      return
+    }
 
-    // Build panel structure
-    const header = this._createPanelHeader(`${this._getLabel('customize')}: ${themeLabel}`, true)
-    const body = this._createEditorBody(filterValues, controlStyle)
-    const footer = this._createEditorFooter()
+    const userTheme = this.userThemes[themeKey]
+    const theme = this.themeControl.options.themes[themeKey]
+    const name = String(label ?? '').trim()
+    if (name) {
+      userTheme.label = theme.label = name
+    }
+    if (icon) {
+      userTheme.icon = theme.icon = icon
+    }
+    this._saveUserThemes()
 
-    // Replace panel content
-    this.panel.replaceChildren(header, body, footer)
+    if (this.themeControl.getCurrentTheme() === themeKey) {
+      this.themeControl.updateButtonLabel()
+    }
 
-    // Attach event listeners
-    this._attachEditorListeners(themeKey, filterValues, controlStyle)
+    this.themeControl.fire('themerename', { theme: themeKey, label: theme.label, icon: theme.icon }, true)
   }
 
-  _createControlStyleSelector(controlStyle) {
-    const selector = this._el('div', { className: 'control-style-selector' })
+  /**
+   * Delete a user-created theme. If it is active, the default theme is applied.
+   * @param {string} themeKey - Theme key
+   */
+  deleteTheme(themeKey) {
+    if (!this.isUserTheme(themeKey)) {
+      console.warn(`Theme "${themeKey}" is not a user theme`)
+      return
+    }
 
-    const label = this._el('label', {}, this._getLabel('controlStyle'))
-    selector.appendChild(label)
+    // Go back to the automatic theme, the default isn't the user's choice
+    const control = this.themeControl
+    if (control.getCurrentTheme() === themeKey) {
+      control.followSystem()
+    }
+    if (control.getCurrentTheme() === themeKey) {
+      control.setTheme(control.options.defaultTheme, 'system')
+    }
 
-    const buttonsContainer = this._el('div', { className: 'control-style-buttons' })
+    delete this.userThemes[themeKey]
+    delete control.options.themes[themeKey]
+    delete control.originalThemes[themeKey]
+    this._saveUserThemes()
 
-    const lightBtn = this._el('button', {
-      'className': `control-style-btn ${controlStyle === 'light' ? 'active' : ''}`,
-      'data-style': 'light',
-    }, `☀️ ${this._getLabel('lightControls')}`)
+    if (this.customFilters[themeKey]) {
+      delete this.customFilters[themeKey]
+      this._saveCustomFilters([themeKey])
+    }
+    this._history.delete(themeKey)
+    this._dropDraft(themeKey)
 
-    const darkBtn = this._el('button', {
-      'className': `control-style-btn ${controlStyle === 'dark' ? 'active' : ''}`,
-      'data-style': 'dark',
-    }, `🌙 ${this._getLabel('darkControls')}`)
+    control.fire('themedelete', { theme: themeKey }, true)
+  }
 
-    buttonsContainer.appendChild(lightBtn)
-    buttonsContainer.appendChild(darkBtn)
-    selector.appendChild(buttonsContainer)
+  _createThemeKey(label) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme'
+    const themes = this.themeControl.options.themes
 
-    return selector
+    let themeKey = `user-${slug}`
+    for (let i = 2; themes[themeKey]; i++) {
+      themeKey = `user-${slug}-${i}`
+    }
+    return themeKey
   }
 
-  _createEditorBody(filterValues, controlStyle) {
-    const body = this._el('div', { className: 'theme-panel-body theme-editor-sliders' })
+  _getCopyLabel(themeKey) {
+    return `${this.themeControl._getThemeLabel(themeKey)} ${this._getLabel('copySuffix')}`
+  }
 
-    // Control style selector
-    body.appendChild(this._createControlStyleSelector(controlStyle))
+  /**
+   * Open the form for creating a new theme.
+   * @param {string} [baseTheme] - Theme to start from (duplicate), defaults to the current theme
+   */
+  openThemeCreator(baseTheme) {
+    if (!this.panel) return
+    this._leaveEditor()
 
-    // Filter sliders
-    body.appendChild(this._createSlider('invert', filterValues.invert ?? 0, 0, 1, 0.1))
-    body.appendChild(this._createSlider('hueRotate', filterValues.hueRotate ?? 0, 0, 360, 1, '°'))
-    body.appendChild(this._createSlider('saturate', filterValues.saturate ?? 1, 0, 2, 0.1))
-    body.appendChild(this._createSlider('brightness', filterValues.brightness ?? 1, 0, 2, 0.1))
-    body.appendChild(this._createSlider('contrast', filterValues.contrast ?? 1, 0, 2, 0.1))
-    body.appendChild(this._createSlider('sepia', filterValues.sepia ?? 0, 0, 1, 0.1))
-    body.appendChild(this._createSlider('grayscale', filterValues.grayscale ?? 0, 0, 1, 0.1))
+    this.currentView = 'create'
+    this.editingTheme = null
+    this._renderThemeForm(null, baseTheme)
 
-    return body
+    this.themeControl.fire('themeeditoropen', { view: 'create', theme: baseTheme || this.themeControl.getCurrentTheme() }, true)
+    this._focusThemeForm()
   }
 
-  _createEditorFooter() {
-    const footer = this._el('div', { className: 'theme-panel-footer' })
-    const resetBtn = this._el('button', { className: 'theme-editor-reset' }, this._getLabel('resetToDefault'))
-    footer.appendChild(resetBtn)
-    return footer
+  /**
+   * Open the form for renaming or deleting a user-created theme.
+   * @param {string} themeKey - Theme key
+   */
+  openThemeRename(themeKey) {
+    if (!this.panel || !this.isUserTheme(themeKey)) return
+    this._leaveEditor()
+
+    this.currentView = 'rename'
+    this.editingTheme = themeKey
+    this._renderThemeForm(themeKey)
+
+    this.themeControl.fire('themeeditoropen', { view: 'rename', theme: themeKey }, true)
+    this._focusThemeForm()
   }
 
-  _createSlider(key, value, min, max, step, unit = '') {
-    const label = this._getLabel(key)
+  _focusThemeForm() {
+    setTimeout(() => {
+      if (!this.panel) return // Cleaned up in the meantime
+      const nameInput = this.panel.querySelector('.theme-form-name')
+      if (nameInput) nameInput.focus()
+    }, 50)
+  }
 
-    return this._el('div', { className: 'theme-editor-slider' },
-      this._el('label', { htmlFor: `slider-${key}` },
-        this._el('span', { className: 'slider-label' }, label),
-        this._el('span', { 'className': 'slider-value', 'data-key': key }, `${value}${unit}`),
-      ),
+  /**
+   * Render the create/rename form.
+   * @param {string|null} themeKey - Theme being renamed, or null to create a theme
+   * @param {string} [baseTheme] - Preselected theme to start from (create only)
+   */
+  _renderThemeForm(themeKey, baseTheme) {
+    const themes = this.themeControl.options.themes
+    const isRename = Boolean(themeKey)
+    const selectedBase = baseTheme || this.themeControl.getCurrentTheme()
+
+    const title = isRename
+      ? `${this._getLabel('editThemeDetails')}: ${this.themeControl._getThemeLabel(themeKey)}`
+      : this._getLabel('newTheme')
+    const header = this._createPanelHeader(title, true)
+
+    const name = isRename
+      ? themes[themeKey].label
+      : (baseTheme ? this._getCopyLabel(baseTheme) : '')
+    const icon = isRename ? themes[themeKey].icon : (baseTheme && themes[baseTheme].icon) || THEME_ICONS[0]
+
+    const iconButtons = THEME_ICONS.map(option => this._el('button', {
+      'type': 'button',
+      'className': `theme-form-icon-btn ${option === icon ? 'active' : ''}`,
+      'data-icon': option,
+      'aria-label': `${this._getLabel('themeIcon')}: ${option}`,
+    }, option))
+
+    const form = this._el('form', { className: 'theme-panel-body theme-form' },
+      this._el('label', { htmlFor: `${this._idPrefix}-theme-name` }, this._getLabel('themeName')),
       this._el('input', {
-        'type': 'range',
-        'id': `slider-${key}`,
-        'data-key': key,
-        'min': String(min),
-        'max': String(max),
-        'step': String(step),
-        'value': String(value),
-        'aria-label': `${label}: ${value}${unit}`,
-        'aria-valuemin': String(min),
-        'aria-valuemax': String(max),
-        'aria-valuenow': String(value),
+        type: 'text',
+        id: `${this._idPrefix}-theme-name`,
+        className: 'theme-form-name',
+        value: name,
+        maxLength: 40,
+        required: true,
       }),
+      this._el('label', { htmlFor: `${this._idPrefix}-theme-icon` }, this._getLabel('themeIcon')),
+      this._el('div', { className: 'theme-form-icons' },
+        this._el('input', {
+          type: 'text',
+          id: `${this._idPrefix}-theme-icon`,
+          className: 'theme-form-icon',
+          value: icon,
+          maxLength: 8,
+        }),
+        ...iconButtons,
+      ),
     )
+
+    if (!isRename) {
+      const baseSelect = this._el('select', {
+        id: `${this._idPrefix}-theme-base`,
+        className: 'theme-form-base',
+      })
+      Object.keys(themes).forEach((key) => {
+        baseSelect.appendChild(this._el('option', { value: key }, this.themeControl._getThemeLabel(key)))
+      })
+      baseSelect.value = selectedBase
+      form.appendChild(this._el('label', { htmlFor: baseSelect.id }, this._getLabel('baseTheme')))
+      form.appendChild(baseSelect)
+    }
+
+    form.appendChild(this._el('div', { 'className': 'theme-form-error', 'role': 'alert', 'aria-live': 'assertive' }))
+    form.appendChild(this._el('button', { type: 'submit', className: 'theme-form-save' }, this._getLabel('saveTheme')))
+
+    const footer = this._el('div', { className: 'theme-panel-footer' })
+    if (isRename) {
+      footer.appendChild(this._el('button', { className: 'theme-form-delete' }, this._getLabel('deleteTheme')))
+    }
+
+    this.panel.replaceChildren(header, form, ...(isRename ? [footer] : []))
+    this._attachThemeFormListeners(themeKey)
   }
 
-  _attachEditorListeners(themeKey, initialValues, initialControlStyle) {
-    // Back button
+  _attachThemeFormListeners(themeKey) {
     const backBtn = this.panel.querySelector('.theme-panel-back')
     DomEvent.on(backBtn, 'click', () => this.openThemeSelector())
 
-    // Close button
     const closeBtn = this.panel.querySelector('.theme-panel-close')
     DomEvent.on(closeBtn, 'click', () => this.close())
 
-    // Control style buttons
-    let currentControlStyle = initialControlStyle
-    const controlStyleBtns = this.panel.querySelectorAll('.control-style-btn')
-    controlStyleBtns.forEach((btn) => {
-      DomEvent.on(btn, 'click', (e) => {
-        const style = e.currentTarget.dataset.style
-        currentControlStyle = style
-
-        // Update active state
-        controlStyleBtns.forEach(b => b.classList.remove('active'))
-        e.currentTarget.classList.add('active')
+    const form = this.panel.querySelector('.theme-form')
+    const nameInput = this.panel.querySelector('.theme-form-name')
+    const iconInput = this.panel.querySelector('.theme-form-icon')
+    const baseSelect = this.panel.querySelector('.theme-form-base')
+    const error = this.panel.querySelector('.theme-form-error')
+    const iconBtns = this.panel.querySelectorAll('.theme-form-icon-btn')
 
-        // Live preview and save
-        this.themeControl.root.setAttribute('data-control-style', style)
-        this._saveTheme(themeKey, currentValues, currentControlStyle)
+    iconBtns.forEach((btn) => {
+      DomEvent.on(btn, 'click', (e) => {
+        iconInput.value = e.currentTarget.dataset.icon
+        iconBtns.forEach(b => b.classList.toggle('active', b === e.currentTarget))
       })
     })
+    DomEvent.on(iconInput, 'input', () => {
+      iconBtns.forEach(b => b.classList.toggle('active', b.dataset.icon === iconInput.value))
+    })
 
-    // Sliders
-    const sliders = this.panel.querySelectorAll('input[type="range"]')
-    const currentValues = { ...initialValues }
-
-    sliders.forEach((slider) => {
-      DomEvent.on(slider, 'input', (e) => {
-        const key = e.target.dataset.key
-        const value = parseFloat(e.target.value)
-        currentValues[key] = value
+    DomEvent.on(form, 'submit', (e) => {
+      DomEvent.preventDefault(e)
 
-        // Update display value
-        const valueDisplay = this.panel.querySelector(`.slider-value[data-key="${key}"]`)
-        const unit = key === 'hueRotate' ? '°' : ''
-        valueDisplay.textContent = value + unit
+      const label = nameInput.value.trim()
+      if (!label) {
+        error.textContent = this._getLabel('nameRequired')
+        nameInput.focus()
+        return
+      }
 
-        // Update aria-valuenow and aria-label
-        e.target.setAttribute('aria-valuenow', value)
-        e.target.setAttribute('aria-label', `${this._getLabel(key)}: ${value}${unit}`)
+      if (themeKey) {
+        this.renameTheme(themeKey, { label, icon: iconInput.value.trim() })
+        this.openThemeSelector()
+        return
+      }
 
-        // Live preview and save
-        this._previewFilter(themeKey, currentValues)
-        this._saveTheme(themeKey, currentValues, currentControlStyle)
-      })
+      // Switch to the new theme and continue with its filters
+      const newThemeKey = this.createTheme({ label, icon: iconInput.value.trim(), baseTheme: baseSelect.value })
+      this.themeControl.setTheme(newThemeKey)
+      this.openThemeEditor(newThemeKey)
     })
 
-    // Reset button
-    const resetBtn = this.panel.querySelector('.theme-editor-reset')
-    DomEvent.on(resetBtn, 'click', () => {
-      this._resetTheme(themeKey)
-    })
+    // Deleting needs a second click to confirm
+    const deleteBtn = this.panel.querySelector('.theme-form-delete')
+    if (deleteBtn) {
+      DomEvent.on(deleteBtn, 'click', () => {
+        if (!deleteBtn.classList.contains('confirm')) {
+          deleteBtn.classList.add('confirm')
+          deleteBtn.textContent = this._getLabel('confirmDelete')
+          return
+        }
+        this.deleteTheme(themeKey)
+        this.openThemeSelector()
+      })
+    }
   }
 
-  _previewFilter(themeKey, values) {
-    const filterString = this._buildFilterString(values)
-
-    // Temporarily update the filter
-    const elements = document.querySelectorAll(this.themeControl.options.cssSelector)
-    elements.forEach((el) => {
-      el.style.filter = filterString
-    })
+  /**
+   * Open the import/export view.
+   */
+  openTransferView() {
+    if (!this.panel) return
+    this._leaveEditor()
+
+    this.currentView = 'transfer'
+    this.editingTheme = null
+    this._renderTransferView()
+
+    this.themeControl.fire('themeeditoropen', { view: 'transfer', theme: this.themeControl.getCurrentTheme() }, true)
+  }
+
+  /**
+   * Export themes as a versioned JSON document.
+   * @param {string|string[]} [themeKeys] - Theme(s) to export, defaults to all customized themes
+   * @returns {object} Theme document
+   */
+  exportThemes(themeKeys = Object.keys(this.customFilters)) {
+    const keys = Array.isArray(themeKeys) ? themeKeys : [themeKeys]
+    const themes = {}
+
+    keys.forEach((themeKey) => {
+      const theme = this.themeControl.options.themes[themeKey]
+      if (!theme) {
+        console.warn(`Theme "${themeKey}" not found`)
+        return
+      }
+
+      themes[themeKey] = {
+        label: this.themeControl._getThemeLabel(themeKey),
+        filter: theme.filter || '',
+        controlStyle: theme.controlStyle || 'light',
+      }
+      if (theme.svgFilter) {
+        themes[themeKey].svgFilter = cloneSvgFilter(theme.svgFilter)
+      }
+      if (theme.panes) {
+        themes[themeKey].panes = { ...theme.panes }
+      }
+      if (theme.controlPalette) {
+        themes[themeKey].controlPalette = { ...theme.controlPalette }
+      }
+    })
+
+    return createThemeDocument(themes)
+  }
+
+  /**
+   * Import themes from a document created by exportThemes.
+   * The imported values are saved as customizations of existing themes.
+   * @param {string|object} input - JSON string or parsed document
+   * @returns {{imported: string[], errors: string[]}} Imported theme keys and problems found
+   */
+  importThemes(input) {
+    const { themes, errors } = parseThemeDocument(input)
+    const imported = []
+
+    for (const [themeKey, theme] of Object.entries(themes)) {
+      const target = this.themeControl.options.themes[themeKey]
+      if (!target) {
+        errors.push(`Theme "${themeKey}" is not available`)
+        continue
+      }
+
+      this._recordHistory(themeKey)
+      this.customFilters[themeKey] = this._createCustomFilter(
+        theme.filter,
+        theme.controlStyle || target.controlStyle || 'light',
+        {
+          svgFilter: theme.svgFilter || target.svgFilter,
+          panes: theme.panes || target.panes,
+          controlPalette: theme.controlPalette || target.controlPalette,
+        },
+      )
+      imported.push(themeKey)
+    }
+
+    if (imported.length > 0) {
+      this._saveCustomFilters(imported)
+      this._applyCustomFilters()
+
+      const currentTheme = this.themeControl.getCurrentTheme()
+      if (imported.includes(currentTheme)) {
+        this.themeControl.setTheme(currentTheme, 'editor')
+      }
+
+      this.themeControl.fire('themeimport', { themes: imported }, true)
+    }
+
+    return { imported, errors }
+  }
+
+  _renderTransferView() {
+    const themes = this.themeControl.options.themes
+    const header = this._createPanelHeader(this._getLabel('importExport'), true)
+
+    // Export: one theme or all customized themes
+    const exportSelect = this._el('select', {
+      'className': 'theme-transfer-select',
+      'aria-label': this._getLabel('exportThemes'),
+    }, this._el('option', { value: '' }, this._getLabel('allCustomizedThemes')))
+    Object.keys(themes).forEach((themeKey) => {
+      exportSelect.appendChild(this._el('option', { value: themeKey }, this.themeControl._getThemeLabel(themeKey)))
+    })
+
+    const exportSection = this._el('div', { className: 'theme-transfer-section' },
+      this._el('label', {}, this._getLabel('exportThemes')),
+      exportSelect,
+      this._el('div', { className: 'theme-transfer-buttons' },
+        this._el('button', { className: 'theme-transfer-download' }, this._getLabel('download')),
+        this._el('button', { className: 'theme-transfer-copy' }, this._getLabel('copy')),
+      ),
+    )
+
+    // Import: paste or pick a file, preview, then apply
+    const importSection = this._el('div', { className: 'theme-transfer-section' },
+      this._el('label', { htmlFor: `${this._idPrefix}-import` }, this._getLabel('importThemes')),
+      this._el('textarea', {
+        id: `${this._idPrefix}-import`,
+        className: 'theme-transfer-input',
+        rows: 4,
+        placeholder: this._getLabel('pasteThemes'),
+      }),
+      this._el('input', {
+        'type': 'file',
+        'className': 'theme-transfer-file',
+        'accept': 'application/json,.json',
+        'aria-label': this._getLabel('chooseFile'),
+      }),
+      this._el('div', { className: 'theme-transfer-buttons' },
+        this._el('button', { className: 'theme-transfer-preview-btn' }, this._getLabel('preview')),
+        this._el('button', { className: 'theme-transfer-apply', disabled: true }, this._getLabel('applyImport')),
+      ),
+      this._el('div', { className: 'theme-transfer-preview' }),
+    )
+
+    const status = this._el('div', { 'className': 'theme-transfer-status', 'role': 'status', 'aria-live': 'polite' })
+    const body = this._el('div', { className: 'theme-panel-body theme-transfer' }, exportSection, importSection, status)
+
+    this.panel.replaceChildren(header, body)
+    this._attachTransferListeners()
+  }
+
+  _attachTransferListeners() {
+    const backBtn = this.panel.querySelector('.theme-panel-back')
+    DomEvent.on(backBtn, 'click', () => this.openThemeSelector())
+
+    const closeBtn = this.panel.querySelector('.theme-panel-close')
+    DomEvent.on(closeBtn, 'click', () => this.close())
+
+    const status = this.panel.querySelector('.theme-transfer-status')
+    const select = this.panel.querySelector('.theme-transfer-select')
+    const input = this.panel.querySelector('.theme-transfer-input')
+    const applyBtn = this.panel.querySelector('.theme-transfer-apply')
+    const preview = this.panel.querySelector('.theme-transfer-preview')
+
+    // Returns the export JSON, or null (with a status message) if there is nothing to export
+    const getExportJson = () => {
+      const doc = this.exportThemes(select.value || undefined)
+      if (Object.keys(doc.themes).length === 0) {
+        status.textContent = this._getLabel('nothingToExport')
+        return null
+      }
+      return JSON.stringify(doc, null, 2)
+    }
+
+    DomEvent.on(this.panel.querySelector('.theme-transfer-download'), 'click', () => {
+      const json = getExportJson()
+      if (!json) return
+
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+      const link = this._el('a', { href: url, download: `${this.themeControl.options.storageKey}-themes.json` })
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    })
+
+    DomEvent.on(this.panel.querySelector('.theme-transfer-copy'), 'click', () => {
+      const json = getExportJson()
+      if (!json) return
+
+      // navigator.clipboard is missing outside secure contexts
+      Promise.resolve()
+        .then(() => navigator.clipboard.writeText(json))
+        .then(() => {
+          status.textContent = this._getLabel('copied')
+        })
+        .catch(() => {
+          status.textContent = this._getLabel('copyFailed')
+        })
+    })
+
+    // Any change to the input invalidates the previous preview
+    let previewed = null
+    const resetPreview = () => {
+      previewed = null
+      applyBtn.disabled = true
+      preview.replaceChildren()
+    }
+    DomEvent.on(input, 'input', resetPreview)
+
+    DomEvent.on(this.panel.querySelector('.theme-transfer-file'), 'change', (e) => {
+      const file = e.target.files[0]
+      if (!file) return
+      file.text().then((text) => {
+        input.value = text
+        resetPreview()
+      })
+    })
+
+    DomEvent.on(this.panel.querySelector('.theme-transfer-preview-btn'), 'click', () => {
+      resetPreview()
+      const { themes, errors } = parseThemeDocument(input.value)
+      preview.replaceChildren(...this._createImportPreview(themes, errors))
+
+      if (Object.keys(themes).length > 0) {
+        previewed = input.value
+        applyBtn.disabled = false
+      }
+    })
+
+    DomEvent.on(applyBtn, 'click', () => {
+      if (previewed === null) return
+
+      const { imported, errors } = this.importThemes(previewed)
+      resetPreview()
+      status.textContent = [
+        `${this._getLabel('importDone')}: ${imported.map(key => this.themeControl._getThemeLabel(key)).join(', ') || '-'}`,
+        ...errors,
+      ].join('\n')
+    })
+  }
+
+  _createImportPreview(themes, errors) {
+    const rows = Object.entries(themes).map(([themeKey, theme]) => {
+      const available = Boolean(this.themeControl.options.themes[themeKey])
+      return this._el('div', { className: `theme-transfer-preview-row ${available ? '' : 'unavailable'}` },
+        this._el('span', { className: 'theme-name' }, theme.label || themeKey),
+        this._el('code', {}, theme.filter || 'none'),
+      )
+    })
+
+    const errorRows = errors.map(error => this._el('div', { className: 'theme-transfer-error' }, error))
+    return [...rows, ...errorRows]
+  }
+
+  _renderThemeEditor(themeKey) {
+    const theme = this._getEditedTheme(themeKey)
+    const themeLabel = this.themeControl._getThemeLabel(themeKey)
+
+    // Steps being edited, kept here so steps without effect (e.g. one just added)
+    // stay visible even though they are left out of the saved filter
+    this._steps = this._getEditorSteps(theme.filter)
+    this._svgFilter = cloneSvgFilter(theme.svgFilter) || null
+
+    // Pane whose filter the steps edit, null for the theme filter
+    this._paneTarget = null
+
+    // Get control style preference - always start fresh from theme
+    // Don't check customFilters first, as it may have stale data
+    const controlStyle = theme.controlStyle || 'light'
+
+    // Build panel structure
+    const header = this._createPanelHeader(`${this._getLabel('customize')}: ${themeLabel}`, true)
+    const body = this._createEditorBody(controlStyle, theme)
+    const footer = this._createEditorFooter()
+
+    // Replace panel content
+    this.panel.replaceChildren(header, body, footer)
+
+    // Attach event listeners
+    this._attachEditorListeners(themeKey, controlStyle)
+    this._renderFilterSteps()
+    this._renderSvgFilterEditor()
+    this._renderAudit(themeKey)
+  }
+
+  /**
+   * Warn about color pairs the theme makes hard to read (see ThemeControl#auditTheme).
+   * @param {string} themeKey - Theme being edited
+   */
+  _renderAudit(themeKey) {
+    const container = this.panel.querySelector('.theme-audit')
+    if (!container) return
+
+    const { results, unsupported } = this.themeControl._auditTheme(this._getEditedTheme(themeKey))
+    const children = []
+
+    const failed = results.filter(result => !result.passed)
+    if (failed.length > 0) {
+      children.push(
+        this._el('strong', {}, `⚠️ ${this._getLabel('lowContrast')}`),
+        this._el('ul', {}, ...failed.map(result => this._el('li', {},
+          `${result.name}: ${result.contrast}:1 (${this._getLabel('contrastNeeded')} ${result.minContrast}:1)`,
+        ))),
+      )
+    }
+    if (unsupported.length > 0) {
+      children.push(this._el('div', { className: 'theme-audit-unsupported' },
+        `${this._getLabel('notAudited')}: ${unsupported.join(' ')}`,
+      ))
+    }
+
+    container.hidden = children.length === 0
+    container.replaceChildren(...children)
+  }
+
+  _getEditorSteps(filter) {
+    const steps = parseFilter(filter)
+    if (!steps) {
+      console.warn(`Filter "${filter}" could not be parsed, starting from an empty filter`)
+    }
+    if (steps && steps.length > 0) return steps
+
+    // Without a filter, offer the classic sliders to start from
+    return FILTER_DEFS.map(({ css }) => createFilterStep(css))
+  }
+
+  _createControlStyleSelector(controlStyle) {
+    const selector = this._el('div', { className: 'control-style-selector' })
+
+    const label = this._el('label', {}, this._getLabel('controlStyle'))
+    selector.appendChild(label)
+
+    const buttonsContainer = this._el('div', { className: 'control-style-buttons' })
+
+    const lightBtn = this._el('button', {
+      'className': `control-style-btn ${controlStyle === 'light' ? 'active' : ''}`,
+      'data-style': 'light',
+    }, `☀️ ${this._getLabel('lightControls')}`)
+
+    const darkBtn = this._el('button', {
+      'className': `control-style-btn ${controlStyle === 'dark' ? 'active' : ''}`,
+      'data-style': 'dark',
+    }, `🌙 ${this._getLabel('darkControls')}`)
+
+    buttonsContainer.appendChild(lightBtn)
+    buttonsContainer.appendChild(darkBtn)
+    selector.appendChild(buttonsContainer)
+
+    return selector
+  }
+
+  /**
+   * Color pickers for the control palette. Without a palette they show the colors
+   * of the control style, and the first change creates the palette.
+   * @param {object} [palette] - Control palette of the theme
+   * @param {string} controlStyle - Control style of the theme
+   * @returns {HTMLElement} Palette editor element
+   */
+  _createControlPaletteEditor(palette, controlStyle) {
+    const colors = this._getPaletteColors(palette, controlStyle)
+    const pickers = CONTROL_PALETTE_KEYS.map(key => this._el('label', { className: 'control-palette-color' },
+      this._el('input', {
+        'type': 'color',
+        'className': 'control-palette-input',
+        'value': colors[key],
+        'data-key': key,
+      }),
+      this._getLabel(`palette${key[0].toUpperCase()}${key.slice(1)}`),
+    ))
+
+    return this._el('fieldset', { className: 'control-palette' },
+      this._el('legend', {}, this._getLabel('controlPalette')),
+      this._el('div', { className: 'control-palette-colors' }, ...pickers),
+      this._el('button', { className: 'control-palette-reset', hidden: !palette }, this._getLabel('resetPalette')),
+    )
+  }
+
+  /**
+   * Colors for the palette pickers (which only take #rrggbb): the palette's colors,
+   * falling back to the palette of the control style.
+   * @param {object} [palette] - Control palette
+   * @param {string} controlStyle - Control style
+   * @returns {object} Palette key → '#rrggbb'
+   */
+  _getPaletteColors(palette, controlStyle) {
+    const defaults = CONTROL_PALETTES[controlStyle] || CONTROL_PALETTES.light
+    return Object.fromEntries(CONTROL_PALETTE_KEYS.map((key) => {
+      const rgb = palette?.[key] && parseColor(palette[key])
+      return [key, rgb ? formatColor(rgb) : defaults[key]]
+    }))
+  }
+
+  /**
+   * Select for the filter the steps edit: the theme filter (tiles) or one of
+   * the Leaflet panes, plus any other pane the theme already filters.
+   * @param {object} theme - Theme being edited
+   * @returns {HTMLElement} Selector element
+   */
+  _createFilterTargetSelector(theme) {
+    const select = this._el('select', {
+      id: `${this._idPrefix}-filter-target`,
+      className: 'theme-filter-target-select',
+    }, this._el('option', { value: '' }, this._getLabel('tilePaneTarget')))
+
+    const panes = new Set([...PANE_TARGETS, ...Object.keys(theme.panes || {})])
+    panes.forEach((pane) => {
+      select.appendChild(this._el('option', { value: pane }, this._getLabel(pane)))
+    })
+
+    return this._el('div', { className: 'theme-filter-target' },
+      this._el('label', { htmlFor: select.id }, this._getLabel('filterTarget')),
+      select,
+    )
+  }
+
+  _createEditorBody(controlStyle, theme) {
+    const body = this._el('div', { className: 'theme-panel-body theme-editor-sliders' })
+
+    // Before/after comparison on the map
+    body.appendChild(this._el('button', {
+      'className': 'theme-compare-toggle',
+      'aria-pressed': String(Boolean(this._comparison)),
+    }, this._getLabel('compare')))
+
+    // Control style selector and control palette
+    body.appendChild(this._createControlStyleSelector(controlStyle))
+    body.appendChild(this._createControlPaletteEditor(theme.controlPalette, controlStyle))
+
+    // Whether the steps edit the theme filter or the filter of a pane
+    body.appendChild(this._createFilterTargetSelector(theme))
+
+    // Contrast warnings (filled by _renderAudit)
+    body.appendChild(this._el('div', { 'className': 'theme-audit', 'role': 'status', 'aria-live': 'polite', 'hidden': true }))
+
+    // SVG filter pipeline, applied before the filter steps (filled by _renderSvgFilterEditor)
+    if (this._svgFilter) {
+      body.appendChild(this._el('div', { className: 'theme-svg-filter' }))
+    }
+
+    // Filter steps in the order they are applied (filled by _renderFilterSteps)
+    body.appendChild(this._el('div', {
+      'className': 'theme-filter-steps',
+      'role': 'list',
+      'aria-label': this._getLabel('filterSteps'),
+    }))
+
+    // Add a filter step
+    const addSelect = this._el('select', {
+      'className': 'theme-step-add-select',
+      'aria-label': this._getLabel('addFilter'),
+    })
+    Object.keys(FILTER_FUNCTIONS).forEach((name) => {
+      addSelect.appendChild(this._el('option', { value: name }, this._getStepLabel(name)))
+    })
+    body.appendChild(this._el('div', { className: 'theme-step-add' },
+      addSelect,
+      this._el('button', { className: 'theme-step-add-btn' }, `+ ${this._getLabel('addFilter')}`),
+    ))
+
+    return body
+  }
+
+  _createEditorFooter() {
+    const footer = this._el('div', { className: 'theme-panel-footer' })
+    footer.appendChild(this._el('div', { className: 'theme-editor-history' },
+      this._el('button', {
+        'className': 'theme-editor-undo',
+        'disabled': !this.canUndo(this.editingTheme),
+        'aria-keyshortcuts': 'Control+Z',
+      }, `↶ ${this._getLabel('undo')}`),
+      this._el('button', {
+        'className': 'theme-editor-redo',
+        'disabled': !this.canRedo(this.editingTheme),
+        'aria-keyshortcuts': 'Control+Shift+Z',
+      }, `↷ ${this._getLabel('redo')}`),
+    ))
+    if (this._isDraftMode()) {
+      footer.appendChild(this._el('div', { className: 'theme-editor-draft' },
+        this._el('button', { className: 'theme-editor-apply', disabled: !this.hasDraft() }, this._getLabel('applyDraft')),
+        this._el('button', { className: 'theme-editor-cancel', disabled: !this.hasDraft() }, this._getLabel('cancelDraft')),
+      ))
+    }
+    const resetBtn = this._el('button', { className: 'theme-editor-reset' }, this._getLabel('resetToDefault'))
+    footer.appendChild(resetBtn)
+    return footer
+  }
+
+  _getStepLabel(name) {
+    const { key } = FILTER_FUNCTIONS[name]
+    // 'grayscale' is taken by the theme label
+    return this._getLabel(key === 'grayscale' ? 'grayscaleFilter' : key)
+  }
+
+  _renderSvgFilterEditor() {
+    const container = this.panel.querySelector('.theme-svg-filter')
+    if (!container) return
+
+    const primitives = this._svgFilter.map((primitive, index) => primitive.type === 'feColorMatrix'
+      ? this._createColorMatrixEditor(primitive, index)
+      : this._createComponentTransferEditor(primitive, index))
+    container.replaceChildren(this._el('label', {}, this._getLabel('svgFilter')), ...primitives)
+
+    container.querySelectorAll('.theme-matrix-cell').forEach(input => DomEvent.on(input, 'input', this._onMatrixInput))
+    container.querySelectorAll('.theme-func-type').forEach(select => DomEvent.on(select, 'change', this._onTransferTypeChange))
+    container.querySelectorAll('.theme-func-param').forEach(input => DomEvent.on(input, 'input', this._onTransferParamInput))
+  }
+
+  _createColorMatrixEditor(primitive, index) {
+    const matrixType = primitive.matrixType || 'matrix'
+    const fieldset = this._el('fieldset', { 'className': 'theme-svg-primitive', 'data-primitive': index },
+      this._el('legend', {}, this._getLabel('colorMatrix')),
+    )
+
+    const cell = (cellIndex, value, ariaLabel, step = 0.1) => this._el('input', {
+      'type': 'number',
+      'className': 'theme-matrix-cell',
+      'data-primitive': index,
+      'data-cell': cellIndex,
+      'step': String(step),
+      'value': String(value),
+      'aria-label': ariaLabel,
+    })
+
+    if (matrixType === 'matrix') {
+      // Rows are the output channels, columns the input channels plus an offset
+      const columns = ['R', 'G', 'B', 'A', this._getLabel('matrixOffset')]
+      const grid = this._el('div', { className: 'theme-matrix-grid' })
+      primitive.values.forEach((value, cellIndex) => {
+        const row = 'RGBA'[Math.floor(cellIndex / 5)]
+        grid.appendChild(cell(cellIndex, value, `${row} ← ${columns[cellIndex % 5]}`))
+      })
+      fieldset.appendChild(grid)
+    }
+    else if (matrixType === 'saturate' || matrixType === 'hueRotate') {
+      const label = this._getLabel(matrixType)
+      fieldset.appendChild(this._el('label', {}, label, cell(0, primitive.values, label, matrixType === 'hueRotate' ? 1 : 0.1)))
+    }
+    else {
+      fieldset.appendChild(this._el('span', { className: 'theme-svg-note' }, matrixType))
+    }
+
+    return fieldset
+  }
+
+  _createComponentTransferEditor(primitive, index) {
+    const fieldset = this._el('fieldset', { 'className': 'theme-svg-primitive', 'data-primitive': index },
+      this._el('legend', {}, this._getLabel('componentTransfer')),
+    )
+
+    TRANSFER_CHANNELS.forEach((channel) => {
+      const fn = primitive[channel] || { type: 'identity' }
+      const channelLabel = channel.toUpperCase()
+
+      const typeSelect = this._el('select', {
+        'className': 'theme-func-type',
+        'data-primitive': index,
+        'data-channel': channel,
+        'aria-label': `${channelLabel}: ${this._getLabel('transferFunction')}`,
+      })
+      TRANSFER_TYPES.forEach((type) => {
+        typeSelect.appendChild(this._el('option', { value: type }, type))
+      })
+      typeSelect.value = fn.type
+
+      const params = TRANSFER_PARAMS[fn.type].map(param => this._el('input', {
+        'type': param === 'tableValues' ? 'text' : 'number',
+        'className': `theme-func-param ${param === 'tableValues' ? 'theme-func-table' : ''}`,
+        'data-primitive': index,
+        'data-channel': channel,
+        'data-param': param,
+        'step': '0.1',
+        'value': [].concat(fn[param] ?? TRANSFER_DEFAULTS[fn.type][param]).join(' '),
+        'placeholder': param,
+        'title': param,
+        'aria-label': `${channelLabel}: ${param}`,
+      }))
+
+      fieldset.appendChild(this._el('div', { className: 'theme-func-channel' },
+        this._el('span', { className: 'theme-func-channel-label' }, channelLabel),
+        typeSelect,
+        ...params,
+      ))
+    })
+
+    return fieldset
+  }
+
+  _renderFilterSteps() {
+    const list = this.panel.querySelector('.theme-filter-steps')
+    list.replaceChildren(...this._steps.map((step, index) => this._createStepRow(step, index)))
+    list.querySelectorAll('input').forEach(input => DomEvent.on(input, 'input', this._onStepInput))
+  }
+
+  _createStepRow(step, index) {
+    const label = this._getStepLabel(step.name)
+    const input = FILTER_FUNCTIONS[step.name].type === 'raw'
+      ? this._createStepInput(step, index)
+      : this._createSlider(step, index)
+
+    const actionBtn = (className, text, ariaLabel, disabled = false) => this._el('button', {
+      'className': className,
+      'data-index': index,
+      'aria-label': `${ariaLabel}: ${label}`,
+      'title': ariaLabel,
+      'disabled': disabled,
+    }, text)
+
+    return this._el('div', { 'className': 'theme-filter-step', 'role': 'listitem', 'data-index': index },
+      input,
+      this._el('div', { className: 'theme-step-actions' },
+        actionBtn('theme-step-up', '↑', this._getLabel('moveUp'), index === 0),
+        actionBtn('theme-step-down', '↓', this._getLabel('moveDown'), index === this._steps.length - 1),
+        actionBtn('theme-step-remove', '✕', this._getLabel('removeFilter')),
+      ),
+    )
+  }
+
+  _getSliderRange(step) {
+    const fn = FILTER_FUNCTIONS[step.name]
+    let range
+    if (fn.type === 'amount') {
+      range = step.unit === '%' ? { min: 0, max: fn.max * 100, step: 1 } : { min: 0, max: fn.max, step: 0.01 }
+    }
+    else if (fn.type === 'angle') {
+      range = ANGLE_RANGES[step.unit]
+    }
+    else {
+      range = step.unit === 'px' ? { min: 0, max: 20, step: 0.5 } : { min: 0, max: 2, step: 0.1 }
+    }
+
+    // Keep values outside the usual range editable
+    return { ...range, min: Math.min(range.min, step.value), max: Math.max(range.max, step.value) }
+  }
+
+  _formatStepValue(step) {
+    return `${step.value}${step.unit === 'deg' ? '°' : step.unit}`
+  }
+
+  _createSlider(step, index) {
+    const { key } = FILTER_FUNCTIONS[step.name]
+    const label = this._getStepLabel(step.name)
+    const { min, max, step: increment } = this._getSliderRange(step)
+    const value = this._formatStepValue(step)
+
+    return this._el('div', { className: 'theme-editor-slider' },
+      this._el('label', { htmlFor: `${this._idPrefix}-step-${index}` },
+        this._el('span', { className: 'slider-label' }, label),
+        this._el('span', { 'className': 'slider-value', 'data-index': index }, value),
+      ),
+      this._el('input', {
+        'type': 'range',
+        'id': `${this._idPrefix}-step-${index}`,
+        'data-key': key,
+        'data-index': index,
+        'min': String(min),
+        'max': String(max),
+        'step': String(increment),
+        'value': String(step.value),
+        'aria-label': `${label}: ${value}`,
+        'aria-valuemin': String(min),
+        'aria-valuemax': String(max),
+        'aria-valuenow': String(step.value),
+      }),
+    )
+  }
+
+  _createStepInput(step, index) {
+    const { key } = FILTER_FUNCTIONS[step.name]
+
+    return this._el('div', { className: 'theme-editor-slider theme-step-text-field' },
+      this._el('label', { htmlFor: `${this._idPrefix}-step-${index}` },
+        this._el('span', { className: 'slider-label' }, this._getStepLabel(step.name)),
+      ),
+      this._el('input', {
+        'type': 'text',
+        'id': `${this._idPrefix}-step-${index}`,
+        'className': 'theme-step-text',
+        'data-key': key,
+        'data-index': index,
+        'value': step.value,
+        'placeholder': STEP_PLACEHOLDERS[step.name] || '',
+        'spellcheck': false,
+      }),
+    )
+  }
+
+  _attachEditorListeners(themeKey, initialControlStyle) {
+    // Back button
+    const backBtn = this.panel.querySelector('.theme-panel-back')
+    DomEvent.on(backBtn, 'click', () => this.openThemeSelector())
+
+    // Close button
+    const closeBtn = this.panel.querySelector('.theme-panel-close')
+    DomEvent.on(closeBtn, 'click', () => this.close())
+
+    // Control style buttons
+    let currentControlStyle = initialControlStyle
+    const controlStyleBtns = this.panel.querySelectorAll('.control-style-btn')
+    controlStyleBtns.forEach((btn) => {
+      DomEvent.on(btn, 'click', (e) => {
+        const style = e.currentTarget.dataset.style
+        currentControlStyle = style
+
+        // Update active state
+        controlStyleBtns.forEach(b => b.classList.remove('active'))
+        e.currentTarget.classList.add('active')
+
+        // Live preview and save
+        this._schedulePreview('controls', themeKey, () => this._previewControls(themeKey, style))
+        this._editTheme(themeKey, this._paneTarget ? null : this._steps, currentControlStyle)
+        showPalette()
+      })
+    })
+
+    // Control palette
+    const paletteInputs = this.panel.querySelectorAll('.control-palette-input')
+    const paletteReset = this.panel.querySelector('.control-palette-reset')
+    const showPalette = () => {
+      const { controlPalette } = this._getEditedTheme(themeKey)
+      const colors = this._getPaletteColors(controlPalette, currentControlStyle)
+      paletteInputs.forEach((input) => {
+        input.value = colors[input.dataset.key]
+      })
+      paletteReset.hidden = !controlPalette
+    }
+    const applyPalette = (palette) => {
+      const theme = this._getWritableTheme(themeKey)
+      if (palette) {
+        theme.controlPalette = palette
+      }
+      else {
+        delete theme.controlPalette
+      }
+
+      this._schedulePreview('controls', themeKey, () => this._previewControls(themeKey, currentControlStyle))
+      this._editTheme(themeKey, this._paneTarget ? null : this._steps, currentControlStyle)
+      showPalette()
+    }
+    paletteInputs.forEach((input) => {
+      DomEvent.on(input, 'input', (e) => {
+        // The first change turns the colors shown into a palette
+        const { controlPalette } = this._getEditedTheme(themeKey)
+        applyPalette({
+          ...this._getPaletteColors(controlPalette, currentControlStyle),
+          ...controlPalette,
+          [e.currentTarget.dataset.key]: e.currentTarget.value,
+        })
+      })
+    })
+    DomEvent.on(paletteReset, 'click', () => applyPalette(null))
+
+    // Live preview and save after every change of the steps
+    const applySteps = () => {
+      const theme = this._getWritableTheme(themeKey)
+      const pane = this._paneTarget
+      if (pane) {
+        theme.panes = { ...theme.panes, [pane]: this._buildFilterString(this._steps) }
+      }
+
+      const values = pane ? null : this._steps
+      this._schedulePreview('filter', themeKey, () => this._previewFilter(themeKey, values))
+      this._editTheme(themeKey, values, currentControlStyle)
+      this._renderAudit(themeKey)
+
+      const filter = pane ? theme.panes[pane] : theme.filter
+      this.themeControl.fire('themefilterinput', {
+        theme: themeKey,
+        pane,
+        values: parseFilterString(filter),
+        steps: this._steps.map(step => ({ ...step })),
+        filter,
+      }, true)
+    }
+
+    // Switch the steps between the theme filter and pane filters
+    const targetSelect = this.panel.querySelector('.theme-filter-target-select')
+    DomEvent.on(targetSelect, 'change', (e) => {
+      const theme = this._getEditedTheme(themeKey)
+      this._paneTarget = e.currentTarget.value || null
+      this._steps = this._getEditorSteps(this._paneTarget ? theme.panes?.[this._paneTarget] ?? '' : theme.filter)
+
+      // The SVG filter pipeline belongs to the theme filter
+      const svgFilterContainer = this.panel.querySelector('.theme-svg-filter')
+      if (svgFilterContainer) svgFilterContainer.hidden = Boolean(this._paneTarget)
+
+      this._renderFilterSteps()
+    })
+
+    // SVG filter inputs (attached by _renderSvgFilterEditor), invalid input is not applied
+    const applySvgFilter = () => {
+      this._getWritableTheme(themeKey).svgFilter = cloneSvgFilter(this._svgFilter)
+      applySteps()
+    }
+    this._onMatrixInput = (e) => {
+      const primitive = this._svgFilter[Number(e.target.dataset.primitive)]
+      const value = parseFloat(e.target.value)
+      e.target.setAttribute('aria-invalid', Number.isFinite(value) ? 'false' : 'true')
+      if (!Number.isFinite(value)) return
+
+      if (Array.isArray(primitive.values)) {
+        primitive.values[Number(e.target.dataset.cell)] = value
+      }
+      else {
+        primitive.values = value
+      }
+      applySvgFilter()
+    }
+    this._onTransferTypeChange = (e) => {
+      const { primitive, channel } = e.target.dataset
+      const type = e.target.value
+
+      // Identity is the same as leaving the channel out
+      if (type === 'identity') {
+        delete this._svgFilter[primitive][channel]
+      }
+      else {
+        this._svgFilter[primitive][channel] = { type, ...cloneSvgFilter(TRANSFER_DEFAULTS[type]) }
+      }
+      this._renderSvgFilterEditor()
+      applySvgFilter()
+    }
+    this._onTransferParamInput = (e) => {
+      const { primitive, channel, param } = e.target.dataset
+      const value = param === 'tableValues'
+        ? e.target.value.trim().split(/[\s,]+/).map(Number)
+        : parseFloat(e.target.value)
+      const valid = [].concat(value).every(Number.isFinite)
+      e.target.setAttribute('aria-invalid', valid ? 'false' : 'true')
+      if (!valid) return
+
+      this._svgFilter[primitive][channel][param] = value
+      applySvgFilter()
+    }
+
+    // Sliders and text inputs (attached by _renderFilterSteps, which runs again after reordering)
+    const list = this.panel.querySelector('.theme-filter-steps')
+    this._onStepInput = (e) => {
+      const index = Number(e.target.dataset.index)
+      const step = this._steps[index]
+      if (!step) return
+
+      if (e.target.type === 'range') {
+        step.value = parseFloat(e.target.value)
+
+        // Update display value, aria-valuenow and aria-label
+        const value = this._formatStepValue(step)
+        this.panel.querySelector(`.slider-value[data-index="${index}"]`).textContent = value
+        e.target.setAttribute('aria-valuenow', step.value)
+        e.target.setAttribute('aria-label', `${this._getStepLabel(step.name)}: ${value}`)
+      }
+      else {
+        // Raw arguments are only applied once they form exactly one valid function
+        const args = e.target.value.trim()
+        const parsed = args ? parseFilter(`${step.name}(${args})`) : [{ name: step.name, value: '' }]
+        const valid = Boolean(parsed) && parsed.length === 1
+        e.target.setAttribute('aria-invalid', valid ? 'false' : 'true')
+        if (!valid) return
+        step.value = parsed[0].value
+      }
+
+      applySteps()
+    }
+
+    // Reorder and remove
+    DomEvent.on(list, 'click', (e) => {
+      const button = e.target.closest('button[data-index]')
+      if (!button) return
+
+      const index = Number(button.dataset.index)
+      let focusIndex
+      if (button.classList.contains('theme-step-remove')) {
+        this._steps.splice(index, 1)
+        focusIndex = Math.min(index, this._steps.length - 1)
+      }
+      else {
+        focusIndex = index + (button.classList.contains('theme-step-up') ? -1 : 1)
+        const [step] = this._steps.splice(index, 1)
+        this._steps.splice(focusIndex, 0, step)
+      }
+
+      this._renderFilterSteps()
+      applySteps()
+
+      // Keep keyboard focus on the step that was moved (or the one after a removed step)
+      const focusTarget = list.querySelector(`.${button.classList[0]}[data-index="${focusIndex}"]:not(:disabled)`)
+        || list.querySelector(`input[data-index="${focusIndex}"]`)
+        || this.panel.querySelector('.theme-step-add-select')
+      focusTarget.focus()
+    })
+
+    // Add a step
+    const addSelect = this.panel.querySelector('.theme-step-add-select')
+    DomEvent.on(this.panel.querySelector('.theme-step-add-btn'), 'click', () => {
+      this._steps.push(createFilterStep(addSelect.value))
+      this._renderFilterSteps()
+      applySteps()
+
+      list.querySelector(`input[data-index="${this._steps.length - 1}"]`).focus()
+    })
+
+    // Before/after comparison
+    DomEvent.on(this.panel.querySelector('.theme-compare-toggle'), 'click', () => this.toggleComparison())
+
+    // Apply and Cancel buttons (editorMode 'draft')
+    if (this._isDraftMode()) {
+      DomEvent.on(this.panel.querySelector('.theme-editor-apply'), 'click', () => this.applyDraft())
+      DomEvent.on(this.panel.querySelector('.theme-editor-cancel'), 'click', () => {
+        this.cancelDraft()
+        this.panel.querySelector('.theme-filter-target-select').focus()
+      })
+    }
+
+    // Undo and redo buttons
+    DomEvent.on(this.panel.querySelector('.theme-editor-undo'), 'click', () => {
+      this.undo(themeKey)
+      this._focusHistoryButton('undo')
+    })
+    DomEvent.on(this.panel.querySelector('.theme-editor-redo'), 'click', () => {
+      this.redo(themeKey)
+      this._focusHistoryButton('redo')
+    })
+
+    // Reset button
+    const resetBtn = this.panel.querySelector('.theme-editor-reset')
+    DomEvent.on(resetBtn, 'click', () => {
+      this._resetTheme(themeKey)
+    })
   }
 
-  _saveTheme(themeKey, values, controlStyle) {
-    this.customFilters[themeKey] = {
-      ...values,
-      controlStyle: controlStyle,
+  /**
+   * Focus the undo or redo button, or the other one once there is nothing left to step through.
+   * @param {string} action - 'undo' or 'redo'
+   */
+  _focusHistoryButton(action) {
+    const button = this.panel.querySelector(`.theme-editor-${action}`)
+    const other = this.panel.querySelector(`.theme-editor-${action === 'undo' ? 'redo' : 'undo'}`)
+    if (!button) return
+
+    const target = button.disabled && !other.disabled ? other : button
+    target.focus()
+  }
+
+  _getHistory(themeKey) {
+    if (!this._history.has(themeKey)) {
+      this._history.set(themeKey, { undo: [], redo: [], gesture: null })
+    }
+    return this._history.get(themeKey)
+  }
+
+  /**
+   * Remember the customization of a theme before it is changed. All changes made while
+   * dragging one slider (or typing into one field) until its change event are one step.
+   * @param {string} themeKey - Theme about to change
+   */
+  _recordHistory(themeKey) {
+    const history = this._getHistory(themeKey)
+    if (this._gesture && history.gesture === this._gesture) return
+
+    history.undo.push(structuredClone(this.customFilters[themeKey] ?? null))
+    if (history.undo.length > HISTORY_LIMIT) {
+      history.undo.shift()
+    }
+    history.redo = []
+    history.gesture = this._gesture
+    this._updateFooterButtons()
+  }
+
+  _updateFooterButtons() {
+    if (!this.panel || this.currentView !== 'editor') return
+
+    this.panel.querySelector('.theme-editor-undo').disabled = !this.canUndo()
+    this.panel.querySelector('.theme-editor-redo').disabled = !this.canRedo()
+    this.panel.querySelectorAll('.theme-editor-apply, .theme-editor-cancel').forEach((button) => {
+      button.disabled = !this.hasDraft()
+    })
+  }
+
+  /**
+   * Check whether a theme has edits to undo.
+   * @param {string} [themeKey] - Theme (default: the one open in the editor)
+   * @returns {boolean} True if undo() would change the theme
+   */
+  canUndo(themeKey = this.editingTheme) {
+    return this._draft?.themeKey === themeKey || Boolean(this._history.get(themeKey)?.undo.length)
+  }
+
+  /**
+   * Check whether a theme has undone edits to redo.
+   * @param {string} [themeKey] - Theme (default: the one open in the editor)
+   * @returns {boolean} True if redo() would change the theme
+   */
+  canRedo(themeKey = this.editingTheme) {
+    return Boolean(this._history.get(themeKey)?.redo.length)
+  }
+
+  /**
+   * Undo the last edit of a theme (including a reset to default) and save the result.
+   * Changes not applied yet in draft mode are discarded instead.
+   * @param {string} [themeKey] - Theme (default: the one open in the editor)
+   * @returns {boolean} True if an edit was undone
+   */
+  undo(themeKey = this.editingTheme) {
+    if (this._draft?.themeKey === themeKey) {
+      return this.cancelDraft()
+    }
+    return this._stepHistory(themeKey, 'undo', 'redo')
+  }
+
+  /**
+   * Redo the last undone edit of a theme and save the result.
+   * @param {string} [themeKey] - Theme (default: the one open in the editor)
+   * @returns {boolean} True if an edit was redone
+   */
+  redo(themeKey = this.editingTheme) {
+    return this._stepHistory(themeKey, 'redo', 'undo')
+  }
+
+  /**
+   * Tidy up the editor view before another view (or none) is shown:
+   * a draft that was not applied is discarded and the comparison removed.
+   */
+  _leaveEditor() {
+    this._stopComparison()
+    this.cancelDraft()
+  }
+
+  /**
+   * Show or hide the before/after comparison of the theme open in the editor:
+   * a divider on the map with the original theme left and the edited one right of it.
+   * @param {boolean} [enabled] - Show or hide (default: toggle)
+   * @returns {boolean} True if the comparison is shown
+   */
+  toggleComparison(enabled = !this._comparison) {
+    if (enabled && !this._comparison && this.currentView === 'editor' && this.themeControl.map) {
+      // The edited side shows the theme being edited, even if it isn't the active one
+      this._previewFilter(this.editingTheme, null)
+      const themeKey = this.editingTheme
+      this._comparison = new ThemeComparison(this.themeControl, themeKey, {
+        position: this._comparePosition,
+        getTheme: () => this._getEditedTheme(themeKey),
+        labels: {
+          original: this._getLabel('compareOriginal'),
+          edited: this._getLabel('compareEdited'),
+          divider: this._getLabel('compare'),
+        },
+      })
+    }
+    else if (!enabled) {
+      this._stopComparison()
+    }
+
+    const toggle = this.panel?.querySelector('.theme-compare-toggle')
+    if (toggle) {
+      toggle.setAttribute('aria-pressed', String(Boolean(this._comparison)))
+    }
+    return Boolean(this._comparison)
+  }
+
+  _stopComparison() {
+    if (!this._comparison) return
+
+    this._comparePosition = this._comparison.getPosition()
+    this._comparison.remove()
+    this._comparison = null
+
+    // The comparison previewed the edited theme, show the active one again
+    const control = this.themeControl
+    const currentTheme = control.getCurrentTheme()
+    if (this.editingTheme !== currentTheme && control.map) {
+      control._applyMapFilter(control.options.themes[currentTheme])
+    }
+  }
+
+  _isDraftMode() {
+    return this.themeControl.options.editorMode === 'draft'
+  }
+
+  /**
+   * Take a change from the editor's fields. It is saved right away, or in draft mode
+   * only previewed until it is applied.
+   * @param {string} themeKey - Theme being edited
+   * @param {object[]|null} values - Filter steps, or null to keep the theme filter (editing a pane)
+   * @param {string} controlStyle - Control style
+   */
+  _editTheme(themeKey, values, controlStyle) {
+    if (!this._isDraftMode()) {
+      this._saveTheme(themeKey, values, controlStyle)
+      return
+    }
+
+    // The draft's copy holds the changes, the theme stays as saved until Apply
+    const theme = this._getWritableTheme(themeKey)
+    if (values) {
+      theme.filter = this._buildFilterString(values)
+    }
+    theme.controlStyle = controlStyle
+    this._updateFooterButtons()
+  }
+
+  /**
+   * The theme as the editor shows it, with the changes of a draft.
+   * @param {string} themeKey - Theme
+   * @returns {object} Theme config, or the draft's copy of it
+   */
+  _getEditedTheme(themeKey) {
+    return this._draft?.themeKey === themeKey ? this._draft.theme : this.themeControl.options.themes[themeKey]
+  }
+
+  /**
+   * The theme object the editor's fields change. In draft mode that is a copy,
+   * which becomes the draft.
+   * @param {string} themeKey - Theme being edited
+   * @returns {object} Theme config, or the draft's copy of it
+   */
+  _getWritableTheme(themeKey) {
+    const theme = this.themeControl.options.themes[themeKey]
+    if (!this._isDraftMode()) return theme
+
+    if (this._draft?.themeKey !== themeKey) {
+      this._draft = { themeKey, theme: this._copyEditedProperties({ ...theme }, theme) }
+    }
+    return this._draft.theme
+  }
+
+  /**
+   * Copy the properties the editor changes from one theme object to another.
+   * @param {object} target - Theme to change
+   * @param {object} source - Theme to copy from
+   * @returns {object} Target
+   */
+  _copyEditedProperties(target, source) {
+    EDITED_PROPERTIES.forEach((key) => {
+      if (source[key] === undefined) {
+        delete target[key]
+      }
+      else {
+        target[key] = structuredClone(source[key])
+      }
+    })
+    return target
+  }
+
+  /**
+   * Check whether there are changes in draft mode that were not applied yet.
+   * @returns {boolean} True with a pending draft
+   */
+  hasDraft() {
+    return Boolean(this._draft)
+  }
+
+  /**
+   * Save the changes made in draft mode (one step in the edit history).
+   * @returns {boolean} True if there was a draft to apply
+   */
+  applyDraft() {
+    if (!this._draft) return false
+
+    const { themeKey, theme } = this._draft
+    this._draft = null
+    this._copyEditedProperties(this.themeControl.options.themes[themeKey], theme)
+    // Saving applies the active theme, other themes show the latest preview
+    if (this.themeControl.getCurrentTheme() === themeKey) {
+      this._discardPreviews()
+    }
+    else {
+      this._flushPreviews()
+    }
+    this._gesture = null
+    this._saveTheme(themeKey, null, theme.controlStyle || 'light')
+    this._updateFooterButtons()
+    return true
+  }
+
+  /**
+   * Discard the changes made in draft mode and show the saved theme again.
+   * @returns {boolean} True if there was a draft to discard
+   */
+  cancelDraft() {
+    if (!this._draft) return false
+
+    const { themeKey } = this._draft
+    this._dropDraft(themeKey)
+
+    // Show the active theme as it was before the preview (the saved theme while comparing)
+    const control = this.themeControl
+    const shownTheme = this._comparison ? themeKey : control.getCurrentTheme()
+    this._previewFilter(shownTheme, null)
+    this._previewControls(shownTheme, control.options.themes[shownTheme].controlStyle || 'light')
+
+    if (this.currentView === 'editor' && this.editingTheme === themeKey) {
+      this._refreshThemeEditor()
+    }
+    return true
+  }
+
+  /**
+   * Forget the draft when the active theme is switched from outside the editor,
+   * so a queued preview doesn't paint over the new theme.
+   */
+  _dropDraftOnSwitch() {
+    if (!this._draft) return
+
+    const { themeKey } = this._draft
+    this._dropDraft(themeKey)
+    if (this.currentView === 'editor' && this.editingTheme === themeKey) {
+      this._refreshThemeEditor()
+    }
+  }
+
+  /**
+   * Forget a theme's draft without restoring the theme (it is being reset or replaced).
+   * @param {string} themeKey - Theme
+   */
+  _dropDraft(themeKey) {
+    if (this._draft?.themeKey !== themeKey) return
+
+    this._draft = null
+    this._discardPreviews()
+    this._updateFooterButtons()
+  }
+
+  /**
+   * Render a preview, in draft mode batched per animation frame
+   * (only the latest preview of each kind is rendered). In live mode the
+   * active theme isn't previewed, saving it applies it anyway.
+   * @param {string} kind - 'filter' or 'controls'
+   * @param {string} themeKey - Theme being edited
+   * @param {() => void} render - Renders the preview
+   */
+  _schedulePreview(kind, themeKey, render) {
+    if (!this._isDraftMode()) {
+      if (this.themeControl.getCurrentTheme() !== themeKey) {
+        render()
+      }
+      return
+    }
+
+    this._previews.set(kind, render)
+    if (!this._previewFrame) {
+      this._previewFrame = requestAnimationFrame(() => this._flushPreviews())
+    }
+  }
+
+  _flushPreviews() {
+    const renders = [...this._previews.values()]
+    this._discardPreviews()
+    renders.forEach(render => render())
+  }
+
+  _discardPreviews() {
+    if (this._previewFrame) {
+      cancelAnimationFrame(this._previewFrame)
+      this._previewFrame = null
+    }
+    this._previews.clear()
+  }
+
+  /**
+   * Forget the edit history of a theme, or of all themes.
+   * @param {string} [themeKey] - Theme, all themes if omitted
+   */
+  clearHistory(themeKey) {
+    if (themeKey) {
+      this._history.delete(themeKey)
+    }
+    else {
+      this._history.clear()
+    }
+    this._updateFooterButtons()
+  }
+
+  /**
+   * Move a theme one step through its history and fire `themeundo` or `themeredo`.
+   * @param {string} themeKey - Theme
+   * @param {string} from - Stack to take the customization from ('undo' or 'redo')
+   * @param {string} to - Stack that receives the current customization
+   * @returns {boolean} True if the theme changed
+   */
+  _stepHistory(themeKey, from, to) {
+    const history = this._history.get(themeKey)
+    if (!history || history[from].length === 0 || !this.themeControl.options.themes[themeKey]) return false
+
+    history[to].push(structuredClone(this.customFilters[themeKey] ?? null))
+    const custom = history[from].pop()
+    // Continuing a drag after undoing starts a new step
+    history.gesture = null
+
+    this._restoreOriginalTheme(themeKey)
+    if (custom) {
+      this.customFilters[themeKey] = custom
+    }
+    else {
+      delete this.customFilters[themeKey]
     }
-    this._saveCustomFilters()
+    this._applyCustomFilters()
+    this._saveCustomFilters([themeKey])
+
+    const control = this.themeControl
+    if (control.getCurrentTheme() === themeKey) {
+      control.setTheme(themeKey, 'editor')
+    }
+    else if (control.options.onChange) {
+      control.options.onChange(themeKey, control.options.themes[themeKey])
+    }
+
+    if (this.currentView === 'editor' && this.editingTheme === themeKey) {
+      this._refreshThemeEditor()
+    }
+
+    control.fire(`theme${from}`, { theme: themeKey }, true)
+    return true
+  }
+
+  /**
+   * Render the open editor again after its theme was changed by other means
+   * (undo, another tab), staying on the pane being edited.
+   */
+  _refreshThemeEditor() {
+    const pane = this._paneTarget
+    this._renderThemeEditor(this.editingTheme)
+
+    const targetSelect = this.panel.querySelector('.theme-filter-target-select')
+    if (pane && [...targetSelect.options].some(option => option.value === pane)) {
+      targetSelect.value = pane
+      targetSelect.dispatchEvent(new Event('change'))
+    }
+  }
+
+  /**
+   * Show the controls of a theme with a control style, without applying the theme.
+   * @param {string} themeKey - Theme being edited
+   * @param {string} controlStyle - Control style
+   */
+  _previewControls(themeKey, controlStyle) {
+    const theme = { ...this._getEditedTheme(themeKey), controlStyle }
+    const { root } = this.themeControl
+
+    root.setAttribute('data-control-style', controlStyle)
+    root.toggleAttribute('data-control-palette', Boolean(theme.controlPalette))
+    this.themeControl._applyTokens(theme)
+  }
+
+  _previewFilter(themeKey, values) {
+    // Temporarily update the filter (also stops a running theme transition)
+    const theme = this._getEditedTheme(themeKey)
+    const filterString = values ? this._buildFilterString(values) : theme.filter
+    this.themeControl._applyMapFilter({ ...theme, filter: filterString })
+
+    // Panes the edit starts or stops filtering need (or no longer need) a clone
+    this._comparison?.scheduleUpdate()
+  }
+
+  /**
+   * Create the stored form of a customized filter. It keeps the classic slider values,
+   * which older versions and shared links understand, and adds the exact filter chain
+   * if those values can't express it (order, units or other functions).
+   * @param {string} filterString - CSS filter string
+   * @param {string} controlStyle - Control style
+   * @param {object} [extras] - Other edited values of the theme
+   * @param {object[]} [extras.svgFilter] - SVG filter pipeline
+   * @param {object} [extras.panes] - Pane filters
+   * @param {object} [extras.controlPalette] - Control palette
+   * @returns {object} Custom filter entry
+   */
+  _createCustomFilter(filterString, controlStyle, { svgFilter, panes, controlPalette } = {}) {
+    const custom = { ...parseFilterString(filterString), controlStyle }
+    if (!filtersEqual(buildFilterString(custom), filterString)) {
+      custom.filter = filterString
+    }
+    if (svgFilter) {
+      custom.svgFilter = cloneSvgFilter(svgFilter)
+    }
+    if (panes) {
+      custom.panes = { ...panes }
+    }
+    if (controlPalette) {
+      custom.controlPalette = { ...controlPalette }
+    }
+    return custom
+  }
+
+  _getCustomFilterString(custom) {
+    return typeof custom.filter === 'string' ? custom.filter : buildFilterString(custom)
+  }
 
+  /**
+   * Save a theme's filter and control style as customization and apply them.
+   * @param {string} themeKey - Theme being edited
+   * @param {object[]|null} values - Filter steps, or null to keep the theme filter (editing a pane)
+   * @param {string} controlStyle - Control style
+   */
+  _saveTheme(themeKey, values, controlStyle) {
     // Update theme
-    const filterString = this._buildFilterString(values)
+    const { svgFilter, panes, controlPalette, filter } = this.themeControl.options.themes[themeKey]
+    const filterString = values ? this._buildFilterString(values) : filter || ''
+    this._recordHistory(themeKey)
+    this.customFilters[themeKey] = this._createCustomFilter(filterString, controlStyle, { svgFilter, panes, controlPalette })
+    this._saveCustomFilters([themeKey])
+
     this.themeControl.options.themes[themeKey].filter = filterString
     this.themeControl.options.themes[themeKey].controlStyle = controlStyle
 
-    // Reapply current theme if it's the one being edited
+    // Reapply current theme if it's the one being edited (which calls onChange)
     if (this.themeControl.getCurrentTheme() === themeKey) {
-      this.themeControl.setTheme(themeKey)
+      this.themeControl.setTheme(themeKey, 'editor')
+      // Panes the edit starts or stops filtering need (or no longer need) a clone
+      this._comparison?.scheduleUpdate()
     }
-
-    // Fire onChange callback for editor changes
-    if (this.themeControl.options.onChange) {
+    else if (this.themeControl.options.onChange) {
       this.themeControl.options.onChange(themeKey, this.themeControl.options.themes[themeKey])
     }
   }
 
+  /**
+   * Put the editable properties of a theme back to the values it was configured with.
+   * Other properties like applyToSelectors, icon, label and className are kept.
+   * @param {string} themeKey - Theme to restore
+   */
+  _restoreOriginalTheme(themeKey) {
+    const originalTheme = this.themeControl.originalThemes[themeKey]
+    const currentTheme = this.themeControl.options.themes[themeKey]
+    if (!originalTheme || !currentTheme) return
+
+    currentTheme.filter = originalTheme.filter
+    currentTheme.controlStyle = originalTheme.controlStyle
+    if (originalTheme.svgFilter) {
+      currentTheme.svgFilter = cloneSvgFilter(originalTheme.svgFilter)
+    }
+    else {
+      delete currentTheme.svgFilter
+    }
+    if (originalTheme.panes) {
+      currentTheme.panes = { ...originalTheme.panes }
+    }
+    else {
+      delete currentTheme.panes
+    }
+    if (originalTheme.controlPalette) {
+      currentTheme.controlPalette = { ...originalTheme.controlPalette }
+    }
+    else {
+      delete currentTheme.controlPalette
+    }
+  }
+
   _resetTheme(themeKey) {
-    // Remove custom filter and controlStyle
+    // Remove custom filter and controlStyle (can be undone), a draft is dropped
+    this._dropDraft(themeKey)
+    if (this.customFilters[themeKey]) {
+      this._recordHistory(themeKey)
+    }
     delete this.customFilters[themeKey]
-    this._saveCustomFilters()
+    this._saveCustomFilters([themeKey])
 
     // Restore original filter and controlStyle from user-provided themes
     // but KEEP user-defined properties like applyToSelectors
@@ -613,10 +2616,7 @@ export class ThemeEditor {
     const currentTheme = this.themeControl.options.themes[themeKey]
 
     if (originalTheme && currentTheme) {
-      // Only reset the editable properties (filter, controlStyle)
-      // Keep other properties like applyToSelectors, icon, label, className
-      currentTheme.filter = originalTheme.filter
-      currentTheme.controlStyle = originalTheme.controlStyle
+      this._restoreOriginalTheme(themeKey)
     }
     else if (!currentTheme) {
       // Theme doesn't exist - this shouldn't happen
@@ -631,7 +2631,7 @@ export class ThemeEditor {
     // Reapply theme if it's currently active
     // Use setTheme to ensure proper application
     if (this.themeControl.getCurrentTheme() === themeKey) {
-      this.themeControl.setTheme(themeKey)
+      this.themeControl.setTheme(themeKey, 'editor')
     }
     else {
       // Fire onChange callback even if theme is not currently active
@@ -640,37 +2640,26 @@ export class ThemeEditor {
       }
     }
 
+    this.themeControl.fire('themereset', { theme: themeKey }, true)
+
     // Re-render editor panel with default values
     this._renderThemeEditor(themeKey)
   }
 
+  /**
+   * Build the filter string for editor steps (leaving out steps without effect)
+   * or for classic slider values.
+   * @param {object[]|object} values - Filter steps or values keyed like FILTER_DEFS
+   * @returns {string} CSS filter string
+   */
   _buildFilterString(values) {
-    const EPS = 0.01
-    const parts = []
-
-    if (values.invert > EPS) parts.push(`invert(${values.invert})`)
-    if (Math.abs(values.hueRotate) > EPS) parts.push(`hue-rotate(${values.hueRotate}deg)`)
-    if (Math.abs(values.saturate - 1) > EPS) parts.push(`saturate(${values.saturate})`)
-    if (Math.abs(values.brightness - 1) > EPS) parts.push(`brightness(${values.brightness})`)
-    if (Math.abs(values.contrast - 1) > EPS) parts.push(`contrast(${values.contrast})`)
-    if (values.sepia > EPS) parts.push(`sepia(${values.sepia})`)
-    if (values.grayscale > EPS) parts.push(`grayscale(${values.grayscale})`)
-
-    return parts.join(' ')
+    if (Array.isArray(values)) {
+      return serializeFilter(values.filter(step => !isIdentityStep(step)))
+    }
+    return buildFilterString(values)
   }
 
   _parseFilterString(filterString) {
-    const values = {}
-    for (let i = 0; i < FILTER_DEFS.length; i++) {
-      const { key, default: def } = FILTER_DEFS[i]
-      if (filterString) {
-        const match = filterString.match(FILTER_REGEXES[i])
-        values[key] = match ? parseFloat(match[1]) : def
-      }
-      else {
-        values[key] = def
-      }
-    }
-    return values
+    return parseFilterString(filterString)
   }
 }
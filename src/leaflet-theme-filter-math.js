@@ -0,0 +1,293 @@
+/**
+ * Color math for filter chains: what a theme's filter does to a flat color
+ * (following the Filter Effects spec, in sRGB like the browser) and the
+ * WCAG contrast of color pairs before and after.
+ *
+ * Only effects on flat colors are modeled. blur() and drop-shadow() leave
+ * them unchanged and opacity() only changes alpha; url() references to
+ * other filters are evaluated only if the caller can resolve them.
+ */
+
+import { parseFilter, toCanonical } from './leaflet-theme-filters.js'
+
+/** Minimum contrast ratios of WCAG 2 level AA */
+export const WCAG_TEXT_CONTRAST = 4.5
+export const WCAG_GRAPHICS_CONTRAST = 3
+
+const LAND = '#f2efe9'
+const WATER = '#aad3df'
+
+/**
+ * Typical basemap color pairs (OpenStreetMap style), all readable without a filter.
+ * filterForeground: false marks colors drawn above the filtered tiles.
+ */
+export const REFERENCE_PALETTE = [
+  { name: 'Labels on land', foreground: '#333333', background: LAND, minContrast: WCAG_TEXT_CONTRAST },
+  { name: 'Labels on water', foreground: '#1f4e79', background: WATER, minContrast: WCAG_TEXT_CONTRAST },
+  { name: 'Labels on parks', foreground: '#333333', background: '#c8facc', minContrast: WCAG_TEXT_CONTRAST },
+  { name: 'Road casings', foreground: '#777777', background: LAND, minContrast: WCAG_GRAPHICS_CONTRAST },
+]
+
+const clamp = value => Math.min(1, Math.max(0, value))
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4)
+const toSrgb = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055)
+
+/**
+ * Parse a hex or rgb() color.
+ * @param {string} color - '#rgb', '#rrggbb' or 'rgb(r, g, b)'
+ * @returns {number[]|null} [r, g, b] from 0 to 1, or null if not understood
+ */
+export function parseColor(color) {
+  const value = String(color).trim().toLowerCase()
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/)
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(d => d + d) : hex[1].match(/../g)
+    return digits.map(d => parseInt(d, 16) / 255)
+  }
+
+  const rgb = value.match(/^rgba?\(\s*(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)\s*(?:[,/].*)?\)$/)
+  if (rgb) {
+    return rgb.slice(1, 4).map(c => clamp(Number(c) / 255))
+  }
+
+  return null
+}
+
+/**
+ * Format a color as hex.
+ * @param {number[]} rgb - [r, g, b] from 0 to 1
+ * @returns {string} '#rrggbb'
+ */
+export function formatColor(rgb) {
+  return `#${rgb.map(c => Math.round(clamp(c) * 255).toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * WCAG relative luminance.
+ * @param {number[]} rgb - [r, g, b] from 0 to 1
+ * @returns {number} Luminance from 0 to 1
+ */
+export function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.map(toLinear)
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+/**
+ * WCAG contrast ratio of two colors.
+ * @param {number[]} a - [r, g, b] from 0 to 1
+ * @param {number[]} b - [r, g, b] from 0 to 1
+ * @returns {number} Ratio from 1 to 21
+ */
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x)
+  return (lighter + 0.05) / (darker + 0.05)
+}
+
+// Apply a row-major 3×3 matrix
+const matrix3 = m => ([r, g, b]) => [0, 1, 2].map(i => clamp(m[i * 3] * r + m[i * 3 + 1] * g + m[i * 3 + 2] * b))
+
+// Apply the same transfer function to r, g and b
+const perChannel = fn => rgb => rgb.map(c => clamp(fn(c)))
+
+/**
+ * CSS filter functions as color transforms, by name.
+ * Each takes the amount in canonical units (number, or deg for hue-rotate).
+ */
+const CSS_TRANSFORMS = {
+  'grayscale': (amount) => {
+    const a = 1 - clamp(amount)
+    return matrix3([
+      0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a,
+      0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a,
+      0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a,
+    ])
+  },
+  'sepia': (amount) => {
+    const a = 1 - clamp(amount)
+    return matrix3([
+      0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a,
+      0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a,
+      0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a,
+    ])
+  },
+  'saturate': s => matrix3(saturateMatrix(s)),
+  'hue-rotate': deg => matrix3(hueRotateMatrix(deg)),
+  'invert': (amount) => {
+    const a = clamp(amount)
+    return perChannel(c => a + c * (1 - 2 * a))
+  },
+  'brightness': b => perChannel(c => c * b),
+  'contrast': s => perChannel(c => s * c + 0.5 - 0.5 * s),
+}
+
+function saturateMatrix(s) {
+  return [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+  ]
+}
+
+function hueRotateMatrix(deg) {
+  const cos = Math.cos(deg * Math.PI / 180)
+  const sin = Math.sin(deg * Math.PI / 180)
+  return [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+  ]
+}
+
+/**
+ * A feFuncX transfer function as a function of one channel.
+ * @param {object} fn - Transfer function of an svgFilter primitive
+ * @returns {function(number): number} Channel transform
+ */
+function transferFunction(fn) {
+  const table = fn.tableValues || []
+  switch (fn.type) {
+    case 'table':
+      if (table.length < 2) return c => (table.length ? table[0] : c)
+      return (c) => {
+        const n = table.length - 1
+        const k = Math.min(Math.floor(c * n), n - 1)
+        return table[k] + (c * n - k) * (table[k + 1] - table[k])
+      }
+    case 'discrete':
+      if (!table.length) return c => c
+      return c => table[Math.min(Math.floor(c * table.length), table.length - 1)]
+    case 'linear':
+      return c => (fn.slope ?? 1) * c + (fn.intercept ?? 0)
+    case 'gamma':
+      return c => (fn.amplitude ?? 1) * c ** (fn.exponent ?? 1) + (fn.offset ?? 0)
+    default:
+      return c => c
+  }
+}
+
+/**
+ * An svgFilter primitive as a color transform (on opaque colors).
+ * @param {object} primitive - Valid svgFilter primitive
+ * @returns {function(number[]): number[]} Color transform
+ */
+function svgPrimitiveTransform(primitive) {
+  if (primitive.type === 'feComponentTransfer') {
+    const fns = ['r', 'g', 'b'].map(channel => (primitive[channel] ? transferFunction(primitive[channel]) : c => c))
+    return rgb => rgb.map((c, i) => clamp(fns[i](c)))
+  }
+
+  const matrixType = primitive.matrixType || 'matrix'
+  if (matrixType === 'saturate') return matrix3(saturateMatrix(primitive.values))
+  if (matrixType === 'hueRotate') return matrix3(hueRotateMatrix(primitive.values))
+  if (matrixType === 'luminanceToAlpha') return () => [0, 0, 0]
+
+  // 4×5 matrix on [r, g, b, a = 1, 1]
+  const m = primitive.values
+  return ([r, g, b]) => [0, 1, 2].map(i => clamp(m[i * 5] * r + m[i * 5 + 1] * g + m[i * 5 + 2] * b + m[i * 5 + 3] + m[i * 5 + 4]))
+}
+
+/**
+ * Build the color transform of an svgFilter pipeline.
+ * @param {object[]} svgFilter - Valid svgFilter pipeline
+ * @param {string} [colorSpace] - 'sRGB' or 'linearRGB' (color-interpolation-filters of the filter element)
+ * @returns {function(number[]): number[]} Color transform
+ */
+export function createSvgFilterTransform(svgFilter, colorSpace = 'sRGB') {
+  const transforms = svgFilter.map(svgPrimitiveTransform)
+  const transform = rgb => transforms.reduce((color, fn) => fn(color), rgb)
+
+  if (colorSpace !== 'linearRGB') return transform
+  return rgb => transform(rgb.map(toLinear)).map(toSrgb)
+}
+
+/**
+ * Build the color transform of a theme's filter: the svgFilter pipeline
+ * (if any) followed by the CSS filter functions, as the control applies them.
+ * @param {string} filter - CSS filter string
+ * @param {object[]} [svgFilter] - Valid svgFilter pipeline
+ * @param {function(string): (function(number[]): number[]|null)} [resolveUrl] - Transform of the filter
+ *   a url() step references (e.g. '#id'), or null if unknown
+ * @returns {{transform: function(number[]): number[], unsupported: string[]}} Transform and the steps it had to skip
+ */
+export function createColorTransform(filter, svgFilter, resolveUrl) {
+  const transforms = svgFilter ? [createSvgFilterTransform(svgFilter)] : []
+  const unsupported = []
+
+  const steps = parseFilter(filter)
+  if (!steps) {
+    unsupported.push(filter)
+  }
+  else {
+    steps.forEach((step) => {
+      if (CSS_TRANSFORMS[step.name]) {
+        transforms.push(CSS_TRANSFORMS[step.name](toCanonical(step).value))
+      }
+      else if (step.name === 'url') {
+        const transform = resolveUrl && resolveUrl(step.value.trim())
+        if (transform) transforms.push(transform)
+        else unsupported.push(`url(${step.value})`)
+      }
+    })
+  }
+
+  return {
+    transform: rgb => transforms.reduce((color, fn) => fn(color), rgb),
+    unsupported,
+  }
+}
+
+/**
+ * Palette entries for brand colors, drawn as overlays above the filtered map.
+ * @param {Array<string|object>} brandColors - CSS colors or { name, color, filtered }
+ * @returns {object[]} Palette entries (graphics contrast against land and water)
+ */
+export function createBrandPalette(brandColors = []) {
+  return brandColors.flatMap((entry) => {
+    const { name, color, filtered = false } = typeof entry === 'string' ? { color: entry } : entry
+    if (!parseColor(color)) {
+      console.warn(`Brand color "${color}" is not a hex or rgb() color, skipping it`)
+      return []
+    }
+
+    return [['land', LAND], ['water', WATER]].map(([area, background]) => ({
+      name: `${name || color} on ${area}`,
+      foreground: color,
+      background,
+      filterForeground: filtered,
+      minContrast: WCAG_GRAPHICS_CONTRAST,
+    }))
+  })
+}
+
+/**
+ * Evaluate a palette through a filter and report WCAG contrast ratios.
+ * @param {string} filter - CSS filter string
+ * @param {object[]} [svgFilter] - Valid svgFilter pipeline
+ * @param {object[]} palette - Entries { name, foreground, background, minContrast, filterForeground }
+ * @returns {{passed: boolean, results: object[], unsupported: string[]}} Audit report
+ */
+export function auditFilter(filter, svgFilter, palette) {
+  const { transform, unsupported } = createColorTransform(filter, svgFilter)
+  const round = value => Math.round(value * 100) / 100
+
+  const results = palette.map(({ name, foreground, background, minContrast, filterForeground = true }) => {
+    const fg = parseColor(foreground)
+    const bg = parseColor(background)
+    const themedForeground = filterForeground ? transform(fg) : fg
+    const themedBackground = transform(bg)
+    const contrast = round(contrastRatio(themedForeground, themedBackground))
+
+    return {
+      name,
+      foreground: formatColor(themedForeground),
+      background: formatColor(themedBackground),
+      contrast,
+      originalContrast: round(contrastRatio(fg, bg)),
+      minContrast,
+      passed: contrast >= minContrast,
+    }
+  })
+
+  return { passed: results.every(result => result.passed), results, unsupported }
+}
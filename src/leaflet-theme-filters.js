@@ -0,0 +1,358 @@
+/**
+ * CSS filter helpers shared by the control (transitions) and the editor (sliders).
+ *
+ * A filter chain is parsed into steps that keep the order, units and
+ * arguments of the original string, so parseFilter → serializeFilter
+ * round-trips any valid CSS filter:
+ *
+ *   hue-rotate(0.5turn) invert(100%) drop-shadow(0 0 2px #000)
+ *   → [{ name: 'hue-rotate', value: 0.5, unit: 'turn' },
+ *      { name: 'invert', value: 100, unit: '%' },
+ *      { name: 'drop-shadow', value: '0 0 2px #000' }]
+ */
+
+const EPS = 0.01
+
+/**
+ * Filter definitions: key → { cssName, defaultValue, unit }
+ * The seven filters of the classic editor, also used for the
+ * legacy value objects stored by older versions and shared in URLs.
+ */
+export const FILTER_DEFS = [
+  { key: 'invert', css: 'invert', default: 0 },
+  { key: 'hueRotate', css: 'hue-rotate', default: 0, unit: 'deg' },
+  { key: 'saturate', css: 'saturate', default: 1 },
+  { key: 'brightness', css: 'brightness', default: 1 },
+  { key: 'contrast', css: 'contrast', default: 1 },
+  { key: 'sepia', css: 'sepia', default: 0 },
+  { key: 'grayscale', css: 'grayscale', default: 0 },
+]
+
+/**
+ * All CSS filter functions: css name → { key, type, identity, max }
+ * - type 'amount': number or percentage, 'angle': deg/rad/grad/turn,
+ *   'length': blur radius, 'raw': arguments kept as written
+ * - identity: value without visual effect (in canonical units: number, deg, length)
+ * - max: upper end of the editor slider (amounts above 1 are clamped by CSS where max is 1)
+ */
+export const FILTER_FUNCTIONS = {
+  'invert': { key: 'invert', type: 'amount', identity: 0, max: 1 },
+  'hue-rotate': { key: 'hueRotate', type: 'angle', identity: 0 },
+  'saturate': { key: 'saturate', type: 'amount', identity: 1, max: 2 },
+  'brightness': { key: 'brightness', type: 'amount', identity: 1, max: 2 },
+  'contrast': { key: 'contrast', type: 'amount', identity: 1, max: 2 },
+  'sepia': { key: 'sepia', type: 'amount', identity: 0, max: 1 },
+  'grayscale': { key: 'grayscale', type: 'amount', identity: 0, max: 1 },
+  'opacity': { key: 'opacity', type: 'amount', identity: 1, max: 1 },
+  'blur': { key: 'blur', type: 'length', identity: 0 },
+  'drop-shadow': { key: 'dropShadow', type: 'raw' },
+  'url': { key: 'url', type: 'raw' },
+}
+
+const ANGLE_TO_DEG = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 }
+const LENGTH_UNITS = ['px', 'em', 'rem', 'ex', 'ch', 'vw', 'vh', 'vmin', 'vmax', 'cm', 'mm', 'q', 'in', 'pt', 'pc']
+
+const FUNCTION_START = /\s*([a-zA-Z-]+)\(/y
+const NUMBER = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-zA-Z%]*)$/
+
+/**
+ * Find the parenthesis closing a function, skipping nested parentheses and quoted strings.
+ * @param {string} input - Filter string
+ * @param {number} start - Index after the opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or -1
+ */
+function findClosingParen(input, start) {
+  let depth = 0
+  let quote = null
+
+  for (let i = start; i < input.length; i++) {
+    const char = input[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+    }
+    else if (char === '"' || char === '\'') {
+      quote = char
+    }
+    else if (char === '(') {
+      depth++
+    }
+    else if (char === ')') {
+      if (depth === 0) return i
+      depth--
+    }
+  }
+  return -1
+}
+
+function parseStep(name, args) {
+  const fn = FILTER_FUNCTIONS[name]
+  if (!fn) return null
+
+  if (fn.type === 'raw') {
+    return args ? { name, value: args } : null
+  }
+
+  // Omitted arguments default to full effect for amounts, none for angles and lengths
+  if (!args) {
+    if (fn.type === 'amount') return { name, value: 1, unit: '' }
+    return { name, value: 0, unit: fn.type === 'angle' ? 'deg' : 'px' }
+  }
+
+  const match = args.match(NUMBER)
+  if (!match) return null
+
+  const value = parseFloat(match[1])
+  const unit = match[2].toLowerCase()
+
+  if (fn.type === 'amount') {
+    return value >= 0 && (unit === '' || unit === '%') ? { name, value, unit } : null
+  }
+  if (fn.type === 'angle') {
+    if (ANGLE_TO_DEG[unit]) return { name, value, unit }
+    return unit === '' && value === 0 ? { name, value, unit: 'deg' } : null
+  }
+
+  // Length (blur)
+  if (value < 0) return null
+  if (LENGTH_UNITS.includes(unit)) return { name, value, unit }
+  return unit === '' && value === 0 ? { name, value, unit: 'px' } : null
+}
+
+/**
+ * Parse a CSS filter string into steps, keeping their order and units.
+ * @param {string} filterString - CSS filter string ('' and 'none' give no steps)
+ * @returns {object[]|null} Steps ({ name, value, unit } or { name, value } for raw arguments), or null if the string is not a valid filter
+ */
+export function parseFilter(filterString) {
+  const input = String(filterString ?? '').trim()
+  if (input === '' || input === 'none') return []
+
+  const steps = []
+  let pos = 0
+  while (pos < input.length) {
+    FUNCTION_START.lastIndex = pos
+    const match = FUNCTION_START.exec(input)
+    if (!match) return null
+
+    const argsStart = FUNCTION_START.lastIndex
+    const end = findClosingParen(input, argsStart)
+    if (end === -1) return null
+
+    const step = parseStep(match[1].toLowerCase(), input.slice(argsStart, end).trim())
+    if (!step) return null
+    steps.push(step)
+
+    // Skip trailing whitespace so the loop ends at the end of the string
+    pos = end + 1
+    while (pos < input.length && /\s/.test(input[pos])) pos++
+  }
+
+  return steps
+}
+
+/**
+ * Serialize filter steps to a CSS filter string.
+ * @param {object[]} steps - Steps as returned by parseFilter
+ * @returns {string} CSS filter string
+ */
+export function serializeFilter(steps) {
+  return steps.map(step => FILTER_FUNCTIONS[step.name].type === 'raw'
+    ? `${step.name}(${step.value})`
+    : `${step.name}(${step.value}${step.unit})`,
+  ).join(' ')
+}
+
+/**
+ * Convert a numeric step to canonical units: plain numbers for amounts, deg for angles.
+ * Lengths keep their unit.
+ * @param {object} step - Numeric step
+ * @returns {object} Step in canonical units
+ */
+export function toCanonical(step) {
+  const { type } = FILTER_FUNCTIONS[step.name]
+  if (type === 'amount') {
+    return { name: step.name, value: step.unit === '%' ? step.value / 100 : step.value, unit: '' }
+  }
+  if (type === 'angle') {
+    return { name: step.name, value: step.value * ANGLE_TO_DEG[step.unit], unit: 'deg' }
+  }
+  return step
+}
+
+/**
+ * Check whether a step has no visual effect (e.g. invert(0), saturate(100%), an empty url()).
+ * @param {object} step - Filter step
+ * @returns {boolean} True if the step can be left out
+ */
+export function isIdentityStep(step) {
+  const fn = FILTER_FUNCTIONS[step.name]
+  if (fn.type === 'raw') return !String(step.value).trim()
+  return Math.abs(toCanonical(step).value - fn.identity) <= EPS
+}
+
+/**
+ * Compare two filter strings by effect: order matters, units and identity steps don't.
+ * @param {string} a - CSS filter string
+ * @param {string} b - CSS filter string
+ * @returns {boolean} True if both filters look the same
+ */
+export function filtersEqual(a, b) {
+  const stepsA = parseFilter(a)
+  const stepsB = parseFilter(b)
+  if (!stepsA || !stepsB) return String(a ?? '').trim() === String(b ?? '').trim()
+
+  const effectiveA = stepsA.filter(step => !isIdentityStep(step))
+  const effectiveB = stepsB.filter(step => !isIdentityStep(step))
+  if (effectiveA.length !== effectiveB.length) return false
+
+  return effectiveA.every((stepA, i) => {
+    const stepB = effectiveB[i]
+    if (stepA.name !== stepB.name) return false
+    if (FILTER_FUNCTIONS[stepA.name].type === 'raw') return stepA.value.trim() === stepB.value.trim()
+
+    const canonicalA = toCanonical(stepA)
+    const canonicalB = toCanonical(stepB)
+    return canonicalA.unit === canonicalB.unit && Math.abs(canonicalA.value - canonicalB.value) <= EPS
+  })
+}
+
+/**
+ * Validate the per-pane filters of a theme (pane name → CSS filter string).
+ * @param {object} panes - Pane filters
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+export function validatePaneFilters(panes) {
+  if (!panes || typeof panes !== 'object' || Array.isArray(panes)) return 'must be an object of pane filters'
+
+  for (const [pane, filter] of Object.entries(panes)) {
+    // The map pane holds the color vision filter
+    if (pane === 'mapPane') return 'mapPane can\'t be filtered, use the panes inside it'
+    if (typeof filter !== 'string') return `${pane}: filter must be a string`
+    // Filters end up in style attributes, reject anything that could break out of them
+    if (/[;{}<>]/.test(filter) || !parseFilter(filter)) return `${pane}: not a valid CSS filter`
+  }
+  return null
+}
+
+/**
+ * Build a CSS filter string from filter values, skipping functions at their default.
+ * @param {object} values - Filter values keyed like FILTER_DEFS
+ * @returns {string} CSS filter string
+ */
+export function buildFilterString(values) {
+  const parts = []
+
+  if (values.invert > EPS) parts.push(`invert(${values.invert})`)
+  if (Math.abs(values.hueRotate) > EPS) parts.push(`hue-rotate(${values.hueRotate}deg)`)
+  if (Math.abs(values.saturate - 1) > EPS) parts.push(`saturate(${values.saturate})`)
+  if (Math.abs(values.brightness - 1) > EPS) parts.push(`brightness(${values.brightness})`)
+  if (Math.abs(values.contrast - 1) > EPS) parts.push(`contrast(${values.contrast})`)
+  if (values.sepia > EPS) parts.push(`sepia(${values.sepia})`)
+  if (values.grayscale > EPS) parts.push(`grayscale(${values.grayscale})`)
+
+  return parts.join(' ')
+}
+
+/**
+ * Parse a CSS filter string into filter values (missing functions get their default).
+ * Order and functions other than FILTER_DEFS are lost, use parseFilter to keep them.
+ * @param {string} filterString - CSS filter string
+ * @returns {object} Filter values keyed like FILTER_DEFS
+ */
+export function parseFilterString(filterString) {
+  const steps = parseFilter(filterString) || []
+  const values = {}
+  for (const { key, css, default: def } of FILTER_DEFS) {
+    const step = steps.find(s => s.name === css)
+    values[key] = step ? Math.round(toCanonical(step).value * 1000) / 1000 : def
+  }
+  return values
+}
+
+/**
+ * Interpolate between two sets of filter values.
+ * @param {object} from - Start values
+ * @param {object} to - End values
+ * @param {number} t - Progress from 0 to 1
+ * @returns {object} Interpolated values (rounded to 3 decimals)
+ */
+export function interpolateFilterValues(from, to, t) {
+  const values = {}
+  for (const { key } of FILTER_DEFS) {
+    values[key] = Math.round((from[key] + (to[key] - from[key]) * t) * 1000) / 1000
+  }
+  return values
+}
+
+/**
+ * Create a step without effect for a filter function, e.g. to add it in the editor.
+ * @param {string} name - CSS function name
+ * @returns {object} Filter step
+ */
+export function createFilterStep(name) {
+  const fn = FILTER_FUNCTIONS[name]
+  if (fn.type === 'raw') return { name, value: '' }
+  return { name, value: fn.identity, unit: { amount: '', angle: 'deg', length: 'px' }[fn.type] }
+}
+
+function identityStep(step) {
+  const fn = FILTER_FUNCTIONS[step.name]
+  if (fn.type === 'raw') return null
+  return { name: step.name, value: fn.identity, unit: toCanonical(step).unit }
+}
+
+/**
+ * Pair up the steps of two chains like CSS does: the shorter chain is padded
+ * with identity steps, and both chains must use the same functions in the same order.
+ * @param {object[]} from - Start steps
+ * @param {object[]} to - End steps
+ * @returns {Array[]|null} Pairs of canonical steps, or null if the chains don't match
+ */
+function pairSteps(from, to) {
+  const pairs = []
+  for (let i = 0; i < Math.max(from.length, to.length); i++) {
+    const a = from[i] || identityStep(to[i])
+    const b = to[i] || identityStep(from[i])
+    if (!a || !b || a.name !== b.name) return null
+
+    if (FILTER_FUNCTIONS[a.name].type === 'raw') {
+      if (a.value !== b.value) return null
+      pairs.push([a, b])
+      continue
+    }
+
+    const canonicalA = toCanonical(a)
+    const canonicalB = toCanonical(b)
+    // Lengths in different units can't be blended without layout information
+    if (canonicalA.unit !== canonicalB.unit && canonicalA.value !== 0 && canonicalB.value !== 0) return null
+    pairs.push([canonicalA, canonicalB])
+  }
+  return pairs
+}
+
+/**
+ * Create a function that blends between two filter strings.
+ * Chains with matching functions are interpolated step by step in their own order;
+ * otherwise the seven FILTER_DEFS values are blended.
+ * @param {string} fromFilter - Start filter
+ * @param {string} toFilter - End filter
+ * @returns {(t: number) => string} Filter string for progress t (0 to 1)
+ */
+export function createFilterInterpolator(fromFilter, toFilter) {
+  const from = parseFilter(fromFilter)
+  const to = parseFilter(toFilter)
+  const pairs = from && to && pairSteps(from, to)
+
+  if (pairs) {
+    return t => serializeFilter(pairs.map(([a, b]) => {
+      if (FILTER_FUNCTIONS[a.name].type === 'raw') return b
+      const unit = b.value !== 0 ? b.unit : a.unit
+      return { name: a.name, value: Math.round((a.value + (b.value - a.value) * t) * 1000) / 1000, unit }
+    }))
+  }
+
+  const fromValues = parseFilterString(fromFilter)
+  const toValues = parseFilterString(toFilter)
+  return t => buildFilterString(interpolateFilterValues(fromValues, toValues, t))
+}
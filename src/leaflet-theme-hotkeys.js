@@ -0,0 +1,64 @@
+/**
+ * Keyboard shortcuts for switching themes.
+ *
+ * Bindings are key names as in KeyboardEvent.key, optionally with modifiers:
+ * 't', 'Shift+D', 'Alt+1', 'Ctrl+Alt+T'.
+ */
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta']
+
+/**
+ * Default keyboard shortcuts, merged with the `hotkeys` option.
+ */
+export const DEFAULT_HOTKEYS = {
+  cycle: 't', // Switch to the next theme
+  themes: 'digits', // 'digits' (1-9 select the themes in order), { themeKey: binding } or null
+  editor: 'e', // Open the theme selector (with enableEditor)
+  global: false, // Listen on the whole page instead of only while the map has focus
+}
+
+/**
+ * Parse a binding.
+ * @param {string} binding - Key with optional modifiers, e.g. 'Shift+D'
+ * @returns {{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}|null} Parsed binding, or null if invalid
+ */
+export function parseHotkey(binding) {
+  if (typeof binding !== 'string') return null
+
+  // '+' on its own (or as the last part, 'Shift++') is the plus key
+  const parts = binding.trim().split(/\+(?!$)/)
+  const key = parts.pop()
+  if (!key) return null
+
+  const hotkey = { key: key.toLowerCase(), ctrl: false, alt: false, shift: false, meta: false }
+  for (const part of parts) {
+    const modifier = part.trim().toLowerCase().replace(/^control$/, 'ctrl').replace(/^(cmd|command)$/, 'meta')
+    if (!MODIFIERS.includes(modifier)) return null
+    hotkey[modifier] = true
+  }
+  return hotkey
+}
+
+/**
+ * Check whether a key event matches a parsed binding. Shift only has to match for
+ * letters, other keys may need it to be typed at all (e.g. '?' on most layouts).
+ * @param {KeyboardEvent} event - Key event
+ * @param {object} hotkey - Binding from parseHotkey
+ * @returns {boolean} True if the event triggers the binding
+ */
+export function matchesHotkey(event, hotkey) {
+  if (event.key.toLowerCase() !== hotkey.key) return false
+  if (event.ctrlKey !== hotkey.ctrl || event.altKey !== hotkey.alt || event.metaKey !== hotkey.meta) return false
+  return !/^[a-z]$/.test(hotkey.key) || event.shiftKey === hotkey.shift
+}
+
+/**
+ * Whether a key event comes from a place where the user is typing.
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean} True for form fields and editable content
+ */
+export function isTypingEvent(event) {
+  const target = event.target
+  return target instanceof Element
+    && Boolean(target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'))
+}
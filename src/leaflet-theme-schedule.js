@@ -0,0 +1,105 @@
+/**
+ * Day/night detection for automatic theme switching.
+ *
+ * Works without network access: either a fixed clock schedule in local time,
+ * or sunrise/sunset computed from a position with the standard sunrise equation.
+ */
+
+const RAD = Math.PI / 180
+const DAY_MS = 86400000
+const J1970 = 2440588
+const J2000 = 2451545
+
+// Sun altitude at sunrise/sunset, corrected for refraction and the sun's radius
+const SUN_ALTITUDE = -0.833 * RAD
+const OBLIQUITY = 23.4397 * RAD
+
+/**
+ * Default schedule settings, merged with the `schedule` option.
+ */
+export const DEFAULT_SCHEDULE = {
+  mode: 'clock', // 'clock' or 'sun'
+  dayTheme: 'light',
+  nightTheme: 'dark',
+  dayStart: '07:00', // Local time, used in 'clock' mode
+  nightStart: '19:00',
+  latlng: null, // Fallback position for 'sun' mode before the map is available
+  interval: 60000, // Re-evaluation interval in ms
+}
+
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000
+}
+
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS)
+}
+
+/**
+ * Compute sunrise and sunset for the solar day around the given date.
+ * @param {Date} date - Date to compute the times for
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {{sunrise: Date, sunset: Date}|{polar: string}} Times, or polar 'day'/'night' when the sun does not rise or set
+ */
+export function getSunTimes(date, lat, lng) {
+  const lw = RAD * -lng
+  const phi = RAD * lat
+  const days = toDays(date)
+
+  // Julian cycle and approximate solar noon
+  const cycle = Math.round(days - 0.0009 - lw / (2 * Math.PI))
+  const approxNoon = 0.0009 + lw / (2 * Math.PI) + cycle
+
+  const meanAnomaly = RAD * (357.5291 + 0.98560028 * approxNoon)
+  const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly))
+  const eclipticLongitude = meanAnomaly + center + RAD * 102.9372 + Math.PI
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY))
+
+  const transit = ds => J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude)
+  const noon = transit(approxNoon)
+
+  const cosHourAngle = (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination))
+  if (cosHourAngle < -1) return { polar: 'day' }
+  if (cosHourAngle > 1) return { polar: 'night' }
+
+  const hourAngle = Math.acos(cosHourAngle)
+  const set = transit(0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle)
+
+  return {
+    sunrise: fromJulian(noon - (set - noon)),
+    sunset: fromJulian(set),
+  }
+}
+
+function parseClockTime(time) {
+  const [hours, minutes = 0] = String(time).split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Decide whether it is day or night according to a schedule.
+ * @param {object} schedule - Schedule settings (see DEFAULT_SCHEDULE)
+ * @param {Date} date - Current date
+ * @param {{lat: number, lng: number}|null} latlng - Position for 'sun' mode
+ * @returns {string|null} 'day', 'night', or null if it can't be decided (no position in 'sun' mode)
+ */
+export function getSchedulePeriod(schedule, date, latlng) {
+  if (schedule.mode === 'sun') {
+    if (!latlng) return null
+
+    const times = getSunTimes(date, latlng.lat, latlng.lng)
+    if (times.polar) return times.polar
+    return date >= times.sunrise && date < times.sunset ? 'day' : 'night'
+  }
+
+  const now = date.getHours() * 60 + date.getMinutes()
+  const dayStart = parseClockTime(schedule.dayStart)
+  const nightStart = parseClockTime(schedule.nightStart)
+
+  // Day may wrap around midnight (e.g. night shifts with dayStart '20:00')
+  const isDay = dayStart <= nightStart
+    ? now >= dayStart && now < nightStart
+    : now >= dayStart || now < nightStart
+  return isDay ? 'day' : 'night'
+}
@@ -0,0 +1,114 @@
+/**
+ * Snapshots of the themed map tiles.
+ *
+ * Browsers ignore CSS filters when an element is drawn to a canvas, so each
+ * tile is drawn unfiltered and the filters that apply to it on the page are
+ * recreated on its pixels in JS (see leaflet-theme-filter-math.js).
+ * Tiles must be same-origin or loaded with CORS (TileLayer `crossOrigin` option),
+ * otherwise the browser refuses to read their pixels.
+ */
+
+/**
+ * Collect what the page applies to an element on its way up to the map container:
+ * the CSS filters, innermost first (the order the browser applies them in),
+ * and the combined opacity.
+ * @param {HTMLElement} el - Tile element
+ * @param {HTMLElement} container - Map container
+ * @returns {{filter: string, opacity: number}} Filter chain and opacity
+ */
+export function getAppliedStyle(el, container) {
+  const filters = []
+  let opacity = 1
+
+  for (let node = el; node; node = node.parentElement) {
+    if (node.style.filter && node.style.filter !== 'none') filters.push(node.style.filter)
+    if (node.style.opacity !== '') opacity *= Number(node.style.opacity)
+    if (node === container) break
+  }
+
+  return { filter: filters.join(' '), opacity }
+}
+
+/**
+ * Apply a color transform to image pixels in place. Tiles have few distinct
+ * colors, so results are cached per color.
+ * @param {ImageData} imageData - Pixels to transform
+ * @param {function(number[]): number[]} transform - Color transform on [r, g, b] from 0 to 1
+ */
+export function filterImageData(imageData, transform) {
+  const { data } = imageData
+  const cache = new Map()
+
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2]
+    let rgb = cache.get(key)
+    if (!rgb) {
+      rgb = transform([data[i] / 255, data[i + 1] / 255, data[i + 2] / 255]).map(c => Math.round(c * 255))
+      cache.set(key, rgb)
+    }
+    data[i] = rgb[0]
+    data[i + 1] = rgb[1]
+    data[i + 2] = rgb[2]
+  }
+}
+
+/**
+ * Draw the loaded tiles of a map to a canvas with their filters applied.
+ * @param {object} map - Leaflet map
+ * @param {function(string): (function(number[]): number[]|null)} getTransform - Color transform
+ *   of a CSS filter chain, or null if it has no effect
+ * @param {object} [options] - Snapshot options
+ * @param {string|null} [options.background] - Fill color behind the tiles (default: the map container's background)
+ * @returns {HTMLCanvasElement} Canvas the size of the map container
+ */
+export function renderSnapshot(map, getTransform, { background } = {}) {
+  const container = map.getContainer()
+  const bounds = container.getBoundingClientRect()
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bounds.width)
+  canvas.height = Math.round(bounds.height)
+  const ctx = canvas.getContext('2d')
+
+  const fill = background === undefined ? getComputedStyle(container).backgroundColor : background
+  if (fill) {
+    ctx.fillStyle = fill
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+  }
+
+  const tiles = map.getPane('mapPane').querySelectorAll('.leaflet-tile-loaded')
+  tiles.forEach((tile) => {
+    const rect = tile.getBoundingClientRect()
+    const width = Math.round(rect.width)
+    const height = Math.round(rect.height)
+    if (width === 0 || height === 0) return
+
+    const { filter, opacity } = getAppliedStyle(tile, container)
+    const transform = filter && getTransform(filter)
+    let source = tile
+
+    if (transform) {
+      source = document.createElement('canvas')
+      source.width = width
+      source.height = height
+      const tileCtx = source.getContext('2d')
+      tileCtx.drawImage(tile, 0, 0, width, height)
+
+      let imageData
+      try {
+        imageData = tileCtx.getImageData(0, 0, width, height)
+      }
+      catch (e) {
+        throw new Error('Can\'t read tile pixels, tiles must be same-origin or CORS-enabled', { cause: e })
+      }
+      filterImageData(imageData, transform)
+      tileCtx.putImageData(imageData, 0, 0)
+    }
+
+    ctx.globalAlpha = opacity
+    ctx.drawImage(source, rect.left - bounds.left, rect.top - bounds.top, width, height)
+  })
+  ctx.globalAlpha = 1
+
+  return canvas
+}
@@ -0,0 +1,181 @@
+/**
+ * Storage adapters for the selected theme and custom filters.
+ *
+ * An adapter implements getItem(key), setItem(key, value) and optionally
+ * removeItem(key), like the Web Storage API. Any of these may return a
+ * Promise, so preferences can live in a user profile on a server. Without
+ * removeItem, values are cleared by storing an empty string.
+ */
+
+/**
+ * Create an adapter that keeps values in memory (lost on reload).
+ * @returns {object} Storage adapter
+ */
+export function createMemoryStorage() {
+  const values = new Map()
+
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => {
+      values.set(key, String(value))
+    },
+    removeItem: (key) => {
+      values.delete(key)
+    },
+  }
+}
+
+/**
+ * Create an adapter for localStorage or sessionStorage.
+ * Falls back to memory storage where access is denied (sandboxed iframes, some private modes).
+ * @param {string} name - 'localStorage' or 'sessionStorage'
+ * @returns {object} Storage adapter
+ */
+export function createWebStorage(name) {
+  let fallback = null
+
+  // Look the store up lazily, accessing it can throw a SecurityError
+  const getStore = () => {
+    if (fallback) return fallback
+    try {
+      const store = window[name]
+      if (store) return store
+    }
+    catch (e) {
+      console.warn(`${name} is not available, falling back to memory storage:`, e)
+    }
+    fallback = createMemoryStorage()
+    return fallback
+  }
+
+  return {
+    getItem: key => getStore().getItem(key),
+    setItem: (key, value) => getStore().setItem(key, value),
+    removeItem: key => getStore().removeItem(key),
+  }
+}
+
+/**
+ * Create an adapter that stores values in cookies.
+ * Keep in mind that browsers limit cookies to about 4 KB each.
+ * @param {object} [options] - Cookie options
+ * @param {number} [options.maxAge] - Lifetime in seconds (default: one year)
+ * @param {string} [options.path] - Cookie path (default: '/')
+ * @param {string} [options.sameSite] - SameSite attribute (default: 'Lax')
+ * @returns {object} Storage adapter
+ */
+export function createCookieStorage({ maxAge = 31536000, path = '/', sameSite = 'Lax' } = {}) {
+  return {
+    getItem(key) {
+      const prefix = `${encodeURIComponent(key)}=`
+      const entry = document.cookie.split('; ').find(cookie => cookie.startsWith(prefix))
+      return entry ? decodeURIComponent(entry.slice(prefix.length)) : null
+    },
+    setItem(key, value) {
+      document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; max-age=${maxAge}; path=${path}; SameSite=${sameSite}`
+    },
+    removeItem(key) {
+      document.cookie = `${encodeURIComponent(key)}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=${path}; SameSite=${sameSite}`
+    },
+  }
+}
+
+const NAMED_STORAGES = {
+  localStorage: () => createWebStorage('localStorage'),
+  sessionStorage: () => createWebStorage('sessionStorage'),
+  memory: createMemoryStorage,
+  cookie: createCookieStorage,
+}
+
+/**
+ * Turn the `storage` option into an adapter.
+ * @param {string|object} storage - Adapter name ('localStorage', 'sessionStorage', 'memory', 'cookie') or adapter object
+ * @returns {object} Storage adapter
+ */
+export function resolveStorage(storage) {
+  if (storage && typeof storage === 'object') {
+    return storage
+  }
+
+  const factory = NAMED_STORAGES[storage]
+  if (!factory) {
+    console.warn(`Storage "${storage}" not found, using localStorage`)
+    return NAMED_STORAGES.localStorage()
+  }
+  return factory()
+}
+
+/**
+ * Check whether an adapter returned a Promise (or other thenable).
+ * @param {unknown} value - Adapter result
+ * @returns {boolean} True for thenables
+ */
+export function isThenable(value) {
+  return Boolean(value) && typeof value.then === 'function'
+}
+
+/**
+ * Call back with a value that may be a Promise.
+ * Synchronous values are handled synchronously, so sync adapters behave as before.
+ * @param {unknown} value - Plain value or Promise
+ * @param {(value: unknown) => unknown} callback - Receives the resolved value
+ * @returns {unknown} Callback result, or a Promise of it
+ */
+export function whenResolved(value, callback) {
+  if (isThenable(value)) {
+    return value.then(callback)
+  }
+  return callback(value)
+}
+
+/**
+ * Read a key, treating errors and empty values (cleared without removeItem) as a missing value.
+ * @param {object} storage - Storage adapter
+ * @param {string} key - Storage key
+ * @returns {string|null|Promise<string|null>} Stored value
+ */
+export function readItem(storage, key) {
+  const onError = (e) => {
+    console.error(`Failed to read "${key}" from storage:`, e)
+    return null
+  }
+
+  const orNull = value => (value === '' ? null : value)
+
+  try {
+    const value = storage.getItem(key)
+    return isThenable(value) ? value.then(orNull, onError) : orNull(value)
+  }
+  catch (e) {
+    return onError(e)
+  }
+}
+
+/**
+ * Write a key, logging (not throwing) failures such as a full quota.
+ * Passing null removes the key, or stores an empty string if the adapter can't remove keys.
+ * @param {object} storage - Storage adapter
+ * @param {string} key - Storage key
+ * @param {string|null} value - Value to store
+ */
+export function writeItem(storage, key, value) {
+  const onError = (e) => {
+    console.error(`Failed to write "${key}" to storage:`, e)
+  }
+
+  try {
+    let result
+    if (value === null && storage.removeItem) {
+      result = storage.removeItem(key)
+    }
+    else {
+      result = storage.setItem(key, value ?? '')
+    }
+    if (isThenable(result)) {
+      result.catch(onError)
+    }
+  }
+  catch (e) {
+    onError(e)
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * SVG filter pipelines for themes that need more than CSS filter functions,
+ * e.g. remapping colors with a color matrix.
+ *
+ * A pipeline is a list of primitives applied in order:
+ *
+ *   [
+ *     { type: 'feColorMatrix', values: [20 numbers] },        // matrixType 'matrix' (default)
+ *     { type: 'feColorMatrix', matrixType: 'saturate', values: 0.5 },
+ *     { type: 'feComponentTransfer', r: { type: 'table', tableValues: [0, 0.2, 1] }, b: { type: 'gamma', exponent: 0.8 } },
+ *   ]
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+export const COLOR_MATRIX_TYPES = ['matrix', 'saturate', 'hueRotate', 'luminanceToAlpha']
+export const TRANSFER_TYPES = ['identity', 'table', 'discrete', 'linear', 'gamma']
+export const TRANSFER_CHANNELS = ['r', 'g', 'b', 'a']
+
+/** Numeric attributes of feFuncR/G/B/A, by transfer function type */
+export const TRANSFER_PARAMS = {
+  identity: [],
+  table: ['tableValues'],
+  discrete: ['tableValues'],
+  linear: ['slope', 'intercept'],
+  gamma: ['amplitude', 'exponent', 'offset'],
+}
+
+/** Matrix that leaves colors unchanged */
+export const IDENTITY_MATRIX = [
+  1, 0, 0, 0, 0,
+  0, 1, 0, 0, 0,
+  0, 0, 1, 0, 0,
+  0, 0, 0, 1, 0,
+]
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value)
+
+function validateTransferFunction(fn) {
+  if (!fn || typeof fn !== 'object' || !TRANSFER_TYPES.includes(fn.type)) {
+    return `type must be one of ${TRANSFER_TYPES.join(', ')}`
+  }
+  if (fn.tableValues !== undefined && !(Array.isArray(fn.tableValues) && fn.tableValues.every(isNumber))) {
+    return 'tableValues must be a list of numbers'
+  }
+  for (const param of ['slope', 'intercept', 'amplitude', 'exponent', 'offset']) {
+    if (fn[param] !== undefined && !isNumber(fn[param])) return `${param} must be a number`
+  }
+  return null
+}
+
+function validatePrimitive(primitive) {
+  if (!primitive || typeof primitive !== 'object') return 'not an object'
+
+  if (primitive.type === 'feColorMatrix') {
+    const matrixType = primitive.matrixType || 'matrix'
+    if (!COLOR_MATRIX_TYPES.includes(matrixType)) {
+      return `matrixType must be one of ${COLOR_MATRIX_TYPES.join(', ')}`
+    }
+    if (matrixType === 'matrix') {
+      const { values } = primitive
+      return Array.isArray(values) && values.length === 20 && values.every(isNumber) ? null : 'values must be 20 numbers'
+    }
+    if (matrixType !== 'luminanceToAlpha' && !isNumber(primitive.values)) return 'values must be a number'
+    return null
+  }
+
+  if (primitive.type === 'feComponentTransfer') {
+    for (const channel of TRANSFER_CHANNELS) {
+      if (primitive[channel] === undefined) continue
+      const error = validateTransferFunction(primitive[channel])
+      if (error) return `${channel}: ${error}`
+    }
+    return null
+  }
+
+  return 'type must be feColorMatrix or feComponentTransfer'
+}
+
+/**
+ * Validate an SVG filter pipeline.
+ * @param {object[]} primitives - Pipeline
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+export function validateSvgFilter(primitives) {
+  if (!Array.isArray(primitives) || primitives.length === 0) return 'must be a non-empty list of primitives'
+
+  for (let i = 0; i < primitives.length; i++) {
+    const error = validatePrimitive(primitives[i])
+    if (error) return `primitive ${i + 1}: ${error}`
+  }
+  return null
+}
+
+/**
+ * Deep-copy a pipeline (they only contain plain data).
+ * @param {object[]|undefined} primitives - Pipeline
+ * @returns {object[]|undefined} Copy
+ */
+export function cloneSvgFilter(primitives) {
+  return primitives && JSON.parse(JSON.stringify(primitives))
+}
+
+/**
+ * Create a hidden inline SVG to hold filter elements.
+ * @returns {SVGSVGElement} SVG element, not yet attached
+ */
+export function createSvgFilterContainer() {
+  const svg = document.createElementNS(SVG_NS, 'svg')
+  svg.setAttribute('aria-hidden', 'true')
+  svg.setAttribute('focusable', 'false')
+  svg.setAttribute('class', 'leaflet-theme-svg-filters')
+  svg.setAttribute('width', '0')
+  svg.setAttribute('height', '0')
+  return svg
+}
+
+/**
+ * Create an empty filter element.
+ * @param {string} id - Id of the filter element
+ * @param {string} [colorSpace] - 'sRGB' (like CSS filter functions, so matrices behave like
+ *   their CSS counterparts) or 'linearRGB'
+ * @returns {SVGFilterElement} Filter element, not yet attached
+ */
+export function createSvgFilter(id, colorSpace = 'sRGB') {
+  const filter = document.createElementNS(SVG_NS, 'filter')
+  filter.setAttribute('id', id)
+  filter.setAttribute('color-interpolation-filters', colorSpace)
+  return filter
+}
+
+/**
+ * Replace the primitives of a filter element with a pipeline.
+ * @param {SVGFilterElement} filter - Filter element
+ * @param {object[]} primitives - Valid pipeline
+ */
+export function renderSvgFilter(filter, primitives) {
+  const elements = primitives.map((primitive) => {
+    const element = document.createElementNS(SVG_NS, primitive.type)
+
+    if (primitive.type === 'feColorMatrix') {
+      const matrixType = primitive.matrixType || 'matrix'
+      element.setAttribute('type', matrixType)
+      if (matrixType !== 'luminanceToAlpha') {
+        element.setAttribute('values', [].concat(primitive.values).join(' '))
+      }
+      return element
+    }
+
+    TRANSFER_CHANNELS.forEach((channel) => {
+      const fn = primitive[channel]
+      if (!fn) return
+
+      const func = document.createElementNS(SVG_NS, `feFunc${channel.toUpperCase()}`)
+      func.setAttribute('type', fn.type)
+      for (const param of TRANSFER_PARAMS[fn.type]) {
+        if (fn[param] === undefined) continue
+        func.setAttribute(param, [].concat(fn[param]).join(' '))
+      }
+      element.appendChild(func)
+    })
+    return element
+  })
+
+  filter.replaceChildren(...elements)
+}
@@ -0,0 +1,109 @@
+/**
+ * Versioned JSON documents for exporting and importing theme customizations.
+ *
+ * {
+ *   "format": "leaflet-theme-control",
+ *   "version": 1,
+ *   "themes": {
+ *     "dark": { "label": "Dark", "filter": "invert(1) hue-rotate(200deg)", "controlStyle": "dark" }
+ *   }
+ * }
+ *
+ * Themes with an SVG filter pipeline also carry "svgFilter" (see leaflet-theme-svg.js),
+ * themes with pane filters carry "panes" ({ "markerPane": "saturate(0.5)" })
+ * and themes with a control palette "controlPalette" ({ "background": "#263238", ... }).
+ */
+
+import { validateControlPalette } from './leaflet-theme-control-themes.js'
+import { parseFilter, validatePaneFilters } from './leaflet-theme-filters.js'
+import { validateSvgFilter } from './leaflet-theme-svg.js'
+
+export const THEME_DOCUMENT_FORMAT = 'leaflet-theme-control'
+export const THEME_DOCUMENT_VERSION = 1
+
+const CONTROL_STYLES = ['light', 'dark']
+
+/**
+ * Create a theme document.
+ * @param {object} themes - Theme key → { label, filter, controlStyle }
+ * @returns {object} Theme document
+ */
+export function createThemeDocument(themes) {
+  return {
+    format: THEME_DOCUMENT_FORMAT,
+    version: THEME_DOCUMENT_VERSION,
+    themes,
+  }
+}
+
+/**
+ * Parse and validate a theme document.
+ * Invalid themes are skipped and reported, valid ones are returned.
+ * @param {string|object} input - JSON string or already parsed document
+ * @returns {{themes: object, errors: string[]}} Valid themes and validation errors
+ */
+export function parseThemeDocument(input) {
+  const errors = []
+  let doc = input
+
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input)
+    }
+    catch (e) {
+      return { themes: {}, errors: [`Invalid JSON: ${e.message}`] }
+    }
+  }
+
+  if (!doc || typeof doc !== 'object' || doc.format !== THEME_DOCUMENT_FORMAT) {
+    return { themes: {}, errors: [`Not a ${THEME_DOCUMENT_FORMAT} document`] }
+  }
+  if (!Number.isInteger(doc.version) || doc.version > THEME_DOCUMENT_VERSION) {
+    return { themes: {}, errors: [`Unsupported version: ${doc.version}`] }
+  }
+  if (!doc.themes || typeof doc.themes !== 'object' || Array.isArray(doc.themes)) {
+    return { themes: {}, errors: ['Missing "themes" object'] }
+  }
+
+  const themes = {}
+  for (const [themeKey, theme] of Object.entries(doc.themes)) {
+    const error = validateTheme(theme)
+    if (error) {
+      errors.push(`Theme "${themeKey}": ${error}`)
+    }
+    else {
+      themes[themeKey] = theme
+    }
+  }
+
+  if (Object.keys(themes).length === 0 && errors.length === 0) {
+    errors.push('The document contains no themes')
+  }
+
+  return { themes, errors }
+}
+
+function validateTheme(theme) {
+  if (!theme || typeof theme !== 'object') return 'not an object'
+  if (typeof theme.filter !== 'string') return '"filter" must be a string'
+  // Filters end up in style attributes, reject anything that could break out of them
+  if (/[;{}<>]/.test(theme.filter)) return '"filter" contains invalid characters'
+  if (!parseFilter(theme.filter)) return '"filter" is not a valid CSS filter'
+  if (theme.label !== undefined && typeof theme.label !== 'string') return '"label" must be a string'
+  if (theme.svgFilter !== undefined) {
+    const error = validateSvgFilter(theme.svgFilter)
+    if (error) return `"svgFilter" ${error}`
+  }
+  if (theme.panes !== undefined) {
+    const error = validatePaneFilters(theme.panes)
+    if (error) return `"panes" ${error}`
+  }
+  if (theme.controlPalette !== undefined) {
+    const error = validateControlPalette(theme.controlPalette)
+    if (error) return `"controlPalette" ${error}`
+  }
+  if (theme.controlStyle !== undefined && !CONTROL_STYLES.includes(theme.controlStyle)) {
+    return `"controlStyle" must be one of ${CONTROL_STYLES.join(', ')}`
+  }
+  return null
+}
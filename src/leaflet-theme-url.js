@@ -0,0 +1,148 @@
+/**
+ * Helpers for reading and writing the theme in the page URL,
+ * either as query parameters (?theme=dark) or in the hash (#theme=dark).
+ */
+
+import { parseFilter } from './leaflet-theme-filters.js'
+
+/**
+ * Get the parameters of the current URL.
+ * @param {string} mode - 'query' or 'hash'
+ * @returns {URLSearchParams} Parameters
+ */
+export function getUrlParams(mode) {
+  return mode === 'hash'
+    ? new URLSearchParams(window.location.hash.slice(1))
+    : new URLSearchParams(window.location.search)
+}
+
+/**
+ * Get the name of a "name=value" part of the hash.
+ * @param {string} part - Part of the hash between '&'
+ * @returns {string|null} Decoded name, or null if it can't be decoded
+ */
+function getHashPartName(part) {
+  try {
+    return decodeURIComponent(part.split('=')[0].replace(/\+/g, ' '))
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Set parameters in a hash. Only their own "name=value" parts are touched,
+ * everything else (a bare fragment, a route like "/route/1") is kept as it is.
+ * @param {string} hash - Hash without the leading '#'
+ * @param {object} values - Parameter name → value (null removes the parameter)
+ * @returns {string} New hash
+ */
+function replaceHashParams(hash, values) {
+  const parts = hash ? hash.split('&') : []
+  const pending = new Map(Object.entries(values))
+  const encode = name => `${encodeURIComponent(name)}=${encodeURIComponent(values[name])}`
+
+  // Parameters are updated in place, repeated ones are dropped
+  const result = parts.flatMap((part) => {
+    const name = getHashPartName(part)
+    if (!Object.hasOwn(values, name)) return [part]
+    if (!pending.has(name) || values[name] === null) return []
+
+    pending.delete(name)
+    return [encode(name)]
+  })
+
+  pending.forEach((value, name) => {
+    if (value !== null) result.push(encode(name))
+  })
+  return result.join('&')
+}
+
+/**
+ * Replace parameters of the current URL without adding a history entry.
+ * @param {string} mode - 'query' or 'hash'
+ * @param {object} values - Parameter name → value (null removes the parameter)
+ */
+export function replaceUrlParams(mode, values) {
+  const url = new URL(window.location.href)
+
+  if (mode === 'hash') {
+    url.hash = replaceHashParams(url.hash.slice(1), values)
+  }
+  else {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === null) {
+        url.searchParams.delete(name)
+      }
+      else {
+        url.searchParams.set(name, value)
+      }
+    }
+  }
+
+  if (url.href !== window.location.href) {
+    history.replaceState(history.state, '', url)
+  }
+}
+
+/**
+ * Encode editor filter values as a compact list, e.g. "invert:1,hueRotate:200,controlStyle:dark".
+ * An exact filter chain is appended last as "filter:<css>", since it may contain commas.
+ * Pane filters, SVG filters and control palettes (objects) are not shared.
+ * @param {object} values - Filter values as stored in ThemeEditor.customFilters
+ * @returns {string} Encoded values
+ */
+export function encodeFilterValues(values) {
+  const { filter, ...rest } = values
+  const entries = Object.entries(rest)
+    .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+    .map(([key, value]) => `${key}:${value}`)
+
+  if (typeof filter === 'string') {
+    entries.push(`filter:${filter}`)
+  }
+  return entries.join(',')
+}
+
+/**
+ * Check a filter chain received from a link before it is applied.
+ * External SVG filters are rejected, they would make the page load a resource of the sender's choice.
+ * @param {string} filter - CSS filter string
+ * @returns {boolean} True if the filter can be applied
+ */
+function isShareableFilter(filter) {
+  const steps = parseFilter(filter)
+  return Boolean(steps) && steps.every(step => step.name !== 'url' || /^["']?#/.test(step.value))
+}
+
+/**
+ * Decode filter values created by encodeFilterValues. Invalid entries are skipped.
+ * @param {string} encoded - Encoded values
+ * @returns {object|null} Filter values, or null if nothing valid was found
+ */
+export function decodeFilterValues(encoded) {
+  const values = {}
+
+  const filterMatch = encoded.match(/(?:^|,)filter:(.*)$/)
+  if (filterMatch) {
+    encoded = encoded.slice(0, filterMatch.index)
+    if (isShareableFilter(filterMatch[1])) values.filter = filterMatch[1]
+  }
+
+  for (const entry of encoded.split(',')) {
+    const [key, raw] = entry.split(':')
+    if (!/^[a-zA-Z]+$/.test(key) || raw === undefined) continue
+
+    if (key === 'controlStyle') {
+      if (raw === 'light' || raw === 'dark') values.controlStyle = raw
+      continue
+    }
+
+    const number = parseFloat(raw)
+    if (Number.isFinite(number)) {
+      values[key] = number
+    }
+  }
+
+  return Object.keys(values).length > 0 ? values : null
+}
@@ -28,6 +28,21 @@ declare module "leaflet" {
      */
     controlStyle?: "light" | "dark";
 
+    /**
+     * Design tokens, merged over the defaults of the control style (`THEME_TOKENS`) and
+     * written as `--ltc-theme-*` custom properties on the theme scope while the theme is active.
+     * @example { accent: "#e91e63", chartLine: "#880e4f" }
+     */
+    tokens?: ThemeTokens;
+
+    /**
+     * Colors of Leaflet's controls (zoom, layers, scale, attribution) and the theme button,
+     * overriding `controlStyle` for them. Written as the `control*` tokens, so your own
+     * controls can use `var(--ltc-control-background)` etc. Editable in the editor.
+     * @example { background: "#263238", foreground: "#eceff1", focus: "#ffc107" }
+     */
+    controlPalette?: ControlPalette;
+
     /**
      * CSS class to add to the document root when this theme is active.
      */
@@ -40,6 +55,88 @@ declare module "leaflet" {
      * @example [".element1", ".element2"]
      */
     applyToSelectors?: string | string[];
+
+    /**
+     * Filters for individually registered tile/grid layers, keyed by layer name.
+     * Registered layers not listed here get `filter`. Use "" to leave a layer unfiltered.
+     * @example { satellite: "", streets: "invert(1) hue-rotate(180deg)" }
+     */
+    layers?: { [layerName: string]: string };
+
+    /**
+     * Filters for map panes, keyed by pane name (built-in or created with `map.createPane()`).
+     * A `tilePane` entry replaces `filter` for the tile pane. `mapPane` can't be filtered.
+     * @example { markerPane: "brightness(0.8)", labels: "invert(1)" }
+     */
+    panes?: { [paneName: string]: string };
+
+    /**
+     * Style overrides for vector layers registered with `registerOverlay()`,
+     * or a function returning them per layer (GeoJSON layers have a `feature`).
+     * @example { color: "#90caf9", fillOpacity: 0.1 }
+     */
+    pathStyle?: PathOptions | ((layer: Path) => PathOptions);
+
+    /**
+     * Icon options merged into the original icon of markers registered with `registerOverlay()`.
+     * @example { iconUrl: "marker-dark.png" }
+     */
+    markerIcon?: Partial<IconOptions>;
+
+    /**
+     * SVG filter pipeline applied before `filter`, for color remapping that CSS filter
+     * functions can't express. Editable in the editor, not included in shared links.
+     */
+    svgFilter?: SvgFilterPrimitive[];
+
+    /**
+     * Set on themes created by the user in the editor.
+     */
+    userDefined?: boolean;
+  }
+
+  /**
+   * `feColorMatrix` primitive. `values` is 20 numbers for `matrix` (the default),
+   * a single number for `saturate` and `hueRotate`, and unused for `luminanceToAlpha`.
+   */
+  interface SvgColorMatrix {
+    type: "feColorMatrix";
+    matrixType?: "matrix" | "saturate" | "hueRotate" | "luminanceToAlpha";
+    values?: number[] | number;
+  }
+
+  /**
+   * Transfer function of one channel of an `feComponentTransfer` primitive.
+   */
+  interface SvgTransferFunction {
+    type: "identity" | "table" | "discrete" | "linear" | "gamma";
+    tableValues?: number[];
+    slope?: number;
+    intercept?: number;
+    amplitude?: number;
+    exponent?: number;
+    offset?: number;
+  }
+
+  /**
+   * `feComponentTransfer` primitive. Channels left out are unchanged.
+   */
+  interface SvgComponentTransfer {
+    type: "feComponentTransfer";
+    r?: SvgTransferFunction;
+    g?: SvgTransferFunction;
+    b?: SvgTransferFunction;
+    a?: SvgTransferFunction;
+  }
+
+  type SvgFilterPrimitive = SvgColorMatrix | SvgComponentTransfer;
+
+  interface GridLayerOptions {
+    /**
+     * Name under which a ThemeControl on the same map themes this layer individually
+     * (see `Theme.layers`).
+     */
+    themeLayer?: string;
   }
 
   /**
@@ -49,6 +146,380 @@ declare module "leaflet" {
     [themeKey: string]: Theme;
   }
 
+  /**
+   * Storage backend for the selected theme and custom filters.
+   * Methods may return Promises for asynchronous backends (e.g. a user profile API).
+   */
+  interface ThemeStorageAdapter {
+    getItem(key: string): string | null | Promise<string | null>;
+    setItem(key: string, value: string): void | Promise<void>;
+    /** Optional, without it cleared values are stored as an empty string */
+    removeItem?(key: string): void | Promise<void>;
+  }
+
+  /**
+   * What triggered a theme change.
+   */
+  type ThemeChangeSource = "init" | "user" | "system" | "schedule" | "editor" | "sync";
+
+  /**
+   * Automatic switching between a day and a night theme.
+   */
+  interface ThemeSchedule {
+    /**
+     * "clock" uses fixed local times, "sun" uses sunrise/sunset at the map center (computed locally).
+     * @default "clock"
+     */
+    mode?: "clock" | "sun";
+
+    /**
+     * Theme used during the day.
+     * @default "light"
+     */
+    dayTheme?: string;
+
+    /**
+     * Theme used during the night.
+     * @default "dark"
+     */
+    nightTheme?: string;
+
+    /**
+     * Local time when the day starts ("clock" mode).
+     * @default "07:00"
+     */
+    dayStart?: string;
+
+    /**
+     * Local time when the night starts ("clock" mode).
+     * @default "19:00"
+     */
+    nightStart?: string;
+
+    /**
+     * Position used in "sun" mode until the map has a view.
+     * @default null
+     */
+    latlng?: LatLngExpression | { lat: number; lng: number } | null;
+
+    /**
+     * Re-evaluation interval in milliseconds.
+     * @default 60000
+     */
+    interval?: number;
+  }
+
+  /**
+   * Color-vision preset applied on top of every theme.
+   */
+  interface VisionPreset {
+    label: string;
+
+    /**
+     * Pipeline applied to the whole map pane, in linear RGB.
+     */
+    svgFilter: SvgFilterPrimitive[];
+  }
+
+  /**
+   * Design tokens of a theme (CSS values). Names are camelCase and become kebab-case
+   * custom properties, e.g. `accentSubtle` → `--ltc-theme-accent-subtle`.
+   * Any other name can be added for the app's own use.
+   */
+  interface ThemeTokens {
+    background?: string;
+    backgroundHover?: string;
+    surface?: string;
+    foreground?: string;
+    mutedForeground?: string;
+    subtleForeground?: string;
+    border?: string;
+    borderStrong?: string;
+    accent?: string;
+    accentStrong?: string;
+    accentSubtle?: string;
+    accentForeground?: string;
+    link?: string;
+    shadow?: string;
+    /**
+     * Background of Leaflet's controls with the dark control style
+     */
+    overlay?: string;
+    overlayHover?: string;
+    overlayDisabled?: string;
+    /**
+     * Colors of the theme's `controlPalette`
+     */
+    controlBackground?: string;
+    controlForeground?: string;
+    controlHover?: string;
+    controlBorder?: string;
+    controlFocus?: string;
+    [name: string]: string | undefined;
+  }
+
+  /**
+   * Colors of a control palette (any CSS colors, missing ones follow the control style).
+   */
+  interface ControlPalette {
+    background?: string;
+    foreground?: string;
+    hover?: string;
+    border?: string;
+    /**
+     * Focus ring
+     */
+    focus?: string;
+  }
+
+  /**
+   * Overlay color checked by `auditTheme()`.
+   */
+  interface BrandColor {
+    name?: string;
+
+    /**
+     * Hex or rgb() color.
+     */
+    color: string;
+
+    /**
+     * Whether the theme filter applies to the overlay too (e.g. it is inside `cssSelector`).
+     * @default false
+     */
+    filtered?: boolean;
+  }
+
+  /**
+   * Contrast of one color pair through a theme's filter.
+   */
+  interface ThemeAuditResult {
+    name: string;
+
+    /**
+     * Colors as shown with the theme, as hex.
+     */
+    foreground: string;
+    background: string;
+
+    /**
+     * WCAG contrast ratio with and without the theme.
+     */
+    contrast: number;
+    originalContrast: number;
+    minContrast: number;
+    passed: boolean;
+  }
+
+  interface ThemeAuditReport {
+    theme: string;
+
+    /**
+     * True if every color pair reaches its minimum contrast.
+     */
+    passed: boolean;
+    results: ThemeAuditResult[];
+
+    /**
+     * Filter steps that could not be evaluated (url() references).
+     */
+    unsupported: string[];
+  }
+
+  interface SnapshotOptions {
+    /**
+     * @default "blob"
+     */
+    format?: "blob" | "dataURL";
+
+    /**
+     * Image MIME type.
+     * @default "image/png"
+     */
+    type?: string;
+
+    /**
+     * Quality for lossy types, from 0 to 1.
+     */
+    quality?: number;
+
+    /**
+     * Fill color behind the tiles, null for transparent.
+     * Defaults to the map container's background.
+     */
+    background?: string | null;
+  }
+
+  /**
+   * Event fired when the color-vision preset changes.
+   */
+  interface VisionChangeEvent extends LeafletEvent {
+    /**
+     * Key of the active vision preset, null for normal vision.
+     */
+    vision: string | null;
+    previousVision: string | null;
+  }
+
+  /**
+   * Event fired when the active theme changes or is re-applied.
+   */
+  interface ThemeChangeEvent extends LeafletEvent {
+    /**
+     * Key of the newly active theme.
+     */
+    theme: string;
+
+    /**
+     * Key of the previously active theme (null for the initial theme).
+     */
+    previousTheme: string | null;
+
+    /**
+     * What triggered the change.
+     */
+    source: ThemeChangeSource;
+  }
+
+  /**
+   * Event fired when the editor panel opens or switches view.
+   */
+  interface ThemeEditorOpenEvent extends LeafletEvent {
+    view: "selector" | "editor" | "transfer" | "create" | "rename";
+    theme: string;
+  }
+
+  /**
+   * One function of a CSS filter chain, as shown in the editor.
+   * Numeric functions have a `unit` ("", "%", "deg", "turn", "px", ...),
+   * `drop-shadow` and `url` keep their arguments as a string.
+   */
+  interface FilterStep {
+    name: string;
+    value: number | string;
+    unit?: string;
+  }
+
+  /**
+   * Event fired while a filter step is being edited in the editor.
+   */
+  interface ThemeFilterInputEvent extends LeafletEvent {
+    theme: string;
+    /**
+     * Pane whose filter was edited, null for the theme filter
+     */
+    pane: string | null;
+    /**
+     * Values of the seven classic filters (invert, hueRotate, ...)
+     */
+    values: Record<string, number>;
+    /**
+     * Filter steps in the order they are applied
+     */
+    steps: FilterStep[];
+    filter: string;
+  }
+
+  /**
+   * Event fired when a theme is reset to its original values in the editor.
+   */
+  interface ThemeResetEvent extends LeafletEvent {
+    theme: string;
+  }
+
+  /**
+   * Event fired when an edit of a theme is undone or redone in the editor.
+   */
+  interface ThemeHistoryEvent extends LeafletEvent {
+    theme: string;
+  }
+
+  /**
+   * Event fired when themes are imported in the editor.
+   */
+  interface ThemeImportEvent extends LeafletEvent {
+    themes: string[];
+  }
+
+  /**
+   * Event fired when a user theme is created in the editor.
+   */
+  interface ThemeCreateEvent extends LeafletEvent {
+    theme: string;
+    baseTheme: string;
+  }
+
+  /**
+   * Event fired when a user theme is renamed in the editor.
+   */
+  interface ThemeRenameEvent extends LeafletEvent {
+    theme: string;
+    label: string;
+    icon: string;
+  }
+
+  /**
+   * Event fired when a user theme is deleted in the editor.
+   */
+  interface ThemeDeleteEvent extends LeafletEvent {
+    theme: string;
+  }
+
+  /**
+   * Options for creating a user theme.
+   */
+  interface UserThemeOptions {
+    /**
+     * Display name
+     */
+    label: string;
+    /**
+     * Icon (emoji)
+     * @default "🎨"
+     */
+    icon?: string;
+    /**
+     * Theme to copy the filter and control style from
+     * @default the current theme
+     */
+    baseTheme?: string;
+  }
+
+  /**
+   * A theme as stored in an exported theme document.
+   */
+  interface ThemeDocumentEntry {
+    label?: string;
+    filter: string;
+    controlStyle?: "light" | "dark";
+    svgFilter?: SvgFilterPrimitive[];
+    panes?: { [paneName: string]: string };
+    controlPalette?: ControlPalette;
+  }
+
+  /**
+   * Versioned JSON document for sharing theme customizations.
+   */
+  interface ThemeDocument {
+    format: "leaflet-theme-control";
+    version: number;
+    themes: Record<string, ThemeDocumentEntry>;
+  }
+
+  /**
+   * Result of importing a theme document.
+   */
+  interface ThemeImportResult {
+    /**
+     * Keys of the themes that were imported
+     */
+    imported: string[];
+    /**
+     * Validation errors, invalid or unknown themes are skipped
+     */
+    errors: string[];
+  }
+
   /**
    * Options for the ThemeControl.
    */
@@ -66,23 +537,115 @@ declare module "leaflet" {
     defaultTheme?: string;
 
     /**
-     * LocalStorage key for saving the selected theme.
+     * Color-vision preset to apply on top of every theme, until the user picks another one.
+     * @example "deuteranopia"
+     */
+    vision?: string | null;
+
+    /**
+     * Available color-vision presets.
+     * @default VISION_PRESETS
+     */
+    visionPresets?: Record<string, VisionPreset>;
+
+    /**
+     * Overlay colors (e.g. brand colors of routes and markers) that `auditTheme()`
+     * checks against the themed map.
+     * @example ["#1565c0", { name: "Route", color: "#e65100" }]
+     */
+    brandColors?: Array<string | BrandColor>;
+
+    /**
+     * Storage key for saving the selected theme.
+     * Custom filters are stored under `<storageKey>-custom-filters`.
      * @default "leaflet-theme"
      */
     storageKey?: string;
 
     /**
-     * Automatically detect and use system dark mode preference.
+     * Where the selected theme and custom filters are stored.
+     * Either a built-in adapter name or a custom (possibly async) adapter.
+     * Unavailable web storage (e.g. in sandboxed iframes) falls back to memory.
+     * @default "localStorage"
+     */
+    storage?: "localStorage" | "sessionStorage" | "memory" | "cookie" | ThemeStorageAdapter;
+
+    /**
+     * Where the theme is applied.
+     * - "document": attributes and classes go on `<html>`, selectors are matched in the whole document
+     * - "map": attributes, classes and filters are applied only inside the map container,
+     *   and the storage keys are suffixed with the container id (e.g. "leaflet-theme-overview")
+     * @default "document"
+     */
+    scope?: "document" | "map";
+
+    /**
+     * URL parameter used to read and update the theme for shareable links (e.g. "theme").
+     * A theme in the URL takes precedence over the stored one. Updated via `history.replaceState`.
+     * @default null
+     */
+    urlParam?: string | null;
+
+    /**
+     * Where the URL parameter lives: the query string (`?theme=dark`) or the hash (`#theme=dark`).
+     * @default "query"
+     */
+    urlParamMode?: "query" | "hash";
+
+    /**
+     * Also share the editor's custom filter values of the active theme as `<urlParam>-filters`.
+     * Requires `enableEditor`.
+     * @default false
+     */
+    urlIncludeFilters?: boolean;
+
+    /**
+     * Switch between day and night themes automatically, by clock time or sunrise/sunset at the map center.
+     * Re-evaluated on a timer and (in "sun" mode) on `moveend`. A manually chosen theme always wins.
+     * @default null
+     */
+    schedule?: ThemeSchedule | null;
+
+    /**
+     * Automatically detect and use system preferences (see `mediaRules`).
      * @default true
      */
     detectSystemTheme?: boolean;
 
+    /**
+     * Media queries mapped to themes. The matching rule with the highest priority wins
+     * as long as the user hasn't chosen a theme and no schedule is set.
+     * @default [{ query: "(prefers-color-scheme: dark)", theme: "dark", priority: 0 }]
+     */
+    mediaRules?: MediaRule[] | null;
+
     /**
      * CSS selector for the elements to apply the theme filter to.
      * @default ".leaflet-tile-pane"
      */
     cssSelector?: string;
 
+    /**
+     * Watch the theme scope with a MutationObserver and apply the current filter to
+     * elements matching `cssSelector` or `applyToSelectors` that are inserted later.
+     * @default true
+     */
+    observeElements?: boolean;
+
+    /**
+     * Duration in milliseconds of the animated filter transition between themes.
+     * The filter functions are interpolated from the old to the new theme.
+     * Skipped when the user prefers reduced motion.
+     * @default 0 (no transition)
+     */
+    transitionDuration?: number;
+
+    /**
+     * Easing of the theme transition: a named easing or a function mapping progress (0-1) to eased progress.
+     * @default "ease-in-out"
+     */
+    transitionEasing?: "linear" | "ease-in" | "ease-out" | "ease-in-out" | ((t: number) => number);
+
     /**
      * Add the theme toggle button to the map.
      * Set to false for programmatic control only.
@@ -96,8 +659,16 @@ declare module "leaflet" {
      */
     enableEditor?: boolean;
 
+    /**
+     * How editor changes are committed: "live" saves every change, "draft" only
+     * previews them until Apply (Cancel or Escape discards them).
+     * @default "live"
+     */
+    editorMode?: "live" | "draft";
+
     /**
      * Callback function called when the theme changes.
+     * Prefer listening to the `themechange` event, which supports multiple listeners.
      * @param themeKey - The key of the newly selected theme
      * @param theme - The theme object
      */
@@ -128,6 +699,64 @@ declare module "leaflet" {
      * @default 1000
      */
     panelZIndex?: number;
+
+    /**
+     * Keyboard shortcuts for switching themes: true for the defaults, or an object
+     * overriding some of them. Off by default.
+     * @default null
+     */
+    hotkeys?: boolean | HotkeyOptions | null;
+
+    /**
+     * Follow the theme, vision preset and editor customizations chosen in other tabs
+     * of the page (BroadcastChannel, or storage events with localStorage).
+     * @default false
+     */
+    syncTabs?: boolean;
+  }
+
+  /**
+   * A media query selecting a theme.
+   */
+  interface MediaRule {
+    /**
+     * Media query, e.g. "(prefers-contrast: more)", "(forced-colors: active)" or "print"
+     */
+    query: string;
+    theme: string;
+    /**
+     * Higher priorities win, equal ones go by order.
+     * @default 0
+     */
+    priority?: number;
+  }
+
+  /**
+   * Keyboard shortcuts. Bindings are `KeyboardEvent.key` names with optional
+   * modifiers (`"Shift+D"`, `"Alt+1"`), null disables a shortcut.
+   */
+  interface HotkeyOptions {
+    /**
+     * Switch to the next theme.
+     * @default "t"
+     */
+    cycle?: string | null;
+    /**
+     * `"digits"` selects the first nine themes with 1-9, or theme key → binding.
+     * @default "digits"
+     */
+    themes?: "digits" | Record<string, string> | null;
+    /**
+     * Open the theme selector (with `enableEditor`).
+     * @default "e"
+     */
+    editor?: string | null;
+    /**
+     * Listen on the whole page instead of only while the map has focus.
+     * Keys typed into form fields are never used.
+     * @default false
+     */
+    global?: boolean;
   }
 
   /**
@@ -146,6 +775,121 @@ declare module "leaflet" {
      */
     openThemeEditor(themeKey: string): void;
 
+    /**
+     * Opens the import/export view.
+     */
+    openTransferView(): void;
+
+    /**
+     * Exports themes as a theme document.
+     * @param themeKeys - Theme key(s) to export (default: all customized themes)
+     */
+    exportThemes(themeKeys?: string | string[]): ThemeDocument;
+
+    /**
+     * Imports a theme document (JSON string or object) and applies it.
+     * @param input - Theme document
+     */
+    importThemes(input: string | ThemeDocument): ThemeImportResult;
+
+    /**
+     * Opens the form for creating a theme.
+     * @param baseTheme - Theme to start from (default: current theme)
+     */
+    openThemeCreator(baseTheme?: string): void;
+
+    /**
+     * Opens the form for renaming or deleting a user theme.
+     * @param themeKey - Key of a user-created theme
+     */
+    openThemeRename(themeKey: string): void;
+
+    /**
+     * Creates a theme and persists it. Returns its key, or null without a name.
+     * @param options - Name, icon and theme to start from
+     */
+    createTheme(options: UserThemeOptions): string | null;
+
+    /**
+     * Duplicates a theme under a new name (default: "<name> copy").
+     * @param themeKey - Theme to duplicate
+     * @param label - Name of the copy
+     */
+    duplicateTheme(themeKey: string, label?: string): string | null;
+
+    /**
+     * Changes the name and/or icon of a user-created theme.
+     * @param themeKey - Key of a user-created theme
+     * @param changes - New name and/or icon
+     */
+    renameTheme(themeKey: string, changes: { label?: string; icon?: string }): void;
+
+    /**
+     * Deletes a user-created theme. If it is active, the control goes back to the automatic theme (see `followSystem`).
+     * @param themeKey - Key of a user-created theme
+     */
+    deleteTheme(themeKey: string): void;
+
+    /**
+     * Whether a theme was created by the user in the editor.
+     * @param themeKey - Theme key
+     */
+    isUserTheme(themeKey: string): boolean;
+
+    /**
+     * Whether there are changes in draft mode that were not applied yet.
+     */
+    hasDraft(): boolean;
+
+    /**
+     * Saves the changes made in draft mode. Returns true if there were any.
+     */
+    applyDraft(): boolean;
+
+    /**
+     * Discards the changes made in draft mode. Returns true if there were any.
+     */
+    cancelDraft(): boolean;
+
+    /**
+     * Shows or hides a divider on the map with the original theme on its left
+     * and the theme being edited on its right. Only works in the editor view.
+     * Returns true if the comparison is shown.
+     */
+    toggleComparison(enabled?: boolean): boolean;
+
+    /**
+     * Undoes the last edit of a theme (a slider drag counts as one edit).
+     * In draft mode, changes not applied yet are discarded instead.
+     * Returns true if there was an edit to undo.
+     * @param themeKey - Theme (default: the one open in the editor)
+     */
+    undo(themeKey?: string): boolean;
+
+    /**
+     * Redoes the last undone edit of a theme. Returns true if there was one.
+     * @param themeKey - Theme (default: the one open in the editor)
+     */
+    redo(themeKey?: string): boolean;
+
+    /**
+     * Whether a theme has edits to undo.
+     * @param themeKey - Theme (default: the one open in the editor)
+     */
+    canUndo(themeKey?: string): boolean;
+
+    /**
+     * Whether a theme has undone edits to redo.
+     * @param themeKey - Theme (default: the one open in the editor)
+     */
+    canRedo(themeKey?: string): boolean;
+
+    /**
+     * Forgets the edit history of a theme, or of all themes.
+     * @param themeKey - Theme (default: all themes)
+     */
+    clearHistory(themeKey?: string): void;
+
     /**
      * Closes the editor panel.
      */
@@ -161,6 +905,10 @@ declare module "leaflet" {
    * - Grayscale (black & white)
    * - Custom themes via options
    *
+   * Fires `themechange`, `themeeditoropen`, `themeeditorclose`,
+   * `themefilterinput`, `themereset`, `themeundo`, `themeredo`, `themeimport`, `themecreate`,
+   * `themerename`, `themedelete` and `visionchange` on the control and on the map.
+   *
    * @example
    * ```typescript
    * import { ThemeControl } from 'leaflet-theme-control';
@@ -169,12 +917,15 @@ declare module "leaflet" {
    *   position: 'topright',
    *   defaultTheme: 'dark',
    *   enableEditor: true,
-   *   onChange: (themeKey, theme) => {
-   *     console.log('Theme changed to:', themeKey);
-   *   }
    * }).addTo(map);
+   *
+   * map.on('themechange', (e) => {
+   *   console.log('Theme changed to:', e.theme, 'via', e.source);
+   * });
    * ```
    */
+  interface ThemeControl extends Evented {}
+
   class ThemeControl extends Control {
     options: ThemeControlOptions;
 
@@ -183,6 +934,12 @@ declare module "leaflet" {
      */
     editor?: ThemeEditor;
 
+    /**
+     * Resolves once the saved theme and custom filters have been loaded.
+     * Only relevant for asynchronous storage adapters; with `scope: "map"` it is set when the control is added.
+     */
+    ready: Promise<this>;
+
     /**
      * Creates a new ThemeControl instance.
      * @param options - Configuration options
@@ -190,10 +947,40 @@ declare module "leaflet" {
     constructor(options?: ThemeControlOptions);
 
     /**
-     * Sets the active theme.
+     * Sets the active theme and fires `themechange`.
      * @param themeKey - The key of the theme to activate
+     * @param source - What triggered the change
+     * @default source "user"
+     */
+    setTheme(themeKey: string, source?: ThemeChangeSource): void;
+
+    /**
+     * Registers a tile or grid layer for per-layer theming.
+     * While registered layers are on the map, filters are applied to each layer container
+     * instead of the `cssSelector` elements.
+     * @param layer - The layer to register
+     * @param name - Name used in `Theme.layers` (defaults to the layer's `themeLayer` option)
      */
-    setTheme(themeKey: string): void;
+    registerLayer(layer: GridLayer, name?: string): this;
+
+    /**
+     * Stops theming a layer individually.
+     * @param layer - A previously registered layer
+     */
+    unregisterLayer(layer: GridLayer): this;
+
+    /**
+     * Registers a vector layer, marker or layer group (e.g. GeoJSON) for theme-aware styling
+     * with `Theme.pathStyle` and `Theme.markerIcon`. Groups include layers added later.
+     * @param layer - The layer to register
+     */
+    registerOverlay(layer: Path | Marker | LayerGroup): this;
+
+    /**
+     * Stops styling a layer and restores its original style.
+     * @param layer - A previously registered layer
+     */
+    unregisterOverlay(layer: Path | Marker | LayerGroup): this;
 
     /**
      * Gets the currently active theme key.
@@ -207,6 +994,57 @@ declare module "leaflet" {
      */
     getThemes(): ThemeCollection;
 
+    /**
+     * Gets the design tokens of a theme: its own tokens over the defaults of its control style.
+     * @param themeKey - Theme (default: the active theme)
+     * @returns The tokens, or null for unknown themes
+     */
+    getThemeTokens(themeKey?: string): ThemeTokens | null;
+
+    /**
+     * Checks whether typical map colors and the `brandColors` stay readable through
+     * a theme's filter, by WCAG contrast ratio.
+     * @param themeKey - Theme to audit (default: the active theme)
+     * @returns The report, or null for unknown themes
+     */
+    auditTheme(themeKey?: string): ThemeAuditReport | null;
+
+    /**
+     * Exports the loaded map tiles as an image with the active theme (and vision preset) baked in.
+     * Tiles must be same-origin or CORS-enabled. `blur()` and `drop-shadow()` are not reproduced.
+     * @param options - Output format
+     */
+    exportSnapshot(options: SnapshotOptions & { format: "dataURL" }): Promise<string>;
+    exportSnapshot(options?: SnapshotOptions): Promise<Blob>;
+
+    /**
+     * Forgets the theme the user chose and returns to the automatic one (schedule,
+     * media rules or `defaultTheme`), following their changes again.
+     */
+    followSystem(): this;
+
+    /**
+     * Checks whether the theme follows the system, i.e. the user hasn't chosen one.
+     */
+    isFollowingSystem(): boolean;
+
+    /**
+     * Simulates or corrects a color-vision deficiency on top of the active theme
+     * and fires `visionchange`. The choice is saved like the theme.
+     * @param visionKey - Key of a vision preset, or null for normal vision
+     */
+    setVision(visionKey: string | null): void;
+
+    /**
+     * Gets the active vision preset key, null for normal vision.
+     */
+    getVision(): string | null;
+
+    /**
+     * Gets all available vision presets.
+     */
+    getVisionPresets(): Record<string, VisionPreset>;
+
     /**
      * Updates the button label text.
      * Useful for updating translations after a language change.
@@ -226,6 +1064,50 @@ export const DEFAULT_THEMES: {
   custom: L.Theme;
 };
 
+/**
+ * Default design tokens of the light and dark control styles.
+ */
+export const THEME_TOKENS: {
+  light: L.ThemeTokens;
+  dark: L.ThemeTokens;
+};
+
+/**
+ * Control palettes matching the light and dark control styles.
+ */
+export const CONTROL_PALETTES: {
+  light: Required<L.ControlPalette>;
+  dark: Required<L.ControlPalette>;
+};
+
+/**
+ * Color-vision deficiency simulation and correction (daltonization) presets.
+ */
+export const VISION_PRESETS: {
+  protanopia: L.VisionPreset;
+  deuteranopia: L.VisionPreset;
+  tritanopia: L.VisionPreset;
+  protanopiaCorrection: L.VisionPreset;
+  deuteranopiaCorrection: L.VisionPreset;
+  tritanopiaCorrection: L.VisionPreset;
+};
+
+/**
+ * Create a storage adapter that keeps values in memory (lost on reload).
+ */
+export function createMemoryStorage(): L.ThemeStorageAdapter;
+
+/**
+ * Create a storage adapter for localStorage or sessionStorage,
+ * falling back to memory where access is denied.
+ */
+export function createWebStorage(name: "localStorage" | "sessionStorage"): L.ThemeStorageAdapter;
+
+/**
+ * Create a storage adapter that stores values in cookies.
+ */
+export function createCookieStorage(options?: { maxAge?: number; path?: string; sameSite?: "Strict" | "Lax" | "None" }): L.ThemeStorageAdapter;
+
 /**
  * ThemeControl class for managing map themes.
  */